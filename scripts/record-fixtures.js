@@ -0,0 +1,86 @@
+/**
+ * FIXTURE RECORDER — saves live responses for the offline parser tests
+ *
+ * Usage:  npm run fixtures:record                      (every source)
+ *         npm run fixtures:record -- "Hasjob" "Remotive"   (only these sources)
+ *         npm run fixtures:record -- --update-expected     (no network, see below)
+ *
+ * Fetches the selected sources with FIXTURE_MODE=record and writes, per source
+ * that returned jobs:
+ *   test/fixtures/<source>/responses.json — raw responses (credentials redacted)
+ *   test/fixtures/<source>/expected.json  — normalized jobs the parser produced
+ *
+ * --update-expected replays the existing responses instead and only rewrites
+ * expected.json — use it after an intentional parser change.
+ *
+ * Review the diff before committing: re-recording replaces both files, so a
+ * parser regression recorded here would become the new expectation.
+ */
+
+const UPDATE_EXPECTED = process.argv.includes('--update-expected');
+process.env.FIXTURE_MODE = UPDATE_EXPECTED ? 'replay' : 'record';
+
+const { JOB_SOURCES } = require('../src/services/jobSources');
+const { fetchJobsFromAllSources } = require('../src/services/jobFetcher');
+const { saveRecordings, saveExpectedJobs, fixtureSlug, listFixtures } = require('../src/services/fixtures');
+
+const context = {
+    log: () => {},
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+async function run() {
+    const args = process.argv.slice(2).filter(arg => arg !== '--update-expected');
+    // Without names, --update-expected covers every source that has fixtures
+    const names = args.length || !UPDATE_EXPECTED ? args : listFixtures().map(fixture => fixture.source);
+    const sources = names.length ?
+        JOB_SOURCES.filter(source => names.includes(source.name)) :
+        JOB_SOURCES;
+
+    const unknown = names.filter(name => !JOB_SOURCES.some(source => source.name === name));
+    if (unknown.length) {
+        console.error(`❌ Unknown source(s): ${unknown.join(', ')}`);
+        process.exit(1);
+    }
+
+    console.log(`\n${UPDATE_EXPECTED ? '🔁 Replaying' : '🎙️  Recording'} ${sources.length} source(s)...\n`);
+    const recordedAt = new Date();
+    let sourceResults;
+    if (UPDATE_EXPECTED) {
+        // Replay each source with the clock it was recorded at, so relative dates parse the same way
+        const clocks = new Map(listFixtures().map(fixture => [fixture.source, fixture.recordedAt]));
+        sourceResults = [];
+        for (const source of sources) {
+            const { sourceResults: [result] } = await fetchJobsFromAllSources(context, {
+                sources: [source],
+                fetchedAt: clocks.get(source.name) || null
+            });
+            sourceResults.push(result);
+        }
+    } else {
+        ({ sourceResults } = await fetchJobsFromAllSources(context, { sources, concurrency: 4, fetchedAt: recordedAt }));
+    }
+
+    // Only sources that produced jobs make useful fixtures
+    const recorded = sourceResults.filter(result => !result.error && !result.skipped && result.count > 0);
+    const keep = new Set(recorded.map(result => result.name));
+    if (!UPDATE_EXPECTED) saveRecordings(keep, recordedAt);
+    recorded.forEach(result => saveExpectedJobs(result.name, result.jobs));
+
+    sourceResults.forEach(result => {
+        if (keep.has(result.name)) {
+            console.log(`  ✅ ${result.name.padEnd(35)} ${result.count} jobs → test/fixtures/${fixtureSlug(result.name)}/`);
+        } else {
+            const reason = result.error || result.skipped || '0 jobs';
+            console.log(`  ⏭️  ${result.name.padEnd(35)} not recorded (${reason})`);
+        }
+    });
+
+    console.log(`\n📼 ${recorded.length}/${sourceResults.length} sources recorded. Run "npm test" to replay them offline.\n`);
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
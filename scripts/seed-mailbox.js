@@ -0,0 +1,51 @@
+/**
+ * MAILBOX SEEDER — copies sample job alert emails into the IMAP mailbox
+ *
+ * Usage:  npm run email:seed                         (test/fixtures/emails/*.eml)
+ *         npm run email:seed -- path/to/alert.eml    (only these files)
+ *
+ * Uses the same IMAP_* settings as the "Email Alerts" source, so pointing them at
+ * a local IMAP server and running
+ *
+ *   npm run email:seed && npm run health -- "Email Alerts"
+ *
+ * exercises the whole ingestion path. Save a real alert from your mail client as
+ * .eml to check a portal's current template. Never point this at a personal mailbox.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ImapFlow } = require('imapflow');
+const { getImapConfig } = require('../src/services/emailIngestion');
+
+const SAMPLE_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'emails');
+
+async function run() {
+    const config = getImapConfig();
+    if (!config) {
+        throw new Error('Set IMAP_HOST, IMAP_USER and IMAP_PASSWORD (see .env.example)');
+    }
+
+    const args = process.argv.slice(2);
+    const files = args.length ? args :
+        fs.readdirSync(SAMPLE_DIR).filter(file => file.endsWith('.eml')).sort().map(file => path.join(SAMPLE_DIR, file));
+    const mailbox = process.env.IMAP_MAILBOX || 'INBOX';
+
+    const client = new ImapFlow(config);
+    await client.connect();
+    try {
+        for (const file of files) {
+            // Appended with today's date so the lookback window does not skip the samples
+            await client.append(mailbox, fs.readFileSync(file), [], new Date());
+            console.log(`📨 ${path.basename(file)} → ${mailbox}`);
+        }
+    } finally {
+        await client.logout();
+    }
+    console.log(`\n✅ ${files.length} message(s) added. Run: npm run health -- "Email Alerts"`);
+}
+
+run().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
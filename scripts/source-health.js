@@ -0,0 +1,280 @@
+/**
+ * SOURCE HEALTH CHECK — runs the real JOB_SOURCES and reports what they return
+ *
+ * Usage:  npm run health                                  (every source)
+ *         npm run health -- "Hasjob" "Remotive"           (only these sources)
+ *         npm run health -- --match greenhouse --type json
+ *         npm run health -- --out reports/2024-06-01 --strict
+ *         npm run health -- --probe https://example.com/careers/api/jobs [--body '{"limit":20}']
+ *
+ * Options:
+ *   --match <text>      sources whose name contains the text (case-insensitive)
+ *   --type <type>       sources of one type: json, feed, html or jsonld
+ *   --out <dir>         report directory (default: reports)
+ *   --concurrency <n>   sources fetched in parallel (default FETCH_CONCURRENCY)
+ *   --timeout <ms>      deadline per source (default SOURCE_TIMEOUT_MS)
+ *   --strict            exit with code 1 when any source fails
+ *   --probe <url>       check a candidate endpoint instead of the configured sources
+ *
+ * Each source is fetched, parsed and normalized exactly as the bot does it, then every
+ * job is checked against the job schema (src/models/jobSchema.js). The report lists job
+ * counts, records dropped by the normalizer, latency, field completeness and schema
+ * issues per source, and is written
+ * as source-health.json and source-health.md — both sorted by source name, so two
+ * runs can be diffed. Set FIXTURE_MODE=replay to check parsers against recorded fixtures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JOB_SOURCES } = require('../src/services/jobSources');
+const { fetchJobsFromAllSources } = require('../src/services/jobFetcher');
+const { createHttpClient, getMetrics } = require('../src/services/httpClient');
+const { extractJobPostings } = require('../src/services/structuredData');
+const { validateJob, isEmpty, COMPLETENESS_FIELDS } = require('../src/models/jobSchema');
+const { FETCH_CONCURRENCY, SOURCE_TIMEOUT_MS, FIXTURE_MODE } = require('../src/config/constants');
+
+const VALUE_OPTIONS = ['--match', '--type', '--out', '--concurrency', '--timeout', '--probe', '--body'];
+
+const STATUS_ICONS = { ok: '✅', empty: '⚠️', failed: '❌', skipped: '⏭️' };
+
+// Scrapers log their own failures with console.warn; the report carries the errors instead
+const context = {
+    log: () => {},
+    warn: () => {},
+    error: (...args) => console.error(...args)
+};
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { names, match, type, out, concurrency, timeout, strict, probe, body }
+ */
+function parseArgs(argv) {
+    const options = { names: [], out: 'reports', strict: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--strict') {
+            options.strict = true;
+        } else if (VALUE_OPTIONS.includes(arg)) {
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.names.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * Pick the sources to check
+ * @param {Object} options - Parsed arguments
+ * @returns {Array} - Source definitions
+ */
+function selectSources(options) {
+    const unknown = options.names.filter(name => !JOB_SOURCES.some(source => source.name === name));
+    if (unknown.length) {
+        throw new Error(`Unknown source(s): ${unknown.join(', ')}`);
+    }
+
+    return JOB_SOURCES.filter(source =>
+        (!options.names.length || options.names.includes(source.name)) &&
+        (!options.match || source.name.toLowerCase().includes(options.match.toLowerCase())) &&
+        (!options.type || (source.type || 'json') === options.type)
+    );
+}
+
+/**
+ * Build one source's report entry
+ * @param {Object} source - Source definition
+ * @param {Object} result - Source result from fetchJobsFromAllSources
+ * @returns {Object}
+ */
+function summarizeSource(source, result) {
+    const status = result.error ? 'failed' : result.skipped ? 'skipped' : result.count === 0 ? 'empty' : 'ok';
+    const completeness = {};
+    const issues = {};
+    let invalidJobs = 0;
+
+    for (const field of COMPLETENESS_FIELDS) {
+        const filled = result.jobs.filter(job => !isEmpty(job[field])).length;
+        completeness[field] = result.count ? Math.round((filled / result.count) * 100) : null;
+    }
+    for (const job of result.jobs) {
+        const jobIssues = validateJob(job);
+        if (jobIssues.length) invalidJobs++;
+        jobIssues.forEach(issue => { issues[issue] = (issues[issue] || 0) + 1; });
+    }
+
+    return {
+        name: source.name,
+        type: source.type || 'json',
+        origin: source.origin || 'code',
+        status,
+        count: result.count,
+        dropped: result.dropped,
+        invalidJobs,
+        durationMs: result.durationMs,
+        error: result.error,
+        skipped: result.skipped,
+        completeness,
+        issues: Object.fromEntries(Object.entries(issues).sort(([a], [b]) => a.localeCompare(b))),
+        sampleTitle: result.jobs[0]?.title || null
+    };
+}
+
+/**
+ * Total records the normalizer dropped for a source
+ * @param {Object} entry - Report entry
+ * @returns {number}
+ */
+function countDropped(entry) {
+    return Object.values(entry.dropped).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Render the report as Markdown
+ * @param {Object} report - Report object
+ * @returns {string}
+ */
+function renderMarkdown(report) {
+    const percent = value => (value === null ? '–' : `${value}%`);
+    const { totals } = report;
+    const lines = [
+        '# Source Health Report',
+        '',
+        `Generated ${report.generatedAt}${report.fixtureMode ? ` (FIXTURE_MODE=${report.fixtureMode})` : ''}`,
+        '',
+        `**${totals.ok}** ok, **${totals.empty}** empty, **${totals.failed}** failed, **${totals.skipped}** skipped ` +
+            `of ${totals.sources} sources — ${totals.jobs} jobs, ${totals.dropped} dropped, ${totals.invalidJobs} with schema issues`,
+        '',
+        `| Source | Type | Status | Jobs | Dropped | Latency | ${COMPLETENESS_FIELDS.join(' | ')} | Schema issues |`,
+        `|---|---|---|---:|---|---:|${COMPLETENESS_FIELDS.map(() => '---:').join('|')}|---|`
+    ];
+
+    for (const source of report.sources) {
+        const issues = Object.entries(source.issues).map(([issue, count]) => `${issue} (${count})`).join(', ');
+        const dropped = Object.entries(source.dropped).map(([reason, count]) => `${reason} (${count})`).join(', ');
+        lines.push(`| ${source.name} | ${source.type} | ${STATUS_ICONS[source.status]} ${source.status} | ${source.count} | ${dropped} | ` +
+            `${(source.durationMs / 1000).toFixed(1)}s | ${COMPLETENESS_FIELDS.map(field => percent(source.completeness[field])).join(' | ')} | ${issues} |`);
+    }
+
+    const problems = report.sources.filter(source => source.error || source.skipped);
+    if (problems.length) {
+        lines.push('', '## Failed and skipped sources', '');
+        problems.forEach(source => lines.push(`- **${source.name}** — ${source.error || source.skipped}`));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Print one line per source
+ * @param {Object} report - Report object
+ */
+function printReport(report) {
+    for (const source of report.sources) {
+        const detail = source.error || source.skipped || (source.count === 0 ? '0 jobs' :
+            `${source.count} jobs, date ${source.completeness.date}%, location ${source.completeness.location}%, description ${source.completeness.description}%` +
+            (countDropped(source) ? `, ${countDropped(source)} dropped` : '') +
+            (source.invalidJobs ? `, ${source.invalidJobs} with schema issues` : ''));
+        console.log(`  ${STATUS_ICONS[source.status]} ${source.name.padEnd(35)} ${(source.durationMs / 1000).toFixed(1).padStart(5)}s  ${detail}`);
+    }
+
+    const { totals } = report;
+    console.log(`\n📊 ${totals.ok} ok, ${totals.empty} empty, ${totals.failed} failed, ${totals.skipped} skipped — ${totals.jobs} jobs, ${totals.dropped} dropped`);
+    console.log(`📡 HTTP: ${totals.httpRequests} requests, ${totals.httpRetries} retries, ${totals.httpFailures} failures`);
+}
+
+/**
+ * Check a candidate endpoint: JSON job arrays, JobPosting JSON-LD or server-rendered markers
+ * @param {string} url - Endpoint URL
+ * @param {string} [body] - JSON body (sends a POST)
+ */
+async function probe(url, body) {
+    const http = createHttpClient({ userAgent: 'browser', idempotent: true, retries: 1 });
+    const config = { timeout: 15000, headers: { 'Accept': 'application/json, text/html, */*' } };
+    const response = body ? await http.post(url, JSON.parse(body), config) : await http.get(url, config);
+    const data = response.data;
+
+    if (data && typeof data === 'object') {
+        const key = Array.isArray(data) ? null :
+            Object.keys(data).find(name => Array.isArray(data[name]) && data[name].length > 0);
+        const items = Array.isArray(data) ? data : key ? data[key] : [];
+        console.log(`✅ ${response.status} JSON — ${items.length} items in ${key ? `$.${key}[*]` : '$[*]'}`);
+        if (items[0] && typeof items[0] === 'object') {
+            console.log(`   First item keys: ${Object.keys(items[0]).slice(0, 15).join(', ')}`);
+        }
+        console.log('   → add a JSON source (declarative file or code), see src/config/README-JobSources.md');
+        return;
+    }
+
+    const html = String(data || '');
+    const postings = extractJobPostings(html).length;
+    const hasMarkers = /job-title|jobTitle|job_listing|career-item|position-title/i.test(html);
+    console.log(`⚠️  ${response.status} HTML — ${html.length} bytes`);
+    console.log(postings ? `   ${postings} JobPosting JSON-LD → use a type: 'jsonld' source` :
+        hasMarkers ? "   Job markers found → use a type: 'html' source with CSS selectors" :
+        '   No job markers — rendered in the browser, needs an API or a headless browser');
+}
+
+async function run() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.probe) {
+        return probe(options.probe, options.body);
+    }
+
+    const sources = selectSources(options);
+    if (sources.length === 0) {
+        throw new Error('No sources match the given filters');
+    }
+
+    console.log(`\n🩺 Checking ${sources.length} source(s)${FIXTURE_MODE ? ` (FIXTURE_MODE=${FIXTURE_MODE})` : ''}...\n`);
+    const { sourceResults } = await fetchJobsFromAllSources(context, {
+        sources,
+        concurrency: parseInt(options.concurrency, 10) || FETCH_CONCURRENCY,
+        timeoutMs: parseInt(options.timeout, 10) || SOURCE_TIMEOUT_MS
+    });
+
+    const entries = sources
+        .map((source, index) => summarizeSource(source, sourceResults[index]))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const metrics = getMetrics();
+    const count = status => entries.filter(entry => entry.status === status).length;
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        fixtureMode: FIXTURE_MODE,
+        totals: {
+            sources: entries.length,
+            ok: count('ok'),
+            empty: count('empty'),
+            failed: count('failed'),
+            skipped: count('skipped'),
+            jobs: entries.reduce((sum, entry) => sum + entry.count, 0),
+            dropped: entries.reduce((sum, entry) => sum + countDropped(entry), 0),
+            invalidJobs: entries.reduce((sum, entry) => sum + entry.invalidJobs, 0),
+            httpRequests: metrics.requests,
+            httpRetries: metrics.retries,
+            httpFailures: metrics.failures
+        },
+        sources: entries
+    };
+
+    printReport(report);
+
+    fs.mkdirSync(options.out, { recursive: true });
+    const jsonPath = path.join(options.out, 'source-health.json');
+    const markdownPath = path.join(options.out, 'source-health.md');
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n');
+    fs.writeFileSync(markdownPath, renderMarkdown(report));
+    console.log(`📝 Report written to ${jsonPath} and ${markdownPath}\n`);
+
+    if (options.strict && report.totals.failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+run().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
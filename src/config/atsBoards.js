@@ -0,0 +1,54 @@
+/**
+ * ATS Company Boards Configuration
+ * Companies whose public job boards are read by the generic ATS adapters
+ * in src/services/webScraper.js. Each entry becomes one job source.
+ *
+ * Status — VERIFIED / LIKELY / UNVERIFIED (same meaning as in webScraper.js)
+ */
+
+// =============================================================================
+// GREENHOUSE — https://boards-api.greenhouse.io/v1/boards/{token}/jobs
+// Find the token in the careers page URL: boards.greenhouse.io/{token}
+// or job-boards.greenhouse.io/{token}
+// =============================================================================
+
+const GREENHOUSE_BOARDS = [
+    { token: 'cloudflare',  company: 'Cloudflare' },   // VERIFIED
+    { token: 'hashicorp',   company: 'HashiCorp' },    // LIKELY
+    { token: 'crowdstrike', company: 'CrowdStrike' },  // UNVERIFIED
+    { token: 'postman',     company: 'Postman' },      // LIKELY — Bengaluru office
+    { token: 'rubrik',      company: 'Rubrik' },       // LIKELY — Bengaluru office
+    { token: 'mongodb',     company: 'MongoDB' },      // LIKELY — Gurugram office
+    { token: 'elastic',     company: 'Elastic' },      // LIKELY
+    { token: 'gitlab',      company: 'GitLab' },       // LIKELY — remote
+    { token: 'okta',        company: 'Okta' },         // LIKELY — Bengaluru office
+];
+
+// =============================================================================
+// LEVER — https://api.lever.co/v0/postings/{slug}?mode=json
+// Find the slug in the careers page URL: jobs.lever.co/{slug}
+// =============================================================================
+
+const LEVER_COMPANIES = [
+    { slug: 'cred',        company: 'CRED' },         // LIKELY
+    { slug: 'meesho',      company: 'Meesho' },       // LIKELY
+    { slug: 'zeta',        company: 'Zeta' },         // UNVERIFIED
+    { slug: 'dreamsports', company: 'Dream Sports' }, // UNVERIFIED
+];
+
+// =============================================================================
+// ASHBY — https://api.ashbyhq.com/posting-api/job-board/{org}
+// Find the org in the careers page URL: jobs.ashbyhq.com/{org}
+// =============================================================================
+
+const ASHBY_COMPANIES = [
+    { org: 'atlan',   company: 'Atlan' },    // LIKELY
+    { org: 'hasura',  company: 'Hasura' },   // UNVERIFIED
+    { org: 'plivo',   company: 'Plivo' },    // UNVERIFIED
+];
+
+module.exports = {
+    GREENHOUSE_BOARDS,
+    LEVER_COMPANIES,
+    ASHBY_COMPANIES
+};
@@ -3,6 +3,8 @@
  * All keywords, filters, and settings in one place
  */
 
+const path = require('path');
+
 // Time window configuration (used only for FIRST run, then switches to incremental)
 const TIME_WINDOWS = {
     DAY: 1,
@@ -13,10 +15,83 @@ const TIME_WINDOWS = {
 // Azure Table Storage configuration
 const TABLE_NAME = 'jobalerts';
 const TABLE_META = 'jobmetadata';
+const TABLE_SOURCE_HEALTH = 'sourcehealth';
+const TABLE_CACHE = 'jobcache'; // Response cache and other run-to-run state (src/storage/cacheStore.js)
+const CACHE_DIR = process.env.CACHE_DIR || '.cache'; // File cache location when CACHE_STORE=file
 const PARTITION_KEY = 'jobs';
 const MAX_JOBS_PER_RUN = 50; // Maximum jobs to send in one run
 const MAX_SCAN_LIMIT = 500; // Stop scanning after this limit
 
+// Source fetching (override with FETCH_CONCURRENCY / SOURCE_TIMEOUT_MS)
+const FETCH_CONCURRENCY = parseInt(process.env.FETCH_CONCURRENCY, 10) || 6; // Sources fetched in parallel
+const SOURCE_TIMEOUT_MS = parseInt(process.env.SOURCE_TIMEOUT_MS, 10) || 45000; // Hard deadline per source
+const MAX_PAGES_PER_SOURCE = parseInt(process.env.MAX_PAGES_PER_SOURCE, 10) || 3; // Default page cap for paginated sources
+const SOURCE_CONFIG_DIR = process.env.SOURCE_CONFIG_DIR || path.join(__dirname, 'sources'); // Declarative JSON/YAML sources
+
+// Detail-page enrichment (src/services/jobEnricher.js): jobs with a missing or short
+// description get their detail page fetched before filtering, within these limits
+const ENRICH_MAX_PAGES = parseInt(process.env.ENRICH_MAX_PAGES, 10) || 40; // Pages fetched per run (cache hits are free)
+const ENRICH_MAX_PER_SOURCE = parseInt(process.env.ENRICH_MAX_PER_SOURCE, 10) || 10; // Keeps one source from using the whole budget
+const ENRICH_CONCURRENCY = 3;
+const ENRICH_TIMEOUT_MS = parseInt(process.env.ENRICH_TIMEOUT_MS, 10) || 90000; // Deadline for the whole stage
+const ENRICH_MIN_DESCRIPTION = 200; // Shorter descriptions count as missing/truncated
+const ENRICH_CACHE_TTL_DAYS = 7; // Detail pages are re-fetched after this
+
+// Cross-source duplicate detection (src/services/jobDedup.js): the same posting seen
+// on several sources, or already sent from another source, is alerted once
+const DEDUP_TITLE_SIMILARITY = parseFloat(process.env.DEDUP_TITLE_SIMILARITY) || 0.85; // Same company and titles at least this similar (0-1)
+const DEDUP_HISTORY_DAYS = parseInt(process.env.DEDUP_HISTORY_DAYS, 10) || 30; // Sent jobs compared against new ones
+const DEDUP_MAX_REDIRECTS = 20; // Short links resolved per run (cached results are free)
+
+// Pay filter (src/models/salary.js parses salaries): jobs with disclosed pay below
+// these are skipped; 0 turns a check off, undisclosed pay always passes
+const MIN_CTC_LPA = parseFloat(process.env.MIN_CTC_LPA) || 0; // Annual pay in lakh INR (foreign pay is converted)
+const MIN_STIPEND_MONTHLY = parseInt(process.env.MIN_STIPEND_MONTHLY, 10) || 0; // Internship stipend in INR per month
+const SALARY_BONUS_LPA = 6; // Scorer bonus for pay at or above this (lakh INR per year)
+
+// Email alert ingestion (src/services/emailIngestion.js): job alert emails read over IMAP
+const EMAIL_MAX_MESSAGES = parseInt(process.env.IMAP_MAX_MESSAGES, 10) || 50; // Messages read per run, newest first
+const EMAIL_LOOKBACK_DAYS = 7; // Unprocessed alerts older than this are ignored
+const EMAIL_PROCESSED_FLAG = 'JBotProcessed'; // IMAP keyword set on handled messages
+
+// Workday boards (src/services/workdayClient.js): tenant discovery and job details
+const WORKDAY_DATA_CENTERS = ['wd1', 'wd3', 'wd5', 'wd12', 'wd103', 'wd105']; // Probed in order when only tenant/board are known
+const WORKDAY_DISCOVERY_TTL_DAYS = 30; // Discovered tenants are re-checked after this
+const WORKDAY_MAX_DETAILS = parseInt(process.env.WORKDAY_MAX_DETAILS, 10) || 20; // Job detail requests per board per run
+
+// HTTP fixtures (src/services/fixtures.js): 'record' saves raw responses per source,
+// 'replay' serves them without network (npm test). Unset in production
+const FIXTURE_MODE = process.env.FIXTURE_MODE || null;
+const FIXTURE_DIR = process.env.FIXTURE_DIR || path.join(__dirname, '..', '..', 'test', 'fixtures');
+
+// HTTP client (src/services/httpClient.js)
+const HTTP_USER_AGENTS = {
+    bot: process.env.HTTP_USER_AGENT || 'JobAlertBot/1.0 (+https://github.com/ayushhhthakur/J-Bot)',
+    browser: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+};
+const HTTP_DEFAULT_TIMEOUT_MS = 15000;
+const HTTP_MAX_RETRIES = parseInt(process.env.HTTP_MAX_RETRIES, 10) || 2; // Retries after the first attempt
+const HTTP_RETRY_BASE_MS = 500; // Back-off doubles per retry: ~0.5s, ~1s, ~2s ...
+const HTTP_MAX_RETRY_AFTER_MS = 30000; // Give up instead of honouring longer Retry-After values
+const HTTP_DEFAULT_HOST_INTERVAL_MS = 200; // Minimum spacing between requests to one host
+const HTTP_HOST_INTERVALS_MS = {
+    'www.reddit.com': 2000, // Public .json endpoints (no OAuth credentials)
+    'oauth.reddit.com': 700, // OAuth clients get 100 requests/minute
+    'api.telegram.org': 1000, // Telegram allows ~1 message/second per chat
+    'api.smartrecruiters.com': 300,
+    'api.adzuna.com': 1000,
+    'jsearch.p.rapidapi.com': 1000,
+    'www.linkedin.com': 1500, // Guest pages rate-limit (429) aggressively
+    'in.linkedin.com': 1500,
+    'internshala.com': 1000,
+    't.me': 1000 // Public channel previews
+};
+
+// Source circuit breaker: after N consecutive failed runs a source is skipped,
+// then re-probed after 1, 2, 4, ... skipped runs (capped at the max)
+const CIRCUIT_BREAKER_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 3;
+const CIRCUIT_BREAKER_MAX_SKIP_RUNS = parseInt(process.env.CIRCUIT_BREAKER_MAX_SKIP_RUNS, 10) || 16;
+
 // Cloud/Infrastructure keywords (your primary target)
 const INCLUDE_KEYWORDS = [
     // Azure ecosystem (your primary target)
@@ -35,6 +110,9 @@ const INCLUDE_KEYWORDS = [
     'Network Engineer', 'Network Security', 'Network Infrastructure',
 ];
 
+// Jobs requiring more experience than this are skipped (src/models/experience.js reads the requirement)
+const MAX_EXPERIENCE_YEARS = 2;
+
 // Entry-level keywords (0-2 years of experience)
 const ENTRY_LEVEL_KEYWORDS = [
     'Intern', 'Internship', 'Junior', 'Entry', 'Fresher', 'Graduate', 
@@ -171,10 +249,47 @@ module.exports = {
     TIME_WINDOWS,
     TABLE_NAME,
     TABLE_META,
+    TABLE_SOURCE_HEALTH,
+    TABLE_CACHE,
+    CACHE_DIR,
     PARTITION_KEY,
     MAX_JOBS_PER_RUN,
     MAX_SCAN_LIMIT,
+    FETCH_CONCURRENCY,
+    SOURCE_TIMEOUT_MS,
+    MAX_PAGES_PER_SOURCE,
+    SOURCE_CONFIG_DIR,
+    ENRICH_MAX_PAGES,
+    ENRICH_MAX_PER_SOURCE,
+    ENRICH_CONCURRENCY,
+    ENRICH_TIMEOUT_MS,
+    ENRICH_MIN_DESCRIPTION,
+    ENRICH_CACHE_TTL_DAYS,
+    DEDUP_TITLE_SIMILARITY,
+    DEDUP_HISTORY_DAYS,
+    DEDUP_MAX_REDIRECTS,
+    MIN_CTC_LPA,
+    MIN_STIPEND_MONTHLY,
+    SALARY_BONUS_LPA,
+    EMAIL_MAX_MESSAGES,
+    EMAIL_LOOKBACK_DAYS,
+    EMAIL_PROCESSED_FLAG,
+    WORKDAY_DATA_CENTERS,
+    WORKDAY_DISCOVERY_TTL_DAYS,
+    WORKDAY_MAX_DETAILS,
+    FIXTURE_MODE,
+    FIXTURE_DIR,
+    CIRCUIT_BREAKER_THRESHOLD,
+    CIRCUIT_BREAKER_MAX_SKIP_RUNS,
+    HTTP_USER_AGENTS,
+    HTTP_DEFAULT_TIMEOUT_MS,
+    HTTP_MAX_RETRIES,
+    HTTP_RETRY_BASE_MS,
+    HTTP_MAX_RETRY_AFTER_MS,
+    HTTP_DEFAULT_HOST_INTERVAL_MS,
+    HTTP_HOST_INTERVALS_MS,
     INCLUDE_KEYWORDS,
+    MAX_EXPERIENCE_YEARS,
     ENTRY_LEVEL_KEYWORDS,
     EXCLUDE_KEYWORDS,
     NON_TECHNICAL_KEYWORDS,
@@ -0,0 +1,87 @@
+/**
+ * Cross-source Duplicate Detection Configuration
+ * Used by src/services/jobDedup.js to recognise the same posting on several sources
+ */
+
+// =============================================================================
+// URLS — query parameters that only track the click, and link shorteners whose
+// target is looked up before comparing
+// =============================================================================
+
+// Only names known to be click trackers: generic ones (ref, src, position, id)
+// can select the posting on a careers site and must stay part of the URL
+const TRACKING_PARAMS = [
+    'gclid', 'fbclid', 'msclkid', 'igshid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi',
+    'refid', 'trk', 'trkinfo', 'trackingid', 'lipi', 'originalsubdomain', 'ebp', 'recommendedflavor'
+];
+
+// Any parameter starting with one of these (utm_source, utm_medium, ...)
+const TRACKING_PARAM_PREFIXES = ['utm_', 'pk_', 'mtm_'];
+
+const SHORTENER_HOSTS = [
+    'lnkd.in', 'bit.ly', 't.co', 'tinyurl.com', 'rb.gy', 'shorturl.at', 'cutt.ly', 'surl.li', 'is.gd', 'ow.ly'
+];
+
+// Portals whose job URLs carry a slug next to the job id; the id alone identifies the posting
+const CANONICAL_URL_RULES = [
+    {
+        host: 'linkedin.com', // /jobs/view/cloud-intern-at-acme-4012345678 → /jobs/view/4012345678
+        path: /^\/(?:comm\/)?jobs\/view\/(?:[^/]*-)?(\d+)$/,
+        canonical: ([, id]) => `linkedin.com/jobs/view/${id}`
+    },
+    {
+        host: 'naukri.com',
+        path: /^\/job-listings-.*?-(\d{6,})$/,
+        canonical: ([, id]) => `naukri.com/job-listings-${id}`
+    },
+    {
+        host: 'myworkdayjobs.com', // Same posting with and without the /en-US locale
+        path: /^(?:\/[a-z]{2}-[a-z]{2})?(\/.+)$/i,
+        canonical: ([, path], host) => `${host}${path}`
+    }
+];
+
+// =============================================================================
+// COMPANIES AND TITLES
+// =============================================================================
+
+// Trailing words dropped from company names ("Acme Technologies Pvt Ltd" → "acme")
+const COMPANY_SUFFIXES = [
+    'pvt', 'private', 'ltd', 'limited', 'inc', 'llc', 'llp', 'plc', 'corp', 'corporation', 'co', 'company',
+    'gmbh', 'group', 'india', 'global', 'technologies', 'technology', 'solutions', 'services', 'software', 'systems'
+];
+
+// Companies that say nothing about the employer; such jobs only match by URL
+const PLACEHOLDER_COMPANIES = [
+    '', 'n/a', 'na', 'unknown', 'confidential', 'not disclosed', 'various', 'multiple companies',
+    'via reddit', 'hiring company', 'stealth startup'
+];
+
+// Words that decorate a title without changing the role
+const TITLE_NOISE_WORDS = [
+    'hiring', 'urgent', 'urgently', 'opening', 'openings', 'job', 'jobs', 'vacancy', 'wanted',
+    'immediate', 'joiner', 'joiners', 'apply', 'now', 'new', 'role', 'position', 'for', 'the', 'a', 'an'
+];
+
+const TITLE_ABBREVIATIONS = {
+    sr: 'senior', snr: 'senior', jr: 'junior', engg: 'engineer', eng: 'engineer', mgr: 'manager',
+    dev: 'developer', admin: 'administrator', assoc: 'associate', trainees: 'trainee', interns: 'intern'
+};
+
+// Titles that differ in these words are different roles, however similar the rest is
+const SENIORITY_WORDS = [
+    'intern', 'trainee', 'junior', 'associate', 'senior', 'lead', 'principal', 'staff', 'head', 'manager',
+    'i', 'ii', 'iii', 'iv', '1', '2', '3', '4'
+];
+
+module.exports = {
+    TRACKING_PARAMS,
+    TRACKING_PARAM_PREFIXES,
+    SHORTENER_HOSTS,
+    CANONICAL_URL_RULES,
+    COMPANY_SUFFIXES,
+    PLACEHOLDER_COMPANIES,
+    TITLE_NOISE_WORDS,
+    TITLE_ABBREVIATIONS,
+    SENIORITY_WORDS
+};
@@ -0,0 +1,55 @@
+/**
+ * Experience Extraction Configuration
+ * Used by src/models/experience.js to tell experience requirements from other year counts
+ */
+
+// =============================================================================
+// CONTEXT — a year count only states required experience next to these words.
+// "0-2 yrs" in a title needs no context; "founded 25 years ago" or "3-year
+// degree" are not requirements.
+// =============================================================================
+
+// Directly after the amount: "2 years of relevant experience", "1-3 yrs exp"
+const EXPERIENCE_AFTER = /^\s*(?:of\s+)?(?:(?:relevant|related|hands[-\s]on|professional|work(?:ing)?|industry|total|prior|proven|practical)\s+){0,2}(?:experience|exp\b|work\s+ex)/i;
+
+// Shortly before it: "Experience: 0-1 years", "Exp required - 2 yrs", "with 1 year"
+const EXPERIENCE_BEFORE = /\b(?:experience|exp|work\s+ex)\b[^.;\n]{0,25}$|\b(?:with|having|minimum|min\.?|at\s*least|atleast)\s*(?:of\s+)?$/i;
+
+// Directly after the amount, these make it something else
+const NOT_EXPERIENCE_AFTER = /^\s*(?:-\s*)?(?:old|ago|back|degree|bachelor|b\.?\s?tech|course|program(?:me)?|diploma|bond|contract|agreement|warranty|history|legacy|in\s+business|of\s+(?:age|excellence|legacy|history|operations|service|existence|innovation|trust|growth|industry\s+presence))\b/i;
+
+// Larger counts are company history or tenure, never an entry requirement
+const MAX_PLAUSIBLE_YEARS = 15;
+
+// =============================================================================
+// FRESHERS — phrases that open a job to candidates without experience
+// =============================================================================
+
+const FRESHER_PATTERNS = [
+    /\bfreshers?\s+(?:are\s+)?(?:welcome|can\s+apply|may\s+apply|eligible|encouraged|preferred|only)\b/i,
+    /\b(?:open\s+to|hiring|for)\s+freshers\b/i,
+    /\bno\s+(?:prior\s+)?(?:work\s+)?experience\s+(?:is\s+)?(?:required|needed|necessary)\b/i,
+    /\b(?:fresh|recent)\s+graduates?\b/i,
+    /\bentry[-\s]level\b/i
+];
+
+// The bare word only counts when no experience is stated next to the word experience
+const FRESHER_WORD = /\bfresher\b/i;
+
+// Directly before a fresher phrase, these negate it: "not for freshers",
+// "not a fresher role", "non-fresher", "no freshers"
+const FRESHER_NEGATION = /\b(?:not|no|non)\b[\s-]*(?:[a-z]+\s+){0,2}$/i;
+
+// Titles of roles meant for candidates without experience
+const FRESHER_TITLE = /\b(?:intern(?:ship)?|trainee|fresher|apprentice|graduate\s+engineer|campus)\b/i;
+
+module.exports = {
+    EXPERIENCE_AFTER,
+    EXPERIENCE_BEFORE,
+    NOT_EXPERIENCE_AFTER,
+    MAX_PLAUSIBLE_YEARS,
+    FRESHER_PATTERNS,
+    FRESHER_WORD,
+    FRESHER_NEGATION,
+    FRESHER_TITLE
+};
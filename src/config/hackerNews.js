@@ -0,0 +1,47 @@
+/**
+ * Hacker News Configuration
+ * "Ask HN: Who is hiring?" thread lookup and comment header parsing used by
+ * src/services/hackerNewsClient.js
+ *
+ * The thread is posted by the whoishiring account on the first weekday of each
+ * month; every top-level comment is one company's post. Most start with a
+ * pipe-delimited header line:
+ *
+ *   Acme Cloud | Senior SRE, Security Engineer | Bangalore, India | REMOTE (IST) | https://acme.example/jobs
+ */
+
+// Thread lookup: newest stories by the posting account whose title matches
+const HN_HIRING_THREAD = {
+    author: 'whoishiring',
+    titlePattern: /^ask hn: who is hiring\?/i,
+};
+
+// Comment listing (Algolia returns at most 1000 hits per query)
+const HN_COMMENTS = {
+    pageSize: 500,
+    maxPages: 2,
+};
+
+// Header parts that describe where the job is (checked after HN_ROLE_PATTERN, so
+// "SRE, Security Engineer" is a role list and "Pune, India" a location)
+const HN_REMOTE_PATTERN = /\bremote\b/i;
+const HN_HYBRID_PATTERN = /\bhybrid\b/i;
+const HN_ONSITE_PATTERN = /\b(on-?site|in[- ]office|in[- ]person)\b/i;
+const HN_LOCATION_PATTERN = /\b(remote|on-?site|hybrid|worldwide|anywhere|global|india|usa?|uk|eu|europe|emea|apac|asia|canada|germany|singapore|[a-z .]+,\s*[a-z .]{2,})\b/i;
+
+// Header parts that name a role
+const HN_ROLE_PATTERN = /\b(engineers?|developers?|devops|sre|security|analysts?|architects?|scientists?|administrators?|admins?|designers?|managers?|interns?|leads?|head of|founding|cto|programmers?|specialists?|consultants?)\b/i;
+
+// Header parts that carry pay or employment terms (never a role or location)
+const HN_TERMS_PATTERN = /[$€£₹]|\b\d+k\b|\blpa\b|\bsalary\b|\bequity\b|\bfull[- ]?time\b|\bpart[- ]?time\b|\bcontract\b|\bvisa\b/i;
+
+module.exports = {
+    HN_HIRING_THREAD,
+    HN_COMMENTS,
+    HN_REMOTE_PATTERN,
+    HN_HYBRID_PATTERN,
+    HN_ONSITE_PATTERN,
+    HN_LOCATION_PATTERN,
+    HN_ROLE_PATTERN,
+    HN_TERMS_PATTERN,
+};
@@ -18,11 +18,22 @@ const REMOTE_JOB_APIS = {
 };
 
 // =============================================================================
-// REDDIT JOB SUBREDDITS
+// REDDIT API (subreddits and megathreads: src/config/reddit.js)
 // =============================================================================
 
 const REDDIT_APIS = {
-    jobSubreddits: 'https://www.reddit.com/r/forhire+devopsjobs+jobsinindia+indiajobs+cscareerquestionsIndia.json?limit=100',
+    accessToken: 'https://www.reddit.com/api/v1/access_token',
+    oauthBase: 'https://oauth.reddit.com',
+    publicBase: 'https://www.reddit.com',
+};
+
+// =============================================================================
+// HACKER NEWS (Algolia search API; thread lookup in src/config/hackerNews.js)
+// =============================================================================
+
+const HACKER_NEWS_APIS = {
+    searchByDate: 'https://hn.algolia.com/api/v1/search_by_date',
+    item: 'https://news.ycombinator.com/item',
 };
 
 // =============================================================================
@@ -30,8 +41,9 @@ const REDDIT_APIS = {
 // =============================================================================
 
 const INDIA_JOB_PORTALS = {
+    // {page} is filled in by the pagination helper (src/services/pagination.js)
     adzunaIndia: (appId, appKey) => 
-        `https://api.adzuna.com/v1/api/jobs/in/search/1?app_id=${appId}&app_key=${appKey}&results_per_page=50&what=azure%20cloud%20devops%20security&where=india&max_days_old=30`,
+        `https://api.adzuna.com/v1/api/jobs/in/search/{page}?app_id=${appId}&app_key=${appKey}&results_per_page=50&what=azure%20cloud%20devops%20security&where=india&max_days_old=30`,
     
     findJobIn: 'https://findjob.in/api/jobs?category=it-software&location=india&limit=50',
     
@@ -86,7 +98,7 @@ const INDIAN_IT_COMPANIES = {
 const STARTUP_PLATFORMS = {
     instahyre: 'https://www.instahyre.com/api/jobs/?opportunities_type=job&experience_min=0&experience_max=3&location=India&limit=50',
     cutshort: 'https://cutshort.io/api/jobs?location=India&experience=0-2&limit=50',
-    hasjob: 'https://hasjob.co/api/1/feed',
+    hasjob: 'https://hasjob.co/feed', // Atom feed (type: 'feed')
 };
 
 // =============================================================================
@@ -107,7 +119,6 @@ const INTERNSHIP_PLATFORMS = {
 const TECH_COMMUNITY_PLATFORMS = {
     geeksforgeeks: 'https://www.geeksforgeeks.org/jobs-api/search?experience=0-2&location=India&limit=50',
     hackerearth: 'https://www.hackerearth.com/api/jobs?location=India&experience=0-2&limit=50',
-    stackoverflow: 'https://stackoverflow.com/jobs/feed?l=India&u=Mi&d=100&r=true',
     skillenza: 'https://skillenza.com/api/jobs?location=India&experience_min=0&experience_max=2',
 };
 
@@ -117,7 +128,7 @@ const TECH_COMMUNITY_PLATFORMS = {
 
 const AGGREGATOR_APIS = {
     jsearch: {
-        url: 'https://jsearch.p.rapidapi.com/search?query=azure%20cloud%20devops%20security%20india&page=1&num_pages=1&date_posted=month',
+        url: 'https://jsearch.p.rapidapi.com/search?query=azure%20cloud%20devops%20security%20india&num_pages=1&date_posted=month',
         requiresAuth: true,
         headers: (apiKey) => ({
             'X-RapidAPI-Key': apiKey || process.env.RAPIDAPI_KEY || '',
@@ -138,6 +149,7 @@ module.exports = {
     // Individual categories
     REMOTE_JOB_APIS,
     REDDIT_APIS,
+    HACKER_NEWS_APIS,
     INDIA_JOB_PORTALS,
     TECH_COMPANY_CAREERS,
     INDIAN_IT_COMPANIES,
@@ -149,7 +161,6 @@ module.exports = {
     // Flattened list of all URLs for easy access
     ALL_URLS: {
         ...REMOTE_JOB_APIS,
-        ...REDDIT_APIS,
         ...INDIA_JOB_PORTALS,
         ...TECH_COMPANY_CAREERS,
         ...INDIAN_IT_COMPANIES,
@@ -162,7 +173,6 @@ module.exports = {
     getSourceCount: () => {
         return Object.keys({
             ...REMOTE_JOB_APIS,
-            ...REDDIT_APIS,
             ...INDIA_JOB_PORTALS,
             ...TECH_COMPANY_CAREERS,
             ...INDIAN_IT_COMPANIES,
@@ -98,6 +98,24 @@ function createSimpleJobSource(name, url, config = {}) {
     };
 }
 
+/**
+ * Quick RSS/Atom Feed Source Creator
+ * Items are parsed by src/services/feedParser.js when the source is fetched
+ * 
+ * @param {string} name - Display name for the job source
+ * @param {string} url - Feed URL
+ * @param {Object} options - { company, location, jobType, titleSeparator }
+ * @returns {Object} - Job source object
+ */
+function createFeedJobSource(name, url, options = {}) {
+    return {
+        name: name,
+        type: 'feed',
+        url: url,
+        feed: options
+    };
+}
+
 /**
  * QUICK ADD TEMPLATES
  * Copy and modify these examples to add new sources quickly
@@ -131,7 +149,16 @@ const EXAMPLE_API_WITH_AUTH = createSimpleJobSource(
     }
 );
 
-// Example 3: API with dynamic URL
+// Example 3: RSS/Atom feed (e.g. a Google Alerts feed)
+const EXAMPLE_FEED = createFeedJobSource(
+    'Example Google Alert',
+    'https://www.google.com/alerts/feeds/00000000000000000000/0000000000000000000',
+    {
+        location: 'India'
+    }
+);
+
+// Example 4: API with dynamic URL
 const EXAMPLE_DYNAMIC_URL = createSimpleJobSource(
     'Example Dynamic API',
     () => {
@@ -148,6 +175,7 @@ const EXAMPLE_DYNAMIC_URL = createSimpleJobSource(
  */
 module.exports = {
     createSimpleJobSource,
+    createFeedJobSource,
     
     // URL configurations
     urls,
@@ -163,6 +191,7 @@ module.exports = {
     EXAMPLES: {
         EXAMPLE_SIMPLE_API,
         EXAMPLE_API_WITH_AUTH,
+        EXAMPLE_FEED,
         EXAMPLE_DYNAMIC_URL
     }
 };
@@ -0,0 +1,225 @@
+/**
+ * Location Gazetteer
+ * Used by src/models/location.js to read location strings into places
+ *
+ * Offline and hand-maintained: Indian states and union territories, the cities
+ * jobs are posted in (with old and short names), metro regions, and the foreign
+ * countries, states and cities that show up in remote and global postings.
+ * Names are matched as whole words, so "Indiana" never matches "India".
+ */
+
+// =============================================================================
+// INDIA — states and union territories. `codes` are matched only as a whole
+// comma-separated part after an Indian city or state ("Gurugram, HR"), never
+// inside text: most of them are US state codes too ("Portland, OR").
+// =============================================================================
+
+const INDIAN_STATES = [
+    { name: 'Andhra Pradesh', codes: ['AP'] },
+    { name: 'Arunachal Pradesh', codes: ['AR'] },
+    { name: 'Assam', codes: ['AS'] },
+    { name: 'Bihar', codes: ['BR'] },
+    { name: 'Chhattisgarh', codes: ['CG', 'CT'] },
+    { name: 'Goa', codes: ['GA'] },
+    { name: 'Gujarat', codes: ['GJ'] },
+    { name: 'Haryana', codes: ['HR'] },
+    { name: 'Himachal Pradesh', codes: ['HP'] },
+    { name: 'Jharkhand', codes: ['JH'] },
+    { name: 'Karnataka', codes: ['KA'] },
+    { name: 'Kerala', codes: ['KL'] },
+    { name: 'Madhya Pradesh', codes: ['MP'] },
+    { name: 'Maharashtra', codes: ['MH'] },
+    { name: 'Manipur', codes: ['MN'] },
+    { name: 'Meghalaya', codes: ['ML'] },
+    { name: 'Mizoram', codes: ['MZ'] },
+    { name: 'Nagaland', codes: ['NL'] },
+    { name: 'Odisha', aliases: ['Orissa'], codes: ['OD', 'OR'] },
+    { name: 'Punjab', codes: ['PB'] },
+    { name: 'Rajasthan', codes: ['RJ'] },
+    { name: 'Sikkim', codes: ['SK'] },
+    { name: 'Tamil Nadu', aliases: ['Tamilnadu'], codes: ['TN'] },
+    { name: 'Telangana', codes: ['TS', 'TG'] },
+    { name: 'Tripura', codes: ['TR'] },
+    { name: 'Uttar Pradesh', codes: ['UP'] },
+    { name: 'Uttarakhand', aliases: ['Uttaranchal'], codes: [] }, // "UK" is read as the United Kingdom
+    { name: 'West Bengal', codes: ['WB'] },
+    { name: 'Delhi', aliases: ['NCT of Delhi'], codes: ['DL'] },
+    { name: 'Chandigarh', codes: ['CH'] },
+    { name: 'Jammu and Kashmir', aliases: ['Jammu & Kashmir', 'J&K'], codes: ['JK'] },
+    { name: 'Ladakh', codes: ['LA'] },
+    { name: 'Puducherry', aliases: ['Pondicherry'], codes: ['PY'] },
+    { name: 'Andaman and Nicobar Islands', codes: ['AN'] },
+    { name: 'Dadra and Nagar Haveli and Daman and Diu', codes: ['DN', 'DD'] },
+    { name: 'Lakshadweep', codes: ['LD'] }
+];
+
+// Canonical name → { state, aliases }
+const INDIAN_CITIES = {
+    'Bengaluru': { state: 'Karnataka', aliases: ['Bangalore', 'Banglore', 'Blr'] },
+    'Mysuru': { state: 'Karnataka', aliases: ['Mysore'] },
+    'Mangaluru': { state: 'Karnataka', aliases: ['Mangalore'] },
+    'Hubballi': { state: 'Karnataka', aliases: ['Hubli'] },
+    'Mumbai': { state: 'Maharashtra', aliases: ['Bombay'] },
+    'Navi Mumbai': { state: 'Maharashtra' },
+    'Thane': { state: 'Maharashtra' },
+    'Pune': { state: 'Maharashtra', aliases: ['Poona'] },
+    'Nagpur': { state: 'Maharashtra' },
+    'Nashik': { state: 'Maharashtra', aliases: ['Nasik'] },
+    'Aurangabad': { state: 'Maharashtra', aliases: ['Chhatrapati Sambhajinagar'] },
+    'Hyderabad': { state: 'Telangana', aliases: ['Cyberabad'] },
+    'Secunderabad': { state: 'Telangana' },
+    'Warangal': { state: 'Telangana' },
+    'Chennai': { state: 'Tamil Nadu', aliases: ['Madras'] },
+    'Coimbatore': { state: 'Tamil Nadu' },
+    'Madurai': { state: 'Tamil Nadu' },
+    'Tiruchirappalli': { state: 'Tamil Nadu', aliases: ['Trichy'] },
+    'Kolkata': { state: 'West Bengal', aliases: ['Calcutta'] },
+    'Durgapur': { state: 'West Bengal' },
+    'Ahmedabad': { state: 'Gujarat', aliases: ['Amdavad'] },
+    'Gandhinagar': { state: 'Gujarat', aliases: ['GIFT City'] },
+    'Surat': { state: 'Gujarat' },
+    'Vadodara': { state: 'Gujarat', aliases: ['Baroda'] },
+    'Rajkot': { state: 'Gujarat' },
+    'Jaipur': { state: 'Rajasthan' },
+    'Jodhpur': { state: 'Rajasthan' },
+    'Udaipur': { state: 'Rajasthan' },
+    'Indore': { state: 'Madhya Pradesh' },
+    'Bhopal': { state: 'Madhya Pradesh' },
+    'Delhi': { state: 'Delhi' },
+    'New Delhi': { state: 'Delhi' },
+    'Noida': { state: 'Uttar Pradesh' },
+    'Greater Noida': { state: 'Uttar Pradesh' },
+    'Ghaziabad': { state: 'Uttar Pradesh' },
+    'Lucknow': { state: 'Uttar Pradesh' },
+    'Kanpur': { state: 'Uttar Pradesh' },
+    'Varanasi': { state: 'Uttar Pradesh' },
+    'Gurugram': { state: 'Haryana', aliases: ['Gurgaon'] },
+    'Faridabad': { state: 'Haryana' },
+    'Panchkula': { state: 'Haryana' },
+    'Chandigarh': { state: 'Chandigarh' },
+    'Mohali': { state: 'Punjab', aliases: ['SAS Nagar'] },
+    'Ludhiana': { state: 'Punjab' },
+    'Amritsar': { state: 'Punjab' },
+    'Thiruvananthapuram': { state: 'Kerala', aliases: ['Trivandrum'] },
+    'Kochi': { state: 'Kerala', aliases: ['Cochin', 'Ernakulam'] },
+    'Kozhikode': { state: 'Kerala', aliases: ['Calicut'] },
+    'Visakhapatnam': { state: 'Andhra Pradesh', aliases: ['Vizag'] },
+    'Vijayawada': { state: 'Andhra Pradesh' },
+    'Tirupati': { state: 'Andhra Pradesh' },
+    'Bhubaneswar': { state: 'Odisha', aliases: ['Bhubaneshwar'] },
+    'Patna': { state: 'Bihar' },
+    'Ranchi': { state: 'Jharkhand' },
+    'Jamshedpur': { state: 'Jharkhand' },
+    'Raipur': { state: 'Chhattisgarh' },
+    'Dehradun': { state: 'Uttarakhand' },
+    'Guwahati': { state: 'Assam' },
+    'Panaji': { state: 'Goa', aliases: ['Panjim'] },
+    'Puducherry': { state: 'Puducherry', aliases: ['Pondicherry'] },
+    'Srinagar': { state: 'Jammu and Kashmir' },
+    'Jammu': { state: 'Jammu and Kashmir' },
+    'Shimla': { state: 'Himachal Pradesh' }
+};
+
+// Metro regions: a posting for the region (or any member city) is tagged with it
+const METRO_REGIONS = {
+    'Delhi NCR': {
+        aliases: ['Delhi NCR', 'Delhi-NCR', 'Delhi/NCR', 'NCR', 'National Capital Region'],
+        cities: ['Delhi', 'New Delhi', 'Noida', 'Greater Noida', 'Gurugram', 'Faridabad', 'Ghaziabad']
+    },
+    'Mumbai Metropolitan Region': {
+        aliases: ['MMR'],
+        cities: ['Mumbai', 'Navi Mumbai', 'Thane']
+    },
+    'Chandigarh Tricity': {
+        aliases: ['Tricity'],
+        cities: ['Chandigarh', 'Mohali', 'Panchkula']
+    }
+};
+
+// The country as a whole ("Pan India", "Anywhere in India")
+const INDIA_NAMES = ['India', 'Bharat', 'Pan India', 'Pan-India', 'All India', 'Anywhere in India'];
+const INDIA_CODES = ['IN', 'IND']; // Whole parts after an Indian city or state ("Pune, MH, IN") only
+
+// =============================================================================
+// ABROAD — countries with their aliases, states and cities. `codes` are
+// case-sensitive ("US", not "us"); other country codes clash with Indian state
+// codes (CH, BR, NL, ...) and are left out.
+// =============================================================================
+
+const FOREIGN_PLACES = {
+    'United States': {
+        aliases: ['USA', 'U.S.', 'U.S.A.', 'United States of America', 'America'],
+        codes: ['US'],
+        states: [
+            'Alabama', 'Alaska', 'Arizona', 'Arkansas', 'California', 'Colorado', 'Connecticut', 'Delaware',
+            'Florida', 'Hawaii', 'Idaho', 'Illinois', 'Indiana', 'Iowa', 'Kansas', 'Kentucky', 'Louisiana',
+            'Maine', 'Maryland', 'Massachusetts', 'Michigan', 'Minnesota', 'Mississippi', 'Missouri', 'Montana',
+            'Nebraska', 'Nevada', 'New Hampshire', 'New Jersey', 'New Mexico', 'North Carolina', 'North Dakota',
+            'Ohio', 'Oklahoma', 'Oregon', 'Pennsylvania', 'Rhode Island', 'South Carolina', 'South Dakota',
+            'Tennessee', 'Texas', 'Utah', 'Vermont', 'Virginia', 'Washington', 'West Virginia', 'Wisconsin', 'Wyoming'
+        ],
+        cities: [
+            'New York', 'NYC', 'San Francisco', 'Seattle', 'Austin', 'Boston', 'Chicago', 'Los Angeles',
+            'San Jose', 'San Diego', 'Atlanta', 'Denver', 'Dallas', 'Houston', 'Miami', 'Bay Area', 'Silicon Valley'
+        ]
+    },
+    'United Kingdom': {
+        aliases: ['U.K.', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'],
+        codes: ['UK', 'GB'],
+        cities: ['London', 'Manchester', 'Edinburgh', 'Birmingham', 'Glasgow', 'Bristol', 'Cambridge', 'Oxford']
+    },
+    'Canada': { cities: ['Toronto', 'Vancouver', 'Montreal', 'Ottawa', 'Calgary', 'Waterloo'] },
+    'Australia': { cities: ['Sydney', 'Melbourne', 'Brisbane', 'Perth', 'Adelaide', 'Canberra'] },
+    'Germany': { aliases: ['Deutschland'], cities: ['Berlin', 'Munich', 'München', 'Frankfurt', 'Hamburg', 'Dortmund', 'Cologne', 'Stuttgart'] },
+    'Netherlands': { aliases: ['Holland', 'The Netherlands'], cities: ['Amsterdam', 'Rotterdam', 'Eindhoven', 'Utrecht'] },
+    'France': { cities: ['Paris', 'Lyon'] },
+    'Ireland': { cities: ['Dublin', 'Cork'] },
+    'Spain': { cities: ['Madrid', 'Barcelona'] },
+    'Portugal': { cities: ['Lisbon', 'Porto'] },
+    'Poland': { cities: ['Warsaw', 'Krakow', 'Kraków', 'Wroclaw'] },
+    'Switzerland': { cities: ['Zurich', 'Zürich', 'Geneva'] },
+    'Sweden': { cities: ['Stockholm'] },
+    'Israel': { cities: ['Tel Aviv'] },
+    'Singapore': {  },
+    'United Arab Emirates': { aliases: ['U.A.E.'], codes: ['UAE'], cities: ['Dubai', 'Abu Dhabi', 'Sharjah'] },
+    'Saudi Arabia': { codes: ['KSA'], cities: ['Riyadh', 'Jeddah'] },
+    'Qatar': { cities: ['Doha'] },
+    'Japan': { cities: ['Tokyo', 'Osaka'] },
+    'China': { cities: ['Beijing', 'Shanghai', 'Shenzhen'] },
+    'Philippines': { cities: ['Manila'] },
+    'Malaysia': { cities: ['Kuala Lumpur'] },
+    'Pakistan': { cities: ['Karachi', 'Lahore', 'Islamabad'] },
+    'Bangladesh': { cities: ['Dhaka'] },
+    'Sri Lanka': { cities: ['Colombo'] },
+    'Nepal': { cities: ['Kathmandu'] },
+    'Brazil': { cities: ['São Paulo', 'Sao Paulo'] },
+    'Mexico': { cities: ['Mexico City'] }
+};
+
+// Regions made of foreign countries only ("Remote - EMEA"); APAC includes India and is not listed
+const FOREIGN_REGIONS = {
+    'Europe': ['Europe', 'European Union', 'EU', 'EMEA', 'EEA'],
+    'North America': ['North America', 'AMER'],
+    'Latin America': ['Latin America', 'LATAM']
+};
+
+// =============================================================================
+// WORK MODE — checked in order, the first match wins
+// =============================================================================
+
+const WORK_MODE_PATTERNS = [
+    { mode: 'hybrid', pattern: /\bhybrid\b/i },
+    { mode: 'remote', pattern: /\bremote\b|\bwork\s+from\s+home\b|\bwfh\b|\banywhere\b(?!\s+in\s+india)|\bworldwide\b/i },
+    { mode: 'onsite', pattern: /\bon[-\s]?site\b|\bin[-\s]office\b|\bwork\s+from\s+office\b|\bwfo\b/i }
+];
+
+module.exports = {
+    INDIAN_STATES,
+    INDIAN_CITIES,
+    METRO_REGIONS,
+    INDIA_NAMES,
+    INDIA_CODES,
+    FOREIGN_PLACES,
+    FOREIGN_REGIONS,
+    WORK_MODE_PATTERNS
+};
@@ -0,0 +1,98 @@
+/**
+ * Reddit Configuration
+ * Subreddits, megathreads and post classification used by src/services/redditClient.js
+ *
+ * Credentials (optional, recommended): create a "script" app at
+ * https://www.reddit.com/prefs/apps and set REDDIT_CLIENT_ID / REDDIT_CLIENT_SECRET.
+ * Without them the public .json endpoints are used, which Reddit throttles hard.
+ */
+
+// =============================================================================
+// SUBREDDITS — read together as one multireddit, newest posts first
+// =============================================================================
+
+const REDDIT_SUBREDDITS = [
+    'forhire',
+    'devopsjobs',
+    'jobsinindia',
+    'indiajobs',
+    'cscareerquestionsIndia',
+];
+
+// Listing pages per run (Reddit returns at most 100 posts per page)
+const REDDIT_LISTING = {
+    sort: 'new',
+    pageSize: 100,
+    maxPages: 2,
+};
+
+// =============================================================================
+// MEGATHREADS — recurring hiring threads whose top-level comments are job posts
+// `query` uses Reddit search syntax; the newest `maxThreads` matches are scanned
+// =============================================================================
+
+const REDDIT_MEGATHREADS = [
+    { subreddit: 'developersIndia',        query: 'title:"hiring thread"', maxThreads: 1 },  // UNVERIFIED
+    { subreddit: 'cscareerquestionsIndia', query: 'title:"hiring"',        maxThreads: 1 },  // UNVERIFIED
+];
+
+// Top-level comments read per megathread
+const REDDIT_MAX_COMMENTS = 200;
+
+// =============================================================================
+// CLASSIFICATION
+// Flair and title tags decide first. Otherwise the patterns are counted over the
+// full title and body, and a post is a job when hiring phrases outnumber
+// candidate phrases ("I'm looking for a DevOps engineer" vs "I'm looking for a role")
+// =============================================================================
+
+const HIRING_TAGS = [/^\[hiring\]/i, /^hiring\s*:/i];
+const FOR_HIRE_TAGS = [/^\[for hire\]/i, /^for hire\s*:/i];
+
+const HIRING_FLAIRS = ['hiring', 'job', 'job opening'];
+const FOR_HIRE_FLAIRS = ['for hire', 'available', 'resume'];
+
+// Phrases used by employers
+const HIRING_PATTERNS = [
+    /we are hiring/i,
+    /we'?re hiring/i,
+    /join our team/i,
+    /looking to hire/i,
+    /open position/i,
+    /job opening/i,
+    /\breferral\b/i,
+    /we are looking for/i,
+    /you will be responsible/i,
+    /responsibilities include/i,
+    /what you will do/i,
+    /apply now/i,
+    /send your (resume|cv)/i,
+    /dm (me )?your (resume|cv)/i,
+    /\b(ctc|salary|compensation)\s*:/i,
+];
+
+// Phrases used by candidates
+const FOR_HIRE_PATTERNS = [
+    /\bavailable for\b/i,
+    /looking for.*internship/i,
+    /seeking.*role/i,
+    /seeking.*position/i,
+    /open to.*opportunit/i,
+    /actively looking/i,
+    /\bi am looking for (a |an )?(job|role|position|opportunit)/i,
+    /\bi'?m looking for (a |an )?(job|role|position|opportunit)/i,
+    /\bmy (resume|cv|portfolio)\b/i,
+];
+
+module.exports = {
+    REDDIT_SUBREDDITS,
+    REDDIT_LISTING,
+    REDDIT_MEGATHREADS,
+    REDDIT_MAX_COMMENTS,
+    HIRING_TAGS,
+    FOR_HIRE_TAGS,
+    HIRING_FLAIRS,
+    FOR_HIRE_FLAIRS,
+    HIRING_PATTERNS,
+    FOR_HIRE_PATTERNS,
+};
@@ -0,0 +1,74 @@
+/**
+ * Salary Parsing Configuration
+ * Used by src/models/salary.js to read salary text into amounts, currency and period
+ */
+
+// =============================================================================
+// CURRENCIES — offline rates to INR for the annual INR equivalent.
+// Approximate mid-market rates (October 2026); update occasionally, exactness
+// does not matter for filtering and ranking.
+// =============================================================================
+
+const CURRENCY_RATES_INR = {
+    INR: 1,
+    USD: 88,
+    EUR: 102,
+    GBP: 117,
+    CAD: 63,
+    AUD: 57,
+    SGD: 68,
+    AED: 24,
+    CHF: 110,
+    JPY: 0.58
+};
+
+// Checked in order; the first match sets the currency (INR when none matches)
+const CURRENCY_PATTERNS = [
+    { currency: 'INR', pattern: /₹|\brs\.?(?=\s|\d|$)|\binr\b|\blpa\b|\blakhs?\b|\blacs?\b|\bcrores?\b/i },
+    { currency: 'CAD', pattern: /\bc\$|\bcad\b/i },
+    { currency: 'AUD', pattern: /\ba\$|\baud\b/i },
+    { currency: 'SGD', pattern: /\bs\$|\bsgd\b/i },
+    { currency: 'USD', pattern: /\$|\busd\b/i },
+    { currency: 'EUR', pattern: /€|\beur\b/i },
+    { currency: 'GBP', pattern: /£|\bgbp\b/i },
+    { currency: 'AED', pattern: /\baed\b|\bdirhams?\b/i },
+    { currency: 'CHF', pattern: /\bchf\b/i },
+    { currency: 'JPY', pattern: /¥|\bjpy\b/i }
+];
+
+// =============================================================================
+// AMOUNTS AND PERIODS
+// =============================================================================
+
+// Multipliers written after a number: "4.5 L", "25k", "1.2 Cr"
+const AMOUNT_UNITS = {
+    k: 1e3, thousand: 1e3,
+    l: 1e5, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, lpa: 1e5,
+    cr: 1e7, crore: 1e7, crores: 1e7,
+    m: 1e6, mn: 1e6, million: 1e6
+};
+
+// Checked in order; "LPA" and "CTC" mean per year
+const PERIOD_PATTERNS = [
+    { period: 'stipend', pattern: /\bstipend\b/i },
+    { period: 'hourly', pattern: /\/\s*h(?:ou)?r\b|\bper\s+hour\b|\bhourly\b|\ban?\s+hour\b/i },
+    { period: 'daily', pattern: /\/\s*day\b|\bper\s+day\b|\bdaily\b/i },
+    { period: 'weekly', pattern: /\/\s*w(?:ee)?k\b|\bper\s+week\b|\bweekly\b/i },
+    { period: 'monthly', pattern: /\/\s*mo(?:nth)?\b|\bper\s+month\b|\bmonthly\b|\bp\.?\s?m\.?(?=\s|$|\))|\bpm\b|\ba\s+month\b/i },
+    { period: 'annual', pattern: /\/\s*(?:yr|year|annum)\b|\bper\s+(?:year|annum)\b|\bannual(?:ly)?\b|\byearly\b|\bp\.?\s?a\.?(?=\s|$|\))|\blpa\b|\bctc\b|\ba\s+year\b/i }
+];
+
+// Paid periods per year, for the annual equivalent
+const PERIODS_PER_YEAR = { annual: 1, monthly: 12, stipend: 12, weekly: 52, daily: 260, hourly: 2080 };
+
+// Salary text that discloses nothing
+const UNDISCLOSED_SALARY = /not\s+disclosed|undisclosed|competitive|negotiable|as\s+per\s+(?:industry|company|norms)|best\s+in\s+(?:the\s+)?industry|^\s*(?:n\/?a|-|tbd|unpaid)\s*$/i;
+
+module.exports = {
+    CURRENCY_RATES_INR,
+    CURRENCY_PATTERNS,
+    AMOUNT_UNITS,
+    PERIOD_PATTERNS,
+    PERIODS_PER_YEAR,
+    UNDISCLOSED_SALARY
+};
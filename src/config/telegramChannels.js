@@ -0,0 +1,72 @@
+/**
+ * Telegram Channel Configuration
+ * Public channels read through their web preview (https://t.me/s/<channel>) by
+ * src/services/telegramChannelScraper.js
+ *
+ * Only public channels have a preview page. Set TELEGRAM_SOURCE_CHANNELS
+ * (comma-separated usernames) to replace the list below without a code change.
+ */
+
+// =============================================================================
+// CHANNELS — usernames as in t.me/<username>
+// =============================================================================
+
+const TELEGRAM_CHANNELS = [
+    'freshersjobs',              // UNVERIFIED
+    'offcampusjobs4u',           // UNVERIFIED
+    'techjobsindia',             // UNVERIFIED
+    'internshipsandjobs',        // UNVERIFIED
+];
+
+// Preview pages read per channel and run (each page holds ~20 posts). The first
+// run reads one page; later runs page back until the last seen message
+const TELEGRAM_SCAN = {
+    maxPages: 3,
+};
+
+// =============================================================================
+// POST PARSING
+// Channel posts are free text, usually "Company: ... / Role: ... / Apply: <link>"
+// lines or a "<Company> is hiring <role>" headline. Line patterns are matched
+// after leading emoji and bullets are stripped.
+// =============================================================================
+
+// A post is a job post when it has an apply link or mentions one of these
+const TELEGRAM_JOB_PATTERN = /\b(hiring|apply|job|opening|vacanc|recruit|off\s*campus|drive|internship|walk-?in)/i;
+
+const TELEGRAM_FIELD_PATTERNS = {
+    title: /^(?:job\s*)?(?:role|position|designation|profile|post|job title)\s*[:\-–]\s*(.+)$/im,
+    company: /^(?:company(?:\s*name)?|organi[sz]ation|employer)\s*[:\-–]\s*(.+)$/im,
+    location: /^(?:job\s*)?location\s*[:\-–]\s*(.+)$/im,
+    experience: /^experience\s*(?:required)?\s*[:\-–]\s*(.+)$/im,
+    salary: /^(?:salary|ctc|package|stipend)\s*[:\-–]\s*(.+)$/im,
+};
+
+// "Infosys is hiring Cloud Engineers", "TCS Off Campus Drive 2026 for Freshers",
+// "Wipro Hiring | Cloud Support Associate | Hyderabad"
+const TELEGRAM_HEADLINE_PATTERN = /^(.{2,60}?)\s+(?:is\s+)?(?:hiring|recruiting|off\s*campus\s+drive|mega\s+drive)\b(?:\s+\d{4})?[\s|:–-]*(?:for\s+)?(.*)$/i;
+
+// Links that are never apply links (channel promotion, social media)
+const TELEGRAM_IGNORED_LINK_HOSTS = [
+    't.me',
+    'telegram.me',
+    'whatsapp.com',
+    'chat.whatsapp.com',
+    'wa.me',
+    'instagram.com',
+    'youtube.com',
+    'youtu.be',
+    'facebook.com',
+    'twitter.com',
+    'x.com',
+    'play.google.com',
+];
+
+module.exports = {
+    TELEGRAM_CHANNELS,
+    TELEGRAM_SCAN,
+    TELEGRAM_JOB_PATTERN,
+    TELEGRAM_FIELD_PATTERNS,
+    TELEGRAM_HEADLINE_PATTERN,
+    TELEGRAM_IGNORED_LINK_HOSTS,
+};
@@ -21,11 +21,19 @@
 const { app } = require('@azure/functions');
 
 // Import modular services
-const { TIME_WINDOWS, MAX_SCAN_LIMIT } = require('../config/constants');
+const { TIME_WINDOWS, MAX_SCAN_LIMIT, DEDUP_HISTORY_DAYS } = require('../config/constants');
 const { generateStableId } = require('../models/job');
 const { fetchJobsIncremental } = require('../services/jobFetcher');
+const { SOURCE_CONFIG_ERRORS } = require('../services/jobSources');
+const { enrichJobs } = require('../services/jobEnricher');
+const { markEmailsProcessed } = require('../services/emailIngestion');
+const { dedupeJobs } = require('../services/jobDedup');
 const { filterJob } = require('../services/jobFilter');
 const { scoreJob } = require('../services/jobScorer');
+const { getSkipReason, updateSourceHealth, summarizeSourceHealth } = require('../services/sourceHealth');
+const httpClient = require('../services/httpClient');
+const { createResponseCache } = require('../services/responseCache');
+const { createCacheStore } = require('../storage/cacheStore');
 const { 
     sendSearchStarted, 
     sendSearchComplete, 
@@ -37,8 +45,11 @@ const {
     ensureTablesExist,
     isJobProcessed,
     markJobAsProcessed,
+    getRecentJobs,
     getLastRunMetadata,
-    updateMetadata
+    updateMetadata,
+    getSourceHealth,
+    saveSourceHealth
 } = require('../storage/tableStorage');
 
 /**
@@ -50,6 +61,41 @@ function getTimeWindow() {
     return TIME_WINDOWS[windowConfig] || TIME_WINDOWS.MONTH;
 }
 
+/**
+ * Log per-source fetch results, slowest first
+ * @param {Array} sourceResults - Results from fetchJobsFromAllSources
+ * @param {Object} context - Azure Functions context
+ */
+function logSourceResults(sourceResults, context) {
+    context.log('\n📡 Source results:');
+    [...sourceResults]
+        .sort((a, b) => b.durationMs - a.durationMs)
+        .forEach(result => {
+            const seconds = (result.durationMs / 1000).toFixed(1);
+            if (result.error) {
+                context.log(`   ❌ ${result.name} (${seconds}s): ${result.error}`);
+            } else if (result.skipped) {
+                context.log(`   ⏭️ ${result.name}: ${result.skipped}`);
+            } else if (result.unchanged) {
+                context.log(`   ♻️ ${result.name}: unchanged (${seconds}s)`);
+            } else {
+                const dropped = Object.entries(result.dropped || {}).map(([reason, count]) => `${count} ${reason}`).join(', ');
+                context.log(`   ✅ ${result.name}: ${result.count} jobs (${seconds}s)${dropped ? ` — dropped ${dropped}` : ''}`);
+            }
+        });
+}
+
+/**
+ * Warn about declarative source files that failed validation (they are not fetched)
+ * @param {Array} errors - SOURCE_CONFIG_ERRORS from jobSources
+ * @param {Object} context - Azure Functions context
+ */
+function logSourceConfigErrors(errors, context) {
+    errors.forEach(({ file, name, errors: problems }) => {
+        context.warn(`⚠️ Skipped source config ${file}${name ? ` (${name})` : ''}: ${problems.join('; ')}`);
+    });
+}
+
 /**
  * Main job checker handler with INCREMENTAL SCANNING
  * 
@@ -72,12 +118,18 @@ app.timer('jobChecker', {
             totalFetched: 0,
             totalNew: 0,
             totalMatched: 0,
+            jobsDropped: 0,
+            jobsEnriched: 0,
+            duplicatesMerged: 0,
             duplicatesSkipped: 0,
             totalSent: 0,
             scanMode: 'incremental'
         };
         
         const seenInThisRun = new Set();
+        let alertsFailed = 0;
+        httpClient.resetMetrics(); // Module state survives warm invocations
+        logSourceConfigErrors(SOURCE_CONFIG_ERRORS, context);
 
         try {
             // === STEP 1: Initialize Azure Table Storage ===
@@ -86,8 +138,9 @@ app.timer('jobChecker', {
                 throw new Error('AzureWebJobsStorage connection string not configured');
             }
 
-            const { jobsClient, metaClient } = initializeTableClients(connectionString);
-            await ensureTablesExist(jobsClient, metaClient, context);
+            const tableClients = initializeTableClients(connectionString);
+            const { jobsClient, metaClient, healthClient } = tableClients;
+            await ensureTablesExist(tableClients, context);
 
             // === STEP 2: Get last run metadata (for incremental scanning) ===
             const lastRunMeta = await getLastRunMetadata(metaClient, context);
@@ -106,24 +159,63 @@ app.timer('jobChecker', {
             // === STEP 3: Send startup notification ===
             await sendSearchStarted(fallbackDays, isIncremental, context);
 
-            // === STEP 4: Fetch jobs (incremental) ===
-            const allJobs = await fetchJobsIncremental(context, lastRunTimestamp, fallbackDays);
+            // === STEP 4: Fetch jobs (incremental), skipping sources with an open circuit ===
+            const healthMap = await getSourceHealth(healthClient, context);
+            const responseCache = createResponseCache(createCacheStore('responses', { connectionString }), context);
+            const sourceState = createCacheStore('sources', { connectionString });
+            const { jobs: allJobs, sourceResults } = await fetchJobsIncremental(context, lastRunTimestamp, fallbackDays, {
+                shouldSkip: source => getSkipReason(healthMap.get(source.name)),
+                cache: responseCache,
+                state: sourceState
+            });
             stats.totalFetched = allJobs.length;
             stats.totalNew = allJobs.length;
+            stats.jobsDropped = sourceResults.reduce((sum, result) =>
+                sum + Object.values(result.dropped || {}).reduce((total, count) => total + count, 0), 0);
+            stats.sourceResults = sourceResults;
             
             context.log(`\n📊 Fetched ${allJobs.length} ${isIncremental ? 'new' : 'total'} jobs`);
+            logSourceResults(sourceResults, context);
+
+            // Record per-source health so failing sources trip the circuit breaker
+            const healthRecords = updateSourceHealth(healthMap, sourceResults);
+            await saveSourceHealth(healthClient, healthRecords, context);
+            const sourceSummary = summarizeSourceHealth(sourceResults, healthRecords);
+            stats.sourcesSucceeded = sourceSummary.ok;
+            stats.sourcesFailed = sourceSummary.failed;
+            stats.sourcesCircuitOpen = sourceSummary.circuitOpen;
 
             // === STEP 5: Apply scan limit (performance) ===
             const jobsToProcess = allJobs.slice(0, MAX_SCAN_LIMIT);
-            if (allJobs.length > MAX_SCAN_LIMIT) {
+            const scanLimited = allJobs.length > MAX_SCAN_LIMIT;
+            if (scanLimited) {
                 context.log(`⚠️ Limiting scan to ${MAX_SCAN_LIMIT} jobs`);
             }
 
+            // === STEP 5b: Fetch detail pages for promising jobs with missing/short descriptions ===
+            const detailCache = createCacheStore('details', { connectionString });
+            const { jobs: enrichedJobs, stats: enrichStats } = await enrichJobs(jobsToProcess, context, { cache: detailCache });
+            stats.jobsEnriched = enrichStats.enriched;
+            context.log(`🔎 Enrichment: ${enrichStats.enriched} of ${enrichStats.candidates} candidates enriched ` +
+                `(${enrichStats.fetched} fetched, ${enrichStats.cached} cached, ${enrichStats.failed} failed, ${enrichStats.overBudget} over budget)`);
+
+            // === STEP 5c: Collapse the same posting seen on several sources ===
+            const recentJobs = await getRecentJobs(jobsClient, DEDUP_HISTORY_DAYS, context);
+            const { jobs: uniqueJobs, stats: dedupStats } = await dedupeJobs(enrichedJobs, context, {
+                history: recentJobs,
+                cache: detailCache,
+                accept: job => filterJob(job).match
+            });
+            stats.duplicatesMerged = dedupStats.merged;
+            stats.duplicatesSkipped += dedupStats.alreadySent;
+            context.log(`🧬 Dedup: ${enrichedJobs.length} jobs → ${dedupStats.clusters} postings ` +
+                `(${dedupStats.merged} merged, ${dedupStats.alreadySent} already sent, ${dedupStats.resolved} short links resolved)`);
+
             // === STEP 6: Filter, score, and deduplicate jobs ===
-            context.log(`\n🔍 Filtering ${jobsToProcess.length} jobs...`);
+            context.log(`\n🔍 Filtering ${uniqueJobs.length} jobs...`);
             const matchedJobs = [];
 
-            for (const job of jobsToProcess) {
+            for (const job of uniqueJobs) {
                 // Generate stable ID
                 const jobId = generateStableId(job);
                 
@@ -181,17 +273,63 @@ app.timer('jobChecker', {
                         await markJobAsProcessed(jobsClient, job, context);
                         stats.totalSent++;
                     } catch (error) {
+                        alertsFailed++;
                         context.error(`❌ Failed to process job ${job.title}: ${error.message}`);
                     }
                 }
                 
-                await sendSearchComplete(stats.totalMatched, stats.totalSent, stats.duplicatesSkipped, context);
+                await sendSearchComplete(stats.totalMatched, stats.totalSent, stats.duplicatesSkipped, sourceSummary, context);
             } else {
                 context.log('\n📭 No new matching jobs found');
-                await sendNoJobsFound(stats.totalFetched, stats.duplicatesSkipped, isIncremental, context);
+                await sendNoJobsFound(stats.totalFetched, stats.duplicatesSkipped, isIncremental, sourceSummary, context);
             }
 
             // === STEP 9: Update metadata (CRITICAL for incremental scanning) ===
+            // Response cache is only persisted now, after this run's jobs were handled. When
+            // jobs were cut by the scan limit or alerts failed, it is dropped so unchanged
+            // responses are parsed again next run (sent jobs are skipped as duplicates)
+            const holdBack = scanLimited ? 'jobs were cut by the scan limit' :
+                alertsFailed > 0 ? `${alertsFailed} alerts failed` : null;
+            if (holdBack) {
+                context.warn(`⚠️ ${holdBack} — response cache and source state not saved, sources are fetched in full next run`);
+            } else {
+                try {
+                    const cached = await responseCache.flush();
+                    context.log(`♻️ Response cache updated (${cached} entries)`);
+                } catch (error) {
+                    context.warn(`⚠️ Error saving response cache: ${error.message}`);
+                }
+            }
+            try {
+                await detailCache.flush();
+            } catch (error) {
+                context.warn(`⚠️ Error saving detail cache: ${error.message}`);
+            }
+            // Source state follows the response cache: held back, the next run fetches in full
+            if (!holdBack) {
+                try {
+                    await sourceState.flush();
+                } catch (error) {
+                    context.warn(`⚠️ Error saving source state: ${error.message}`);
+                }
+            }
+            // Alert emails are only flagged once their jobs were sent; after a failed
+            // alert they are read again next run (sent jobs are skipped as duplicates)
+            if (alertsFailed > 0) {
+                context.warn(`⚠️ ${alertsFailed} alerts failed — alert emails left unprocessed for the next run`);
+            } else {
+                try {
+                    const flagged = await markEmailsProcessed();
+                    if (flagged > 0) context.log(`📧 Marked ${flagged} alert emails as processed`);
+                } catch (error) {
+                    context.warn(`⚠️ Error marking alert emails as processed: ${error.message}`);
+                }
+            }
+
+            const httpMetrics = httpClient.getMetrics();
+            stats.httpRequests = httpMetrics.requests;
+            stats.httpRetries = httpMetrics.retries;
+            stats.httpFailures = httpMetrics.failures;
             const duration = ((new Date() - startTime) / 1000).toFixed(2);
             stats.executionTimeSeconds = parseFloat(duration);
             await updateMetadata(metaClient, stats, context);
@@ -201,9 +339,17 @@ app.timer('jobChecker', {
             context.log('📈 Execution Summary:');
             context.log(`   • Scan mode: ${stats.scanMode}`);
             context.log(`   • Jobs fetched: ${stats.totalFetched}`);
+            context.log(`   • Invalid records dropped: ${stats.jobsDropped}`);
+            context.log(`   • Jobs enriched: ${stats.jobsEnriched}`);
+            context.log(`   • Cross-source duplicates merged: ${stats.duplicatesMerged}`);
             context.log(`   • Matches found: ${stats.totalMatched}`);
             context.log(`   • Duplicates skipped: ${stats.duplicatesSkipped}`);
             context.log(`   • Alerts sent: ${stats.totalSent}`);
+            context.log(`   • Sources: ${sourceSummary.ok} ok (${sourceSummary.unchanged} unchanged), ${sourceSummary.failed} failed, ${sourceSummary.skipped} skipped`);
+            if (sourceSummary.circuitOpen > 0) {
+                context.log(`   • Circuit open (${sourceSummary.circuitOpen}): ${sourceSummary.openSources.join(', ')}`);
+            }
+            context.log(`   • HTTP: ${stats.httpRequests} requests, ${stats.httpRetries} retries, ${stats.httpFailures} failures`);
             context.log(`   • Duration: ${duration}s`);
             context.log('✅ J-Bot Completed Successfully');
             context.log('='.repeat(60) + '\n');
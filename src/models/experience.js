@@ -0,0 +1,133 @@
+/**
+ * Experience extraction
+ * Reads the required experience of a job into { min, max, confidence }
+ *
+ * Used by filterJob (Stage 6) and the Telegram alert, so both agree on what a
+ * job asks for. Understands ranges ("0-2 yrs", "1 to 3 years"), open amounts
+ * ("2+ years", "minimum 1 year", "up to 2 years"), months and fresher phrases,
+ * and ignores year counts that are not requirements ("founded 25 years ago",
+ * "3-year degree"). Context word lists live in src/config/experience.js.
+ *
+ * min/max are years (months become fractions); max is null for open amounts.
+ * confidence is 'high' (the job's experience field, or a count next to the word
+ * experience), 'medium' (a bare year range such as "0-2 yrs", or a fresher
+ * phrase), 'low' (only a trainee/intern title) or 'none' (nothing found).
+ */
+
+const {
+    EXPERIENCE_AFTER,
+    EXPERIENCE_BEFORE,
+    NOT_EXPERIENCE_AFTER,
+    MAX_PLAUSIBLE_YEARS,
+    FRESHER_PATTERNS,
+    FRESHER_WORD,
+    FRESHER_NEGATION,
+    FRESHER_TITLE
+} = require('../config/experience');
+const { MAX_EXPERIENCE_YEARS } = require('../config/constants');
+
+// [qualifier] amount [[unit] - amount] [+] unit [+]
+const MENTION = /(?:\b(up\s*to|upto|max(?:imum)?|min(?:imum)?|at\s*least|atleast)\s*(?:of\s+)?)?\b(\d+(?:\.\d+)?)\s*(?:(?:(years?|yrs?|months?|mos?|mnths?)\s*)?(?:-|–|—|to)\s*(\d+(?:\.\d+)?)\s*)?(\+)?\s*(years?|yrs?|months?|mos?|mnths?)\b(\s*\+)?/gi;
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1, none: 0 };
+const NOT_SPECIFIED = { min: null, max: null, confidence: 'none' };
+
+/**
+ * Find experience amounts in text
+ * @param {string} text - Text to search
+ * @param {boolean} explicit - Text is an experience field, so no context word is needed
+ * @returns {Array<Object>} - [{ min, max, confidence }] in text order
+ */
+function readMentions(text, explicit) {
+    const mentions = [];
+    for (const match of String(text || '').matchAll(MENTION)) {
+        const [whole, qualifier = '', first, firstUnit, second, plus, unit, trailingPlus] = match;
+        const before = text.slice(0, match.index);
+        const after = text.slice(match.index + whole.length);
+        if (NOT_EXPERIENCE_AFTER.test(after)) continue;
+
+        // "6 months to 1 year": each amount in its own unit
+        const scaleOf = name => (/^m/i.test(name) ? 1 / 12 : 1);
+        const scale = scaleOf(unit);
+        const toYears = (value, valueScale) => Math.round(parseFloat(value) * valueScale * 100) / 100;
+        let min = toYears(first, firstUnit ? scaleOf(firstUnit) : scale);
+        let max = second ? toYears(second, scale) : min;
+        if (!second && (plus || trailingPlus || /^(?:min|at)/i.test(qualifier))) max = null;
+        else if (!second && /^(?:up|max)/i.test(qualifier)) min = 0;
+        if ((max ?? min) > MAX_PLAUSIBLE_YEARS) continue;
+
+        let confidence = null;
+        if (explicit || EXPERIENCE_AFTER.test(after) || EXPERIENCE_BEFORE.test(before)) confidence = 'high';
+        // "0-2 yrs" in a title; month ranges are usually an internship's duration
+        else if ((second || plus || trailingPlus) && scale === 1) confidence = 'medium';
+        if (!confidence) continue;
+
+        mentions.push({ min: Math.min(min, max ?? min), max: max === null ? null : Math.max(min, max), confidence });
+    }
+    return mentions;
+}
+
+/**
+ * Check text for a fresher phrase that is not negated ("not for freshers")
+ * @param {string} text - Text to search
+ * @param {Array<RegExp>} patterns - Fresher phrases
+ * @returns {boolean}
+ */
+function hasFresherPhrase(text, patterns) {
+    return patterns.some(pattern => [...text.matchAll(new RegExp(pattern.source, 'gi'))]
+        .some(match => !FRESHER_NEGATION.test(text.slice(Math.max(0, match.index - 30), match.index))));
+}
+
+/**
+ * Extract the experience a job requires
+ * The experience field wins over the title and description; otherwise the most
+ * confident mention is used (the first one on a tie). Fresher phrases lower the
+ * minimum to 0; the bare word "fresher" does not override a high-confidence mention.
+ * @param {Object} job - Job object
+ * @returns {Object} - { min, max, confidence }; min/max are null when unknown
+ */
+function extractExperience(job) {
+    const text = `${job.title || ''}\n${job.description || ''}`;
+    const explicit = readMentions(job.experience, true)[0];
+    const mentions = explicit ? [explicit] : readMentions(text, false);
+    const best = mentions.reduce((top, mention) =>
+        (!top || CONFIDENCE_RANK[mention.confidence] > CONFIDENCE_RANK[top.confidence] ? mention : top), null);
+
+    const patterns = best?.confidence === 'high' ? FRESHER_PATTERNS : [...FRESHER_PATTERNS, FRESHER_WORD];
+    const forFreshers = hasFresherPhrase(`${job.experience || ''}\n${text}`, patterns);
+    if (best) {
+        // "Minimum 3 years ... freshers welcome" → 0-3 years
+        return forFreshers ? { ...best, min: 0, max: best.max ?? best.min } : best;
+    }
+    if (forFreshers) return { min: 0, max: 0, confidence: 'medium' };
+    if (FRESHER_TITLE.test(job.title || '')) return { min: 0, max: 0, confidence: 'low' };
+    return { ...NOT_SPECIFIED };
+}
+
+/**
+ * Display text for an experience requirement, e.g. "Entry Level (0-2 years)",
+ * "3+ years", "Fresher", "Not specified"
+ * @param {Object} experience - From extractExperience
+ * @returns {string}
+ */
+function formatExperience(experience) {
+    const { min, max } = experience || NOT_SPECIFIED;
+    if (min === null && max === null) return 'Not specified';
+    if (max === 0) return 'Fresher';
+
+    const largest = max ?? min;
+    const inMonths = largest > 0 && largest < 1;
+    const amount = value => (inMonths ? Math.round(value * 12) : value);
+    const unit = inMonths ? 'months' : (largest === 1 ? 'year' : 'years');
+
+    let text;
+    if (max === null) text = `${amount(min)}+ ${unit}`;
+    else if (min === max) text = `${amount(min)} ${unit}`;
+    else text = `${amount(min)}-${amount(max)} ${unit}`;
+
+    return max !== null && max <= MAX_EXPERIENCE_YEARS ? `Entry Level (${text})` : text;
+}
+
+module.exports = {
+    extractExperience,
+    formatExperience
+};
@@ -4,6 +4,7 @@
  */
 
 const crypto = require('crypto');
+const { parsePostingDate, daysBetween } = require('./postingDate');
 
 /**
  * Generate stable hash-based ID for jobs (prevents duplicates)
@@ -17,77 +18,41 @@ function generateStableId(job) {
 
 /**
  * Check if job date is within specified time window
- * @param {string|number|Date} jobDate - Job posting date
+ * Undated jobs are kept (the processed-jobs check stops them repeating); dates
+ * up to a day ahead are time-zone skew and count as today
+ * @param {string|number|Date} jobDate - Job posting date (job.date)
  * @param {number} days - Number of days to check within
+ * @param {string} [precision] - job.date_precision: 'exact', 'approximate' or 'unknown'
  * @returns {boolean} - True if within time window
  */
-function isWithinTimeWindow(jobDate, days) {
-    if (!jobDate) {
-        return true; // Include if no date (safer to show)
-    }
-    
-    try {
-        let date;
-        
-        // Handle Unix timestamp (seconds or milliseconds)
-        if (typeof jobDate === 'number') {
-            date = jobDate < 10000000000 ? new Date(jobDate * 1000) : new Date(jobDate);
-        } else {
-            date = new Date(jobDate);
-        }
-        
-        // Check if date is valid
-        if (isNaN(date.getTime())) {
-            return true;
-        }
-        
-        const now = new Date();
-        const diffTime = now - date;
-        const diffDays = diffTime / (1000 * 60 * 60 * 24);
-        
-        return diffDays <= days && diffDays >= 0;
-    } catch (error) {
-        return true; // Include on error
-    }
+function isWithinTimeWindow(jobDate, days, precision = 'exact') {
+    const age = daysBetween(jobDate);
+    if (precision === 'unknown' || age === null) return true;
+    return age <= days && age >= -1;
 }
 
 /**
  * Check if job was posted after a specific timestamp (for incremental scanning)
- * @param {string|number|Date} jobDate - Job posting date
+ * Exact dates are compared as they are. Approximate dates ("2 days ago") are the
+ * latest time their phrase allows, so a job counts as new while it may be newer
+ * than the last run. Undated jobs are kept and left to the processed-jobs check.
+ * @param {string|number|Date} jobDate - Job posting date (job.date)
  * @param {string|Date} lastRunTimestamp - Last successful run timestamp
+ * @param {string} [precision] - job.date_precision: 'exact', 'approximate' or 'unknown'
  * @returns {boolean} - True if job is newer than last run
  */
-function isJobNewerThan(jobDate, lastRunTimestamp) {
-    if (!jobDate) {
-        return true; // Include if no date
-    }
-    
+function isJobNewerThan(jobDate, lastRunTimestamp, precision = 'exact') {
     if (!lastRunTimestamp) {
         return true; // Include if no last run (first run)
     }
     
-    try {
-        let jobDateObj;
-        
-        // Parse job date
-        if (typeof jobDate === 'number') {
-            jobDateObj = jobDate < 10000000000 ? new Date(jobDate * 1000) : new Date(jobDate);
-        } else {
-            jobDateObj = new Date(jobDate);
-        }
-        
-        // Parse last run timestamp
-        const lastRunDate = new Date(lastRunTimestamp);
-        
-        // Check if both dates are valid
-        if (isNaN(jobDateObj.getTime()) || isNaN(lastRunDate.getTime())) {
-            return true; // Include if dates are invalid
-        }
-        
-        return jobDateObj > lastRunDate;
-    } catch (error) {
-        return true; // Include on error
+    const lastRun = new Date(lastRunTimestamp);
+    const { date } = parsePostingDate(jobDate);
+    if (precision === 'unknown' || !date || isNaN(lastRun.getTime())) {
+        return true;
     }
+    
+    return new Date(date) > lastRun;
 }
 
 /**
@@ -96,31 +61,8 @@ function isJobNewerThan(jobDate, lastRunTimestamp) {
  * @returns {number} - Days since posting (Infinity if no date)
  */
 function getDaysSince(jobDate) {
-    if (!jobDate) {
-        return Infinity;
-    }
-    
-    try {
-        let date;
-        
-        if (typeof jobDate === 'number') {
-            date = jobDate < 10000000000 ? new Date(jobDate * 1000) : new Date(jobDate);
-        } else {
-            date = new Date(jobDate);
-        }
-        
-        if (isNaN(date.getTime())) {
-            return Infinity;
-        }
-        
-        const now = new Date();
-        const diffTime = now - date;
-        const diffDays = diffTime / (1000 * 60 * 60 * 24);
-        
-        return Math.max(0, diffDays);
-    } catch (error) {
-        return Infinity;
-    }
+    const age = daysBetween(jobDate);
+    return age === null ? Infinity : Math.max(0, age);
 }
 
 /**
@@ -176,38 +118,11 @@ function extractSkills(job, skillKeywords) {
     return detectedSkills.length > 0 ? detectedSkills.slice(0, 5).join(', ') : 'See job description';
 }
 
-/**
- * Extract experience requirement from job
- * @param {Object} job - Job object
- * @returns {string} - Experience requirement
- */
-function extractExperience(job) {
-    const text = `${job.title} ${job.description}`.toLowerCase();
-    
-    // Check for entry level indicators
-    if (text.match(/intern|internship|fresher|graduate|entry.?level|0.?1.?year|0.?year|1.?year|1.?2.?years?|0.?2.?years?/)) {
-        return 'Entry Level / Fresher (0-2 years)';
-    }
-    
-    // Extract years mentioned
-    const yearsMatch = text.match(/(\d+)\+?\s*years?/);
-    if (yearsMatch) {
-        const years = parseInt(yearsMatch[1]);
-        if (years <= 2) {
-            return 'Entry Level / Fresher (0-2 years)';
-        }
-        return `${years}+ years`;
-    }
-    
-    return 'Not specified';
-}
-
 module.exports = {
     generateStableId,
     isWithinTimeWindow,
     isJobNewerThan,
     getDaysSince,
     extractRoleType,
-    extractSkills,
-    extractExperience
+    extractSkills
 };
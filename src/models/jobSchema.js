@@ -0,0 +1,255 @@
+/**
+ * Job schema
+ * The canonical job shape, a checker for it and a normalizer that produces it
+ *
+ * Parsers return loosely shaped objects: dates as epoch seconds, ISO strings or
+ * "Posted 3 Days Ago", locations as objects or lists, salaries as numbers. jobFetcher
+ * runs normalizeJobs on every parser result, so filterJob, scoreJob, the enricher and
+ * sendJobAlert all see the same shape:
+ *
+ *   strings  — title, company_name, location, url, slug, description, job_type, source ('' when unknown)
+ *   date, valid_through — ISO 8601 string or null
+ *   date_precision — 'exact', 'approximate' (relative phrase) or 'unknown'
+ *   salary, experience, workplace_type — string or null
+ *   compensation — salary parsed by src/models/salary.js, or null when not disclosed
+ *   places   — [{ city, state, country, region }] read from location by src/models/location.js
+ *   tags     — array of strings
+ *
+ * Records that cannot be used (no title, no absolute link, expired) are dropped and
+ * counted by reason. validateJob lists the ways a job differs from the schema (used
+ * by the source health report).
+ */
+
+const { htmlToText, decodeEntities } = require('../services/htmlText');
+const { parseSalary } = require('./salary');
+const { parseLocation } = require('./location');
+const { parsePostingDate } = require('./postingDate');
+
+/**
+ * Field name → { type, required, description }
+ * `type` lists the accepted JavaScript types ('date' accepts strings, epoch numbers and Date objects)
+ */
+const JOB_FIELDS = {
+    title: { type: ['string'], required: true, description: 'Job title' },
+    company_name: { type: ['string'], required: true, description: 'Hiring company' },
+    location: { type: ['string'], required: true, description: 'City, "Remote - ..." or "India"' },
+    url: { type: ['string'], required: true, description: 'Absolute http(s) link to the posting' },
+    slug: { type: ['string', 'number'], required: true, description: 'Source-specific job id' },
+    description: { type: ['string'], required: false, description: 'Plain-text description' },
+    job_type: { type: ['string'], required: false, description: 'Full-time, Internship, ...' },
+    salary: { type: ['string'], required: false, description: 'Salary as display text' },
+    compensation: { type: ['object'], required: false, description: '{ min, max, currency, period, annual_inr_min, annual_inr_max } (set by normalizeJob)' },
+    date: { type: ['date'], required: false, description: 'Posting date' },
+    date_precision: { type: ['string'], required: false, description: 'exact, approximate or unknown (set by normalizeJob)' },
+    source: { type: ['string'], required: false, description: 'Source name (set by jobFetcher when missing)' },
+    tags: { type: ['array'], required: false, description: 'Categories or skills' },
+    workplace_type: { type: ['string'], required: false, description: 'remote, hybrid or onsite (read from location when missing)' },
+    places: { type: ['array'], required: false, description: '[{ city, state, country, region }] (set by normalizeJob)' },
+    experience: { type: ['string'], required: false, description: 'Experience requirement as text' },
+    valid_through: { type: ['date'], required: false, description: 'Application deadline' }
+};
+
+// Fields counted by the source health report's completeness columns
+const COMPLETENESS_FIELDS = ['date', 'location', 'description', 'company_name', 'salary', 'job_type'];
+
+/**
+ * Check whether a value is empty (missing, blank string or empty list)
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+    if (value === undefined || value === null) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    return false;
+}
+
+/**
+ * Check a value against one schema type
+ * @param {*} value - Field value
+ * @param {string} type - 'string' | 'number' | 'array' | 'object' | 'date'
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return typeof value === 'object' && !Array.isArray(value);
+    if (type === 'date') {
+        return (typeof value === 'string' || typeof value === 'number' || value instanceof Date) &&
+            !isNaN(new Date(typeof value === 'number' && value < 10000000000 ? value * 1000 : value).getTime());
+    }
+    return typeof value === type;
+}
+
+/**
+ * List the ways a job differs from the schema
+ * @param {Object} job - Parser result
+ * @returns {Array<string>} - Issues such as "missing title" or "invalid date"; empty when valid
+ */
+function validateJob(job) {
+    if (!job || typeof job !== 'object' || Array.isArray(job)) {
+        return ['not an object'];
+    }
+
+    const issues = [];
+    for (const [field, spec] of Object.entries(JOB_FIELDS)) {
+        const value = job[field];
+        if (isEmpty(value)) {
+            if (spec.required) issues.push(`missing ${field}`);
+            continue;
+        }
+        if (!spec.type.some(type => matchesType(value, type))) {
+            issues.push(`invalid ${field}`);
+        }
+    }
+
+    if (typeof job.url === 'string' && job.url && !/^https?:\/\//i.test(job.url)) {
+        issues.push('invalid url');
+    }
+    return issues;
+}
+
+/**
+ * Coerce a value to a single-line string
+ * Objects are read through their usual name fields, lists are joined
+ * @param {*} value - Raw value
+ * @param {string} [separator] - Separator for lists
+ * @returns {string}
+ */
+function toText(value, separator = ' / ') {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) {
+        return [...new Set(value.map(item => toText(item, separator)).filter(Boolean))].join(separator);
+    }
+    if (typeof value === 'object') {
+        if (value.name || value.label || value.text) return toText(value.name || value.label || value.text);
+        // Address-like objects: { city, state, country }
+        return [value.city, value.state || value.region, value.country]
+            .map(part => toText(part))
+            .filter(Boolean)
+            .join(', ');
+    }
+    return decodeEntities(String(value)).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse a posting date into an ISO string
+ * See src/models/postingDate.js for the accepted formats
+ * @param {*} value - Raw date
+ * @param {Date} fetchedAt - When the source was fetched
+ * @returns {string|null} - ISO 8601, or null when unparseable
+ */
+function normalizeDate(value, fetchedAt) {
+    return parsePostingDate(value, fetchedAt).date;
+}
+
+/**
+ * Format a salary value as display text
+ * @param {*} value - Number, text, or { min, max, currency, period }
+ * @returns {string|null}
+ */
+function normalizeSalary(value) {
+    if (value === undefined || value === null || value === '' || value === 0) return null;
+    if (typeof value === 'number') {
+        return `₹${value.toLocaleString('en-IN')}`;
+    }
+    if (typeof value === 'object' && !Array.isArray(value)) {
+        const symbol = { INR: '₹', USD: '$', EUR: '€', GBP: '£' }[value.currency] ?? '₹';
+        const min = value.min ?? value.minValue;
+        const max = value.max ?? value.maxValue;
+        if (min === undefined && max === undefined) return toText(value) || null;
+        const range = [min, max].filter(amount => amount !== undefined && amount !== null)
+            .map(amount => `${symbol}${Number(amount).toLocaleString('en-IN')}`)
+            .join('-');
+        return value.period ? `${range} per ${value.period}` : range;
+    }
+    return toText(value) || null;
+}
+
+/**
+ * Bring one parser result into the canonical shape
+ * @param {Object} raw - Parser result
+ * @param {Object} [options] - { sourceName, fetchedAt }
+ * @returns {Object} - { job } or { reason } when the record is dropped
+ */
+function normalizeJob(raw, options = {}) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { reason: 'not an object' };
+    }
+    const fetchedAt = options.fetchedAt || new Date();
+
+    const title = toText(raw.title);
+    if (!title) return { reason: 'missing title' };
+
+    const link = toText(raw.url, '');
+    if (!link) return { reason: 'missing url' };
+    if (!/^https?:\/\//i.test(link)) return { reason: 'invalid url' };
+
+    const validThrough = normalizeDate(raw.valid_through, fetchedAt);
+    if (validThrough && new Date(validThrough) < fetchedAt) return { reason: 'expired' };
+
+    const description = typeof raw.description !== 'string' ? toText(raw.description) :
+        /<\/?[a-z][^>]*>/i.test(raw.description) ? htmlToText(raw.description) : raw.description.trim();
+
+    const tags = (Array.isArray(raw.tags) ? raw.tags : typeof raw.tags === 'string' ? raw.tags.split(',') : [])
+        .map(tag => toText(tag))
+        .filter(Boolean);
+
+    const salary = normalizeSalary(raw.salary);
+    const jobType = toText(raw.job_type, ', ');
+    const location = toText(raw.location);
+    const posted = parsePostingDate(raw.date, fetchedAt);
+    const { places, work_mode: workMode } = parseLocation(location);
+
+    const job = {
+        ...raw,
+        title,
+        company_name: toText(raw.company_name),
+        location,
+        places,
+        url: link,
+        slug: toText(raw.slug) || link,
+        description,
+        job_type: jobType,
+        salary,
+        compensation: parseSalary(salary, { internship: /\bintern(ship)?\b/i.test(`${jobType} ${title}`) }),
+        date: posted.date,
+        date_precision: posted.precision,
+        source: toText(raw.source) || options.sourceName || '',
+        tags,
+        workplace_type: toText(raw.workplace_type).toLowerCase() || workMode,
+        experience: toText(raw.experience) || null,
+        valid_through: validThrough
+    };
+    return { job };
+}
+
+/**
+ * Normalize a source's parser results, dropping unusable records
+ * @param {Array} jobs - Parser results
+ * @param {Object} [options] - { sourceName, fetchedAt }
+ * @returns {Object} - { jobs, dropped: { [reason]: count } }
+ */
+function normalizeJobs(jobs, options = {}) {
+    const normalized = [];
+    const dropped = {};
+
+    for (const raw of Array.isArray(jobs) ? jobs : []) {
+        const { job, reason } = normalizeJob(raw, options);
+        if (job) {
+            normalized.push(job);
+        } else {
+            dropped[reason] = (dropped[reason] || 0) + 1;
+        }
+    }
+    return { jobs: normalized, dropped };
+}
+
+module.exports = {
+    JOB_FIELDS,
+    COMPLETENESS_FIELDS,
+    isEmpty,
+    validateJob,
+    normalizeDate,
+    normalizeJob,
+    normalizeJobs
+};
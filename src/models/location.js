@@ -0,0 +1,184 @@
+/**
+ * Location parsing
+ * Reads a location string into places and a work mode using the offline
+ * gazetteer in src/config/locations.js
+ *
+ *   parseLocation('Bangalore / Gurgaon, HR (Hybrid)') →
+ *   {
+ *     places: [
+ *       { city: 'Bengaluru', state: 'Karnataka', country: 'India', region: null },
+ *       { city: 'Gurugram', state: 'Haryana', country: 'India', region: 'Delhi NCR' }
+ *     ],
+ *     work_mode: 'hybrid'
+ *   }
+ *
+ * Names are matched as whole words, longest first ("New Delhi" before "Delhi"),
+ * and aliases map to one canonical name (Gurgaon → Gurugram). Broad places
+ * covered by a more specific one ("Karnataka" next to "Bengaluru", "India" next
+ * to any Indian city) are left out. Foreign regions ("EMEA") have no country.
+ * State and country codes ("MH", "IN") only count after an Indian city or state.
+ */
+
+const {
+    INDIAN_STATES,
+    INDIAN_CITIES,
+    METRO_REGIONS,
+    INDIA_NAMES,
+    INDIA_CODES,
+    FOREIGN_PLACES,
+    FOREIGN_REGIONS,
+    WORK_MODE_PATTERNS
+} = require('../config/locations');
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a place record
+ * @param {Object} fields - Any of { city, state, country, region }
+ * @returns {Object} - { city, state, country, region } with missing fields null
+ */
+function place({ city = null, state = null, country = null, region = null }) {
+    return { city, state, country, region };
+}
+
+/**
+ * Build the name matchers from the gazetteer
+ * Cities are added first, so a name that is both a city and a state (Delhi,
+ * Chandigarh) reads as the city
+ * @returns {Array<Object>} - [{ pattern, record }], longest names first
+ */
+function buildMatchers() {
+    const entries = new Map();
+    const add = (names, record, caseSensitive = false) => {
+        for (const name of names) {
+            const key = caseSensitive ? name : name.toLowerCase();
+            if (!entries.has(key)) entries.set(key, { name, record, caseSensitive });
+        }
+    };
+
+    const regionOf = new Map();
+    for (const [region, { cities }] of Object.entries(METRO_REGIONS)) {
+        cities.forEach(city => regionOf.set(city, region));
+    }
+
+    for (const [city, { state, aliases = [] }] of Object.entries(INDIAN_CITIES)) {
+        add([city, ...aliases], place({ city, state, country: 'India', region: regionOf.get(city) }));
+    }
+    for (const [region, { aliases }] of Object.entries(METRO_REGIONS)) {
+        add([region, ...aliases], place({ country: 'India', region }));
+    }
+    for (const { name, aliases = [] } of INDIAN_STATES) {
+        add([name, ...aliases], place({ state: name, country: 'India' }));
+    }
+    add(INDIA_NAMES, place({ country: 'India' }));
+
+    for (const [country, { aliases = [], codes = [], states = [], cities = [] }] of Object.entries(FOREIGN_PLACES)) {
+        add([country, ...aliases], place({ country }));
+        add(codes, place({ country }), true);
+        states.forEach(state => add([state], place({ state, country })));
+        cities.forEach(city => add([city], place({ city, country })));
+    }
+    for (const [region, aliases] of Object.entries(FOREIGN_REGIONS)) {
+        add(aliases, place({ region }));
+    }
+
+    return [...entries.values()]
+        .sort((a, b) => b.name.length - a.name.length)
+        .map(({ name, record, caseSensitive }) => ({
+            pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(name)}(?![\\p{L}\\p{N}])`, caseSensitive ? 'gu' : 'giu'),
+            record
+        }));
+}
+
+/**
+ * Build the matcher for codes that only count as a whole part ("Pune, MH", "(IN)")
+ * @returns {Object} - { pattern, records: code → place }
+ */
+function buildCodeMatcher() {
+    const records = new Map();
+    for (const { name, codes = [] } of INDIAN_STATES) {
+        codes.forEach(code => records.set(code, place({ state: name, country: 'India' })));
+    }
+    INDIA_CODES.forEach(code => records.set(code, place({ country: 'India' })));
+
+    const alternatives = [...records.keys()].map(escapeRegExp).join('|');
+    return {
+        pattern: new RegExp(`(?<=^|[,(/|;]\\s*)(${alternatives})(?=\\s*(?:$|[,)/|;]))`, 'g'),
+        records
+    };
+}
+
+const MATCHERS = buildMatchers();
+const CODE_MATCHER = buildCodeMatcher();
+
+/**
+ * Check whether a broad place is covered by a more specific one in the list
+ * @param {Object} broad - Place found
+ * @param {Array<Object>} places - All places found
+ * @returns {boolean}
+ */
+function isCovered(broad, places) {
+    // "New Delhi, Delhi": the second Delhi is the state
+    if (broad.city && broad.city === broad.state) {
+        return places.some(other => other !== broad && other.city && other.city !== broad.city && other.state === broad.state);
+    }
+    if (broad.city) return false;
+    return places.some(other => {
+        if (other === broad || other.country !== broad.country || !other.city && !other.state && !other.region) return false;
+        if (broad.state) return other.state === broad.state && Boolean(other.city);
+        if (broad.region) return other.region === broad.region && Boolean(other.city);
+        return true;
+    });
+}
+
+/**
+ * Parse a location string into places and a work mode
+ * @param {string} location - Location text, possibly listing several cities
+ * @returns {Object} - { places: [{ city, state, country, region }] in text order, work_mode: 'remote'|'hybrid'|'onsite'|null }
+ */
+function parseLocation(location) {
+    const text = String(location || '');
+    const taken = [];
+    const hits = [];
+    const isFree = (start, end) => !taken.some(([from, to]) => start < to && end > from);
+
+    for (const { pattern, record } of MATCHERS) {
+        for (const match of text.matchAll(pattern)) {
+            const end = match.index + match[0].length;
+            if (!isFree(match.index, end)) continue;
+            taken.push([match.index, end]);
+            hits.push({ index: match.index, record });
+        }
+    }
+    for (const match of text.matchAll(CODE_MATCHER.pattern)) {
+        const end = match.index + match[0].length;
+        if (!isFree(match.index, end)) continue;
+        hits.push({ index: match.index, record: CODE_MATCHER.records.get(match[1]), code: true });
+    }
+
+    // Codes are also US state codes ("Indianapolis, IN", "Portland, OR"): they
+    // only count after an Indian city or state, and never next to a foreign place
+    const foreign = hits.some(({ record }) => record.country && record.country !== 'India');
+    const places = [];
+    for (const { record, code } of hits.sort((a, b) => a.index - b.index)) {
+        if (code && (foreign || !places.some(other => other.country === 'India' && (other.city || other.state)))) continue;
+        const seen = places.some(other => ['city', 'state', 'country', 'region'].every(field => other[field] === record[field]));
+        if (!seen) places.push({ ...record });
+    }
+
+    return {
+        places: places.filter(broad => !isCovered(broad, places)),
+        work_mode: WORK_MODE_PATTERNS.find(({ pattern }) => pattern.test(text))?.mode || null
+    };
+}
+
+module.exports = {
+    parseLocation
+};
@@ -0,0 +1,198 @@
+/**
+ * Posting date parsing
+ * Reads any posting date into { date, precision }
+ *
+ * One parser for every place a date is read (normalizeJob, the time window and
+ * incremental checks, the recency score):
+ *
+ *   - epoch seconds or milliseconds, ISO 8601 (UTC when no offset is given),
+ *     "+05:30" / "+0530" / "IST" offsets and RFC 2822 strings
+ *   - Indian day-first dates: "15/10/2026", "15-10-26", "15.10.2026", "15 Oct 2026",
+ *     "15th October, 2026" (a second number above 12 means month-first), and
+ *     "12 Oct" / "Oct 12" without a year (the latest such date up to the fetch)
+ *   - relative phrases counted back from the fetch time: "Today", "Yesterday",
+ *     "Posted 3 Days Ago", "Posted 30+ Days Ago", "an hour ago", "2w ago"
+ *
+ * precision is 'exact' for absolute dates, 'approximate' for relative phrases
+ * (the date is the latest time the phrase allows, so "30+ days ago" is 30 days
+ * before the fetch) and dates without a year, and 'unknown' when there is no
+ * usable date. Date-only values are midnight UTC.
+ */
+
+const MINUTE_MS = 60000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const UNIT_MS = {
+    second: 1000, sec: 1000, s: 1000,
+    minute: MINUTE_MS, min: MINUTE_MS, m: MINUTE_MS,
+    hour: HOUR_MS, hr: HOUR_MS, h: HOUR_MS,
+    day: DAY_MS, d: DAY_MS,
+    week: 7 * DAY_MS, wk: 7 * DAY_MS, w: 7 * DAY_MS,
+    month: 30 * DAY_MS, mo: 30 * DAY_MS,
+    year: 365 * DAY_MS, yr: 365 * DAY_MS, y: 365 * DAY_MS
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// "3 days ago", "30+ days ago", "an hour ago", "2w ago", "3d ago", "30m ago"
+const RELATIVE_DATE = /\b(\d+|an?)\+?\s*(second|sec|minute|min|hour|hr|day|week|wk|month|mo|year|yr|[smhdwy])s?\s+ago\b/i;
+const JUST_NOW = /\b(?:today|just\s+now|just\s+posted|moments?\s+ago|few\s+(?:seconds|minutes)\s+ago)\b/i;
+const YESTERDAY = /\byesterday\b/i;
+// "15/10/2026", "15-10-26", "15.10.2026 14:30"
+const NUMERIC_DATE = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b(?:[\sT,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?)?/i;
+// "15 Oct 2026", "15-Oct-2026", "15th October, 2026"
+const DAY_MONTH_YEAR = /\b(\d{1,2})(?:st|nd|rd|th)?[\s/-]+([a-z]{3,9})\.?,?[\s/-]+(\d{4})\b/i;
+// "Oct 15, 2026", "October 15th 2026"
+const MONTH_DAY_YEAR = /\b([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i;
+// Without a year: "12 Oct", "Posted on 12th October", "Oct 12"
+const DAY_MONTH = /\b(\d{1,2})(?:st|nd|rd|th)?[\s/-]+([a-z]{3,9})\b/i;
+const MONTH_DAY = /\b([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b/i;
+// ISO-like date-times without an offset ("2026-10-12T08:00:00", "2026-10-12 08:00")
+const LOCAL_ISO = /^(\d{4}-\d{2}-\d{2})[T\s](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)$/;
+
+const UNKNOWN = { date: null, precision: 'unknown' };
+
+/**
+ * Build a UTC date from parts, rejecting impossible dates (31/02)
+ * @param {number} year - Full year
+ * @param {number} month - 1-12
+ * @param {number} day - Day of month
+ * @param {number} [hours] - Hours
+ * @param {number} [minutes] - Minutes
+ * @param {number} [seconds] - Seconds
+ * @returns {Date|null}
+ */
+function utcDate(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+    const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Read a month name ("Oct", "Sept", "October")
+ * @param {string} name - Month name
+ * @returns {number} - 1-12, or 0 when not a month
+ */
+function monthNumber(name) {
+    const lower = String(name).toLowerCase();
+    return lower.length < 3 ? 0 : MONTHS.findIndex(month => month.startsWith(lower)) + 1;
+}
+
+/**
+ * Read an absolute date from text
+ * @param {string} text - Date text
+ * @returns {Date|null}
+ */
+function parseAbsolute(text) {
+    // "2026-10-12 08:00:00 IST" → "+05:30"
+    const withOffset = text.replace(/\s*\bIST\b/i, ' +05:30').trim();
+    const local = withOffset.match(LOCAL_ISO);
+    if (local) return new Date(`${local[1]}T${local[2]}Z`);
+    if (/^\d{4}-\d{2}-\d{2}/.test(withOffset) || /^[a-z]{3},\s/i.test(withOffset)) {
+        const date = new Date(withOffset.replace(/^(\d{4}-\d{2}-\d{2})\s+(\d)/, '$1T$2'));
+        if (!isNaN(date.getTime())) return date;
+    }
+
+    const numeric = withOffset.match(NUMERIC_DATE);
+    if (numeric) {
+        let [, day, month, year, hours = 0, minutes = 0, seconds = 0, meridiem] = numeric;
+        // Day-first unless that is impossible ("10/15/2026" is October 15)
+        if (Number(month) > 12 && Number(day) <= 12) [day, month] = [month, day];
+        if (year.length === 2) year = `20${year}`;
+        let hour = Number(hours);
+        if (meridiem) hour = hour % 12 + (/^p/i.test(meridiem) ? 12 : 0);
+        return utcDate(Number(year), Number(month), Number(day), hour, Number(minutes), Number(seconds));
+    }
+
+    const dayFirst = withOffset.match(DAY_MONTH_YEAR);
+    if (dayFirst && monthNumber(dayFirst[2])) {
+        return utcDate(Number(dayFirst[3]), monthNumber(dayFirst[2]), Number(dayFirst[1]));
+    }
+    const monthFirst = withOffset.match(MONTH_DAY_YEAR);
+    if (monthFirst && monthNumber(monthFirst[1])) {
+        return utcDate(Number(monthFirst[3]), monthNumber(monthFirst[1]), Number(monthFirst[2]));
+    }
+
+    // Anything else JavaScript reads, but only with a year ("12 Oct" would be 2001)
+    if (!/\b\d{4}\b/.test(withOffset)) return null;
+    const date = new Date(withOffset);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read a day and month without a year ("12 Oct", "Oct 12")
+ * The year is the fetch year, or the one before when that date is still ahead
+ * @param {string} text - Date text
+ * @param {Date} fetchedAt - When the source was fetched
+ * @returns {Date|null}
+ */
+function parseDayMonth(text, fetchedAt) {
+    const dayFirst = text.match(DAY_MONTH);
+    const monthFirst = text.match(MONTH_DAY);
+    let day;
+    let month;
+    if (dayFirst && monthNumber(dayFirst[2])) [day, month] = [Number(dayFirst[1]), monthNumber(dayFirst[2])];
+    else if (monthFirst && monthNumber(monthFirst[1])) [day, month] = [Number(monthFirst[2]), monthNumber(monthFirst[1])];
+    else return null;
+
+    const year = fetchedAt.getUTCFullYear();
+    const date = utcDate(year, month, day);
+    return date && date.getTime() - fetchedAt.getTime() > DAY_MS ? utcDate(year - 1, month, day) : date;
+}
+
+/**
+ * Parse a posting date
+ * @param {*} value - Date object, epoch number, date string or relative phrase
+ * @param {Date} [fetchedAt] - When the source was fetched (relative phrases count back from it)
+ * @returns {Object} - { date: ISO 8601 string or null, precision: 'exact'|'approximate'|'unknown' }
+ */
+function parsePostingDate(value, fetchedAt = new Date()) {
+    if (value === undefined || value === null || value === '') return { ...UNKNOWN };
+
+    let date = null;
+    let precision = 'exact';
+    if (value instanceof Date) {
+        date = value;
+    } else if (typeof value === 'number' || /^\d{9,13}$/.test(String(value).trim())) {
+        const epoch = Number(value);
+        date = new Date(epoch < 10000000000 ? epoch * 1000 : epoch);
+    } else {
+        const text = String(value).trim();
+        const relative = text.match(RELATIVE_DATE);
+        precision = 'approximate';
+        if (relative) {
+            const amount = /^an?$/i.test(relative[1]) ? 1 : Number(relative[1]);
+            date = new Date(fetchedAt.getTime() - amount * UNIT_MS[relative[2].toLowerCase()]);
+        } else if (YESTERDAY.test(text)) {
+            date = new Date(fetchedAt.getTime() - DAY_MS);
+        } else if (JUST_NOW.test(text) && !/\d/.test(text)) {
+            date = fetchedAt;
+        } else {
+            date = parseAbsolute(text);
+            if (date) {
+                precision = 'exact';
+            } else {
+                // The year is inferred
+                date = parseDayMonth(text, fetchedAt);
+            }
+        }
+    }
+
+    if (!date || isNaN(date.getTime())) return { ...UNKNOWN };
+    return { date: date.toISOString(), precision };
+}
+
+/**
+ * Days between a posting date and now
+ * @param {*} value - Raw or ISO date
+ * @param {Date} [now] - Reference time
+ * @returns {number|null} - Fractional days (negative when ahead of now), or null for unknown dates
+ */
+function daysBetween(value, now = new Date()) {
+    const { date } = parsePostingDate(value, now);
+    return date === null ? null : (now.getTime() - new Date(date).getTime()) / DAY_MS;
+}
+
+module.exports = {
+    parsePostingDate,
+    daysBetween
+};
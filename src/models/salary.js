@@ -0,0 +1,151 @@
+/**
+ * Salary parsing
+ * Reads salary text from any source into structured compensation
+ *
+ * Sources report pay as free text: "4-6 LPA", "₹25,000/month", "3.5 Lacs P.A.",
+ * "$40k - $60k", "₹400000-₹600000 per year" (Adzuna), "Up to 8 LPA". parseSalary
+ * turns these into
+ *
+ *   { min, max, currency, period, annual_inr_min, annual_inr_max }
+ *
+ * where min/max are in the posting's currency (either may be null for "up to" /
+ * "from" amounts), period is annual, monthly, stipend, weekly, daily or hourly,
+ * and the annual INR amounts use the offline rates in src/config/salary.js.
+ * normalizeJob stores the result as `compensation`; formatCompensation gives the
+ * display text used in alerts.
+ */
+
+const {
+    CURRENCY_RATES_INR,
+    CURRENCY_PATTERNS,
+    AMOUNT_UNITS,
+    PERIOD_PATTERNS,
+    PERIODS_PER_YEAR,
+    UNDISCLOSED_SALARY
+} = require('../config/salary');
+
+// A number with an optional multiplier ("4.5 L", "25k"); the lookahead keeps "25000 monthly" unit-less
+const AMOUNT = /(\d+(?:\.\d+)?)\s*(k|thousand|lakhs?|lacs?|lpa|l|crores?|cr|mn|million|m)?(?![a-z])/gi;
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|to)\s*(?:rs\.?|inr|usd|[₹$€£])?\s*$/i;
+const UP_TO = /\b(?:up\s*to|upto|max(?:imum)?|not\s+more\s+than)\b/i;
+const FROM = /\b(?:from|starting|min(?:imum)?|at\s+least)\b/i;
+
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$', EUR: '€', GBP: '£' };
+const PERIOD_LABELS = { monthly: '/month', stipend: '/month stipend', weekly: '/week', daily: '/day', hourly: '/hour', annual: '/year' };
+
+/**
+ * Guess the period of an amount that does not state one
+ * @param {number} amountInr - Largest amount, converted to INR
+ * @returns {string}
+ */
+function guessPeriod(amountInr) {
+    if (amountInr < 5000) return 'hourly';
+    if (amountInr < 100000) return 'monthly'; // "₹25,000" is a monthly salary, "₹6,00,000" a CTC
+    return 'annual';
+}
+
+/**
+ * Parse salary text into structured compensation
+ * @param {*} value - Salary text (or a number, read as INR)
+ * @param {Object} [options] - { internship } monthly pay of internships is a stipend
+ * @returns {Object|null} - { min, max, currency, period, annual_inr_min, annual_inr_max }, or null when nothing is disclosed
+ */
+function parseSalary(value, options = {}) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    if (!text || UNDISCLOSED_SALARY.test(text)) return null;
+
+    // "6,00,000" and "25,000" → plain numbers
+    const cleaned = text.replace(/(\d),(?=\d)/g, '$1');
+    const matches = [...cleaned.matchAll(AMOUNT)];
+    if (matches.length === 0) return null;
+
+    const [first, second] = matches;
+    const isRange = second && RANGE_SEPARATOR.test(cleaned.slice(first.index + first[0].length, second.index));
+    // "4-6 LPA", "40-60k": the unit after the second number applies to both
+    const unitOf = match => (match[2] || (isRange ? second[2] : '') || '').toLowerCase();
+    const amountOf = match => parseFloat(match[1]) * (AMOUNT_UNITS[unitOf(match)] || 1);
+
+    let min = amountOf(first);
+    let max = isRange ? amountOf(second) : min;
+    if (!isRange && UP_TO.test(cleaned.slice(0, first.index))) min = null;
+    else if (!isRange && (FROM.test(cleaned) || /^\s*\+/.test(cleaned.slice(first.index + first[0].length)))) max = null;
+    if (min === 0) min = null;
+    if (min !== null && max !== null && min > max) [min, max] = [max, min];
+    if (min === null && !max) return null;
+
+    const currency = CURRENCY_PATTERNS.find(({ pattern }) => pattern.test(cleaned))?.currency || 'INR';
+    const rate = CURRENCY_RATES_INR[currency];
+    let period = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(cleaned))?.period ||
+        guessPeriod((max ?? min) * rate);
+
+    // "CTC 4-6" (no unit) means lakhs
+    if (currency === 'INR' && period === 'annual' && !unitOf(first) && (max ?? min) < 100) {
+        min = min !== null ? min * AMOUNT_UNITS.lakh : null;
+        max = max !== null ? max * AMOUNT_UNITS.lakh : null;
+    }
+    if (period === 'monthly' && options.internship) period = 'stipend';
+
+    const toAnnualInr = amount => (amount === null ? null : Math.round(amount * PERIODS_PER_YEAR[period] * rate));
+    return {
+        min,
+        max,
+        currency,
+        period,
+        annual_inr_min: toAnnualInr(min),
+        annual_inr_max: toAnnualInr(max)
+    };
+}
+
+/**
+ * Format an amount in lakhs ("4.5")
+ * @param {number} amount - INR amount
+ * @returns {string}
+ */
+function toLakhs(amount) {
+    return String(Math.round(amount / 1e4) / 10);
+}
+
+/**
+ * Join a min/max pair as "a-b", "Up to b" or "a+"
+ * @param {number|null} min - Lower amount
+ * @param {number|null} max - Upper amount
+ * @param {Function} format - Amount → text
+ * @param {string} [prefix] - Currency symbol
+ * @returns {string}
+ */
+function formatRange(min, max, format, prefix = '') {
+    if (min === null) return `Up to ${prefix}${format(max)}`;
+    if (max === null) return `${prefix}${format(min)}+`;
+    if (min === max) return `${prefix}${format(min)}`;
+    return `${prefix}${format(min)}-${format(max)}`;
+}
+
+/**
+ * Display text for parsed compensation, e.g. "₹4-6 LPA", "₹25,000/month",
+ * "$40,000-60,000/year (≈ ₹35.2-52.8 LPA)"
+ * @param {Object|null} compensation - From parseSalary
+ * @returns {string|null}
+ */
+function formatCompensation(compensation) {
+    if (!compensation) return null;
+    const { min, max, currency, period, annual_inr_min: annualMin, annual_inr_max: annualMax } = compensation;
+    const lakhs = formatRange(annualMin, annualMax, toLakhs, '₹');
+
+    if (currency === 'INR' && period === 'annual') {
+        return `${lakhs} LPA`;
+    }
+
+    const symbol = CURRENCY_SYMBOLS[currency] || `${currency} `;
+    const amount = formatRange(min, max, value => Number(value).toLocaleString(currency === 'INR' ? 'en-IN' : 'en-US'), symbol);
+    const text = `${amount}${PERIOD_LABELS[period]}`;
+    if (currency === 'INR') return text;
+    // "Up to $80,000/year (≈ ₹70.4 LPA)"
+    const approx = annualMin === null ? `₹${toLakhs(annualMax)}` : lakhs;
+    return `${text} (≈ ${approx} LPA)`;
+}
+
+module.exports = {
+    parseSalary,
+    formatCompensation
+};
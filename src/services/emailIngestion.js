@@ -0,0 +1,145 @@
+/**
+ * Email alert ingestion
+ * Reads job alert emails (LinkedIn, Naukri, Instahyre) from a dedicated IMAP mailbox
+ *
+ * Unprocessed messages from the last EMAIL_LOOKBACK_DAYS are parsed with the
+ * per-sender parsers in emailParsers.js. Their UIDs are kept until jobChecker
+ * has filtered, scored and sent the jobs, and only then marked with the
+ * EMAIL_PROCESSED_FLAG keyword (or \Seen on servers that do not keep custom
+ * keywords) by markEmailsProcessed(), so a run that fails leaves them to be read
+ * again. Jobs already sent are still caught by the usual duplicate check.
+ *
+ * Configured with IMAP_HOST / IMAP_USER / IMAP_PASSWORD; see README "Email Alerts"
+ * for running it against a local IMAP server.
+ */
+
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const { parseAlertEmail } = require('./emailParsers');
+const { EMAIL_MAX_MESSAGES, EMAIL_LOOKBACK_DAYS, EMAIL_PROCESSED_FLAG } = require('../config/constants');
+
+/**
+ * IMAP connection settings from the environment
+ * @returns {Object|null} - ImapFlow options, or null when no mailbox is configured
+ */
+function getImapConfig() {
+    const { IMAP_HOST, IMAP_USER, IMAP_PASSWORD } = process.env;
+    if (!IMAP_HOST || !IMAP_USER || !IMAP_PASSWORD) return null;
+
+    return {
+        host: IMAP_HOST,
+        port: parseInt(process.env.IMAP_PORT, 10) || 993,
+        secure: process.env.IMAP_SECURE !== 'false',
+        auth: { user: IMAP_USER, pass: IMAP_PASSWORD },
+        // Local test servers use self-signed certificates
+        tls: { rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false' },
+        logger: false
+    };
+}
+
+// UIDs read by the last fetchEmailJobs() call, flagged by markEmailsProcessed()
+let pendingUids = [];
+
+/**
+ * Connect, lock the mailbox and run work against it
+ * Socket errors after connect() are recorded and rethrown, so they fail this
+ * source instead of the whole invocation
+ * @param {Object} config - ImapFlow options
+ * @param {Function} work - async (client, useKeyword) => result
+ * @param {AbortSignal} [signal] - Closes the connection when aborted
+ * @returns {Promise<*>} - Result of work
+ */
+async function withMailbox(config, work, signal) {
+    const mailbox = process.env.IMAP_MAILBOX || 'INBOX';
+    const client = new ImapFlow(config);
+    let socketError = null;
+    client.on('error', error => {
+        socketError = error;
+        client.close();
+    });
+    const onAbort = () => client.close();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        await client.connect();
+        const lock = await client.getMailboxLock(mailbox);
+        let result;
+        try {
+            result = await work(client, client.mailbox.permanentFlags?.has('\\*'));
+        } finally {
+            lock.release();
+        }
+        await client.logout();
+        return result;
+    } catch (error) {
+        throw socketError || error;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+        if (client.usable) client.close();
+    }
+}
+
+/**
+ * Read and parse unprocessed alert emails
+ * The messages stay unprocessed until markEmailsProcessed() is called
+ * @param {Object} [options] - { signal } closes the connection when aborted
+ * @returns {Promise<Array|null>} - Jobs, or null when no mailbox is configured
+ */
+async function fetchEmailJobs(options = {}) {
+    const config = getImapConfig();
+    pendingUids = [];
+    if (!config) return null;
+
+    const jobs = [];
+    const processed = await withMailbox(config, async (client, useKeyword) => {
+        const since = new Date(Date.now() - EMAIL_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+        const query = useKeyword ? { unKeyword: EMAIL_PROCESSED_FLAG, since } : { seen: false, since };
+        const uids = (await client.search(query, { uid: true })) || [];
+        const batch = uids.slice(-EMAIL_MAX_MESSAGES);
+
+        const read = [];
+        if (batch.length > 0) {
+            for await (const message of client.fetch(batch, { uid: true, source: true }, { uid: true })) {
+                const mail = await simpleParser(message.source);
+                const { parser, jobs: found } = parseAlertEmail({
+                    from: mail.from?.value?.[0]?.address,
+                    subject: mail.subject,
+                    html: mail.html || mail.textAsHtml,
+                    date: mail.date
+                });
+                if (parser && found.length === 0) {
+                    console.warn(`Email alert [${parser}]: no jobs in "${(mail.subject || '').slice(0, 50)}" (template changed?)`);
+                }
+                jobs.push(...found);
+                // Unknown senders are marked too, so they are not read again every run
+                read.push(message.uid);
+            }
+        }
+        return read;
+    }, options.signal);
+
+    pendingUids = processed;
+    return jobs;
+}
+
+/**
+ * Mark the messages read by the last fetchEmailJobs() call as processed
+ * Called by jobChecker once the run's jobs were handled
+ * @returns {Promise<number>} - Messages marked
+ */
+async function markEmailsProcessed() {
+    const config = getImapConfig();
+    const uids = pendingUids;
+    if (!config || uids.length === 0) return 0;
+
+    await withMailbox(config, (client, useKeyword) =>
+        client.messageFlagsAdd(uids, [useKeyword ? EMAIL_PROCESSED_FLAG : '\\Seen'], { uid: true }));
+    pendingUids = [];
+    return uids.length;
+}
+
+module.exports = {
+    fetchEmailJobs,
+    markEmailsProcessed,
+    getImapConfig
+};
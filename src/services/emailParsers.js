@@ -0,0 +1,159 @@
+/**
+ * Email alert parsers
+ * Turn job alert emails from the major portals into jobs
+ *
+ * Each parser matches a sender address and a job link pattern. Alert emails list
+ * one "card" per job: a table cell holding the job link, title, company and
+ * location lines. Cards are found by walking up from each job link to the
+ * largest element that links to no other job (at most its table), then read
+ * line by line.
+ *
+ * Portals change their templates; `npm run email:seed` plus `npm run health --
+ * "Email Alerts"` against a local IMAP server shows what still parses
+ * (see README "Email Alerts").
+ */
+
+const cheerio = require('cheerio');
+const { htmlToText } = require('./htmlText');
+
+// Card lines that are buttons or boilerplate, never job fields
+const BOILERPLATE_LINE = /^(view job|apply( now)?|easy apply|see more jobs?|view all|save|actively recruiting|promoted|new|be an early applicant|\d+ applicants?)$/i;
+const EXPERIENCE_LINE = /\b\d+\s*(-|to)\s*\d+\s*(yrs?|years?)\b|\b\d+\+?\s*(yrs?|years?)\b/i;
+const SALARY_LINE = /₹|\blacs?\b|\blpa\b|\bsalary\b|not disclosed/i;
+
+/**
+ * Split a "Company · Location" line
+ * @param {string} line - Card line
+ * @returns {Array<string>}
+ */
+function splitDotted(line) {
+    return line.split(/\s+[·•|]\s+/).map(part => part.trim()).filter(Boolean);
+}
+
+const EMAIL_PARSERS = [
+    {
+        name: 'LinkedIn',
+        from: /@linkedin\.com$/i,
+        link: /linkedin\.com\/(?:comm\/)?jobs\/view\/(\d+)/i,
+        url: id => `https://www.linkedin.com/jobs/view/${id}/`,
+        // Title, then "Company · Location" (older templates put them on separate lines)
+        toJob: ([title, ...rest]) => {
+            const dotted = rest.length ? splitDotted(rest[0]) : [];
+            return dotted.length > 1 ?
+                { title, company_name: dotted[0], location: dotted.slice(1).join(', ') } :
+                { title, company_name: rest[0] || '', location: rest[1] || '' };
+        }
+    },
+    {
+        name: 'Naukri',
+        from: /@(mailer\.)?naukri\.com$/i,
+        link: /naukri\.com\/job-listings-[a-z0-9-]*?-(\d{6,})/i,
+        url: (id, href) => href.split('?')[0],
+        // Title, company, then experience / salary / location lines in any order
+        toJob: ([title, company = '', ...rest]) => ({
+            title,
+            company_name: company,
+            experience: rest.find(line => EXPERIENCE_LINE.test(line)) || null,
+            salary: rest.find(line => SALARY_LINE.test(line) && !/not disclosed/i.test(line)) || null,
+            location: rest.find(line => !EXPERIENCE_LINE.test(line) && !SALARY_LINE.test(line)) || ''
+        })
+    },
+    {
+        name: 'Instahyre',
+        from: /@instahyre\.com$/i,
+        link: /instahyre\.com\/job-(\d+)/i,
+        url: (id, href) => href.split('?')[0],
+        // "Role at Company", then location and experience lines
+        toJob: ([headline, ...rest]) => {
+            const [, title = headline, company = ''] = headline.match(/^(.+?)\s+at\s+(.+)$/i) || [];
+            return {
+                title,
+                company_name: company || (rest.length > 1 ? rest.shift() : ''),
+                experience: rest.find(line => EXPERIENCE_LINE.test(line)) || null,
+                location: rest.find(line => !EXPERIENCE_LINE.test(line)) || ''
+            };
+        }
+    }
+];
+
+/**
+ * Find the parser for a sender address
+ * @param {string} from - Sender address
+ * @returns {Object|null}
+ */
+function findParser(from) {
+    const address = String(from || '').trim().toLowerCase();
+    return EMAIL_PARSERS.find(parser => parser.from.test(address)) || null;
+}
+
+/**
+ * Collect the job cards of an alert email
+ * @param {string} html - Email HTML
+ * @param {RegExp} linkPattern - Job link pattern; group 1 is the job id
+ * @returns {Array} - { id, href, lines } in email order
+ */
+function extractJobCards(html, linkPattern) {
+    const $ = cheerio.load(html);
+    const cards = new Map();
+    const jobIdOf = element => ($(element).attr('href') || '').match(linkPattern)?.[1];
+
+    $('a[href]').each((_, anchor) => {
+        const id = jobIdOf(anchor);
+        if (!id || cards.has(id)) return;
+
+        // Widen to the largest ancestor that links to this job only, up to the first
+        // enclosing table (emails with a single job would otherwise take in the whole layout)
+        let card = $(anchor);
+        for (let parent = card.parent(); parent.length && !parent.is('body, html'); parent = parent.parent()) {
+            const ids = new Set(parent.find('a[href]').toArray().map(jobIdOf).filter(Boolean));
+            if (ids.size > 1) break;
+            card = parent;
+            if (parent.is('table')) break;
+        }
+
+        // Email cards put each field in its own cell, block or link; htmlToText only
+        // breaks lines at block ends, so break at their starts and after cells and links too
+        const cardHtml = $.html(card)
+            .replace(/<(p|div|tr|table|h[1-6])\b/gi, '\n$&')
+            .replace(/<\/(td|a)>/gi, '$&\n');
+        const lines = htmlToText(cardHtml)
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !BOILERPLATE_LINE.test(line));
+        cards.set(id, { id, href: $(anchor).attr('href'), lines });
+    });
+
+    return [...cards.values()];
+}
+
+/**
+ * Parse a job alert email
+ * @param {Object} mail - { from, subject, html, date } (from is the sender address)
+ * @returns {Object} - { parser, jobs } where parser is the portal name, or null for unknown senders
+ */
+function parseAlertEmail(mail) {
+    const parser = findParser(mail.from);
+    if (!parser || !mail.html) {
+        return { parser: parser?.name || null, jobs: [] };
+    }
+
+    const jobs = extractJobCards(mail.html, parser.link)
+        .filter(card => card.lines.length > 0)
+        .map(card => ({
+            job_type: '',
+            ...parser.toJob(card.lines),
+            description: card.lines.join('\n'),
+            url: parser.url(card.id, card.href),
+            slug: `email_${parser.name.toLowerCase()}_${card.id}`,
+            date: mail.date || null,
+            source: `Email: ${parser.name}`
+        }));
+
+    return { parser: parser.name, jobs };
+}
+
+module.exports = {
+    EMAIL_PARSERS,
+    findParser,
+    parseAlertEmail
+};
@@ -0,0 +1,134 @@
+/**
+ * Feed parser service
+ * Parses RSS 2.0 and Atom feeds and maps their items into the job model
+ *
+ * Used by sources declared with `type: 'feed'` (see jobFetcher.js), so any job
+ * board, company blog or Google Alerts feed can be added with one config line.
+ */
+
+const crypto = require('crypto');
+const { XMLParser } = require('fast-xml-parser');
+const { htmlToText, decodeEntities } = require('./htmlText');
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    textNodeName: '#text',
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (name) => ['item', 'entry', 'category', 'link'].includes(name)
+});
+
+/**
+ * Read the text of a parsed XML node (string, text node object or CDATA)
+ * @param {*} node - Parsed node
+ * @returns {string}
+ */
+function textOf(node) {
+    if (node === undefined || node === null) return '';
+    if (Array.isArray(node)) return textOf(node[0]);
+    if (typeof node === 'object') return textOf(node['#text']);
+    return String(node).trim();
+}
+
+/**
+ * Pick an item's link — RSS `<link>` text, or the Atom `rel="alternate"` href
+ * @param {Object} item - Parsed item or entry
+ * @returns {string}
+ */
+function linkOf(item) {
+    const links = item.link || [];
+    const alternate = links.find(l => typeof l === 'object' && l['@_href'] && (!l['@_rel'] || l['@_rel'] === 'alternate'));
+    if (alternate) return alternate['@_href'];
+
+    const text = links.map(textOf).find(Boolean);
+    if (text) return text;
+
+    // RSS guid doubles as the link unless isPermaLink="false"
+    const guid = item.guid;
+    if (guid && (typeof guid !== 'object' || guid['@_isPermaLink'] !== 'false')) {
+        return textOf(guid);
+    }
+    return '';
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document
+ * @param {string} xml - Feed XML
+ * @returns {Object} - { title, items: [{ id, title, link, pubDate, description, categories, author, location }] }
+ */
+function parseFeed(xml) {
+    const doc = xmlParser.parse(String(xml || ''));
+    const channel = doc.rss?.channel || doc['rdf:RDF']?.channel;
+    const feed = doc.feed;
+
+    if (!channel && !feed) {
+        throw new Error('Not an RSS or Atom feed');
+    }
+
+    const rawItems = channel ? (channel.item || doc['rdf:RDF']?.item || []) : (feed.entry || []);
+
+    const items = rawItems.map(item => ({
+        id: textOf(item.guid) || textOf(item.id),
+        title: decodeEntities(textOf(item.title)),
+        link: linkOf(item),
+        pubDate: textOf(item.pubDate) || textOf(item['dc:date']) || textOf(item.published) || textOf(item.updated) || null,
+        description: htmlToText(textOf(item['content:encoded']) || textOf(item.description) ||
+            textOf(item.content) || textOf(item.summary)),
+        categories: (item.category || [])
+            .map(c => (typeof c === 'object' && c['@_term']) || textOf(c))
+            .filter(Boolean),
+        author: textOf(item['dc:creator']) || textOf(item.author?.name) || textOf(item.author),
+        location: textOf(item.location) || textOf(item.region) || textOf(item['job_listing:location'])
+    }));
+
+    return {
+        title: decodeEntities(textOf(channel ? channel.title : feed.title)),
+        items
+    };
+}
+
+/**
+ * Map parsed feed items into the job model
+ * @param {Object} feed - Result of parseFeed
+ * @param {Object} [options] - { company, location, jobType, titleSeparator, sourceName }
+ *   company        — fixed company name (default: item author, then feed title)
+ *   location       — prefix/default location, e.g. 'Remote' or 'India'
+ *   jobType        — job_type for every item (default 'Full-time')
+ *   titleSeparator — split "Company: Title" style titles on this string
+ *   sourceName     — value for job.source (default: feed title)
+ * @returns {Array} - Jobs
+ */
+function feedItemsToJobs(feed, options = {}) {
+    return feed.items
+        .filter(item => item.title && item.link)
+        .map(item => {
+            let title = item.title;
+            let company = options.company || item.author || feed.title || 'Not specified';
+
+            if (options.titleSeparator && title.includes(options.titleSeparator)) {
+                const index = title.indexOf(options.titleSeparator);
+                company = options.company || title.slice(0, index).trim();
+                title = title.slice(index + options.titleSeparator.length).trim();
+            }
+
+            return {
+                title,
+                company_name: company,
+                location: [options.location, item.location].filter(Boolean).join(' - ') || 'India',
+                description: item.description,
+                url: item.link,
+                slug: `feed_${crypto.createHash('sha256').update(item.id || item.link).digest('hex').slice(0, 24)}`,
+                job_type: options.jobType || 'Full-time',
+                salary: null,
+                date: item.pubDate,
+                source: options.sourceName || feed.title,
+                tags: item.categories
+            };
+        });
+}
+
+module.exports = {
+    parseFeed,
+    feedItemsToJobs
+};
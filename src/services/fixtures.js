@@ -0,0 +1,232 @@
+/**
+ * HTTP fixtures
+ * Records raw source responses to files and replays them without network
+ *
+ *   FIXTURE_MODE=record — requests go out as usual; each response is kept under the
+ *                         source that made it and written by saveRecordings()
+ *   FIXTURE_MODE=replay — httpClient answers from FIXTURE_DIR/<source>/responses.json
+ *                         and fails requests that were never recorded
+ *
+ * The source is taken from the request scope set by jobFetcher, so scraper
+ * requests made inside `url()` functions are recorded under their source too.
+ * Query parameters that look like credentials are redacted before anything is
+ * written; replay matches on the redacted URL. Token fields in JSON responses
+ * (OAuth token endpoints) are redacted too.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURE_DIR } = require('../config/constants');
+
+// Query parameters never written to fixture files
+const SECRET_PARAM = /key|token|secret|password|app_id|appid|auth|signature/i;
+
+// Response headers worth keeping (parsers and the response cache read these)
+const KEPT_HEADERS = ['content-type', 'etag', 'last-modified'];
+
+// Job fields compared by the parser tests; slugs are left out because many
+// parsers build them from Date.now() or random suffixes
+const STABLE_FIELDS = ['title', 'company_name', 'location', 'url', 'job_type', 'salary', 'date', 'source', 'tags'];
+const DESCRIPTION_PREFIX = 200;
+
+const recordings = new Map();
+const loaded = new Map();
+
+/**
+ * Directory name for a source's fixtures
+ * @param {string} sourceName - Source name, e.g. "Cloudflare (Greenhouse)"
+ * @returns {string} - e.g. "cloudflare-greenhouse"
+ */
+function fixtureSlug(sourceName) {
+    return String(sourceName || 'unscoped').toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '') || 'unscoped';
+}
+
+/**
+ * Absolute path of a fixture file for a source
+ * @param {string} sourceName - Source name
+ * @param {string} file - File name
+ * @returns {string}
+ */
+function fixturePath(sourceName, file) {
+    return path.join(FIXTURE_DIR, fixtureSlug(sourceName), file);
+}
+
+/**
+ * Replace credential-like query values
+ * @param {string} url - Full request URL
+ * @returns {string}
+ */
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        for (const name of [...parsed.searchParams.keys()]) {
+            if (SECRET_PARAM.test(name)) parsed.searchParams.set(name, 'REDACTED');
+        }
+        return parsed.toString();
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Replace credential-like fields at the top level of a JSON response
+ * @param {*} data - Response body
+ * @returns {*}
+ */
+function redactData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+    return Object.fromEntries(Object.entries(data).map(([name, value]) =>
+        [name, /token|secret|password/i.test(name) && typeof value === 'string' ? 'REDACTED' : value]));
+}
+
+/**
+ * Key identifying a request: method, redacted URL and a hash of the body
+ * @param {Object} request - { method, url, data } with params already applied to url
+ * @returns {string}
+ */
+function fixtureKey({ method, url, data }) {
+    const body = data === undefined ? '' :
+        ` #${crypto.createHash('sha256').update(typeof data === 'string' ? data : JSON.stringify(data)).digest('hex').slice(0, 12)}`;
+    return `${String(method || 'get').toUpperCase()} ${redactUrl(url)}${body}`;
+}
+
+/**
+ * Keep a response for a source (record mode)
+ * @param {string} sourceName - Source that made the request
+ * @param {Object} request - { method, url, data }
+ * @param {Object} response - Axios response
+ */
+function recordResponse(sourceName, request, response) {
+    const name = sourceName || 'unscoped';
+    if (!recordings.has(name)) recordings.set(name, {});
+
+    const headers = {};
+    for (const header of KEPT_HEADERS) {
+        if (response.headers?.[header]) headers[header] = response.headers[header];
+    }
+    recordings.get(name)[fixtureKey(request)] = { status: response.status, headers, data: redactData(response.data) };
+}
+
+/**
+ * Answer a request from a source's recorded responses (replay mode)
+ * @param {string} sourceName - Source that made the request
+ * @param {Object} request - { method, url, data } plus the rest of the axios config
+ * @returns {Object} - Axios-like response
+ * @throws {Error} - code ENOFIXTURE when the request was never recorded
+ */
+function replayResponse(sourceName, request) {
+    const name = sourceName || 'unscoped';
+    if (!loaded.has(name)) {
+        try {
+            loaded.set(name, JSON.parse(fs.readFileSync(fixturePath(name, 'responses.json'), 'utf8')).responses || {});
+        } catch (error) {
+            loaded.set(name, {});
+        }
+    }
+
+    const key = fixtureKey(request);
+    const recorded = loaded.get(name)[key];
+    if (!recorded) {
+        const error = new Error(`No fixture for ${key} (source: ${name})`);
+        error.code = 'ENOFIXTURE';
+        throw error;
+    }
+
+    return {
+        status: recorded.status,
+        statusText: 'OK (fixture)',
+        headers: { ...recorded.headers },
+        data: recorded.data,
+        config: request
+    };
+}
+
+/**
+ * Write recorded responses, one file per source (replaces earlier recordings)
+ * @param {Set<string>} [sourceNames] - Only write these sources (default: all recorded)
+ * @param {Date} [recordedAt] - Time the responses were fetched (replay parses relative dates against it)
+ * @returns {Array<string>} - Source names written
+ */
+function saveRecordings(sourceNames, recordedAt = new Date()) {
+    const written = [];
+    for (const [name, responses] of recordings) {
+        if (sourceNames && !sourceNames.has(name)) continue;
+        const file = fixturePath(name, 'responses.json');
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({ source: name, recordedAt: recordedAt.toISOString(), responses }, null, 2) + '\n');
+        written.push(name);
+    }
+    recordings.clear();
+    return written;
+}
+
+/**
+ * Reduce jobs to the fields compared by the parser tests
+ * @param {Array} jobs - Jobs returned for a source
+ * @returns {Array} - Normalized jobs
+ */
+function stableFields(jobs) {
+    return jobs.map(job => {
+        const normalized = {};
+        for (const field of STABLE_FIELDS) {
+            if (job[field] !== undefined && job[field] !== null && job[field] !== '') {
+                normalized[field] = job[field] instanceof Date ? job[field].toISOString() : job[field];
+            }
+        }
+        if (job.description) {
+            normalized.description = String(job.description).slice(0, DESCRIPTION_PREFIX);
+        }
+        return normalized;
+    });
+}
+
+/**
+ * Write the expected normalized jobs for a source
+ * @param {string} sourceName - Source name
+ * @param {Array} jobs - Jobs returned while recording
+ */
+function saveExpectedJobs(sourceName, jobs) {
+    const file = fixturePath(sourceName, 'expected.json');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ source: sourceName, jobs: stableFields(jobs) }, null, 2) + '\n');
+}
+
+/**
+ * List recorded sources that have both responses and expected jobs
+ * `recordedAt` is the clock to replay with, so relative dates ("2 days ago") parse the same way
+ * @returns {Array<Object>} - [{ source, dir, recordedAt, expected }]
+ */
+function listFixtures() {
+    let dirs;
+    try {
+        dirs = fs.readdirSync(FIXTURE_DIR, { withFileTypes: true }).filter(entry => entry.isDirectory());
+    } catch (error) {
+        return [];
+    }
+
+    return dirs.flatMap(entry => {
+        const dir = path.join(FIXTURE_DIR, entry.name);
+        try {
+            const expected = JSON.parse(fs.readFileSync(path.join(dir, 'expected.json'), 'utf8'));
+            const { recordedAt } = JSON.parse(fs.readFileSync(path.join(dir, 'responses.json'), 'utf8'));
+            return [{ source: expected.source, dir, recordedAt: recordedAt ? new Date(recordedAt) : null, expected: expected.jobs }];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+module.exports = {
+    fixtureSlug,
+    fixtureKey,
+    redactUrl,
+    recordResponse,
+    replayResponse,
+    saveRecordings,
+    stableFields,
+    saveExpectedJobs,
+    listFixtures
+};
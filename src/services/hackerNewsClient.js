@@ -0,0 +1,171 @@
+/**
+ * Hacker News client
+ * Reads the current "Ask HN: Who is hiring?" thread through the Algolia HN API
+ *
+ * Each top-level comment is one company's post. Its pipe-delimited header line
+ * ("Company | Role | Location | REMOTE | link") is split into company, role,
+ * location, remote flag and link; comments without a header are skipped.
+ *
+ * When the source state store is available (see fetchJobsFromAllSources in
+ * jobFetcher.js), only comments newer than the last run are requested. The state
+ * is reset when a new monthly thread appears.
+ */
+
+const http = require('./httpClient');
+const { paginate } = require('./pagination');
+const { htmlToText, decodeEntities } = require('./htmlText');
+const { HACKER_NEWS_APIS } = require('../config/jobApiUrls');
+const {
+    HN_HIRING_THREAD,
+    HN_COMMENTS,
+    HN_REMOTE_PATTERN,
+    HN_HYBRID_PATTERN,
+    HN_ONSITE_PATTERN,
+    HN_LOCATION_PATTERN,
+    HN_ROLE_PATTERN,
+    HN_TERMS_PATTERN
+} = require('../config/hackerNews');
+
+const STATE_KEY = 'hackernews:whoishiring';
+const URL_PATTERN = /https?:\/\/[^\s<>"|]+/i;
+
+/**
+ * Find the newest "Who is hiring?" thread
+ * @returns {Promise<Object|null>} - { id, title } or null when none is found
+ */
+async function findHiringThread() {
+    const response = await http.get(HACKER_NEWS_APIS.searchByDate, {
+        params: { tags: `story,author_${HN_HIRING_THREAD.author}`, hitsPerPage: 10 },
+        timeout: 15000
+    });
+    const story = (response.data?.hits || []).find(hit => HN_HIRING_THREAD.titlePattern.test(hit.title || ''));
+    return story ? { id: String(story.objectID), title: story.title } : null;
+}
+
+/**
+ * Fetch the top-level comments of a thread
+ * @param {string} storyId - Thread id
+ * @param {number} [since] - Only comments created after this epoch second
+ * @returns {Promise<Array>} - Algolia comment hits
+ */
+async function fetchTopLevelComments(storyId, since) {
+    const comments = await paginate(
+        { style: 'page', start: 0, pageSize: HN_COMMENTS.pageSize, maxPages: HN_COMMENTS.maxPages, getTotal: data => data?.nbHits },
+        async ({ page }) => {
+            const response = await http.get(HACKER_NEWS_APIS.searchByDate, {
+                params: {
+                    tags: `comment,story_${storyId}`,
+                    hitsPerPage: HN_COMMENTS.pageSize,
+                    page,
+                    ...(since && { numericFilters: `created_at_i>${since}` })
+                },
+                timeout: 15000
+            });
+            return { items: response.data?.hits || [], data: response.data };
+        }
+    );
+    // Replies are in the same search results; only direct children of the story are posts
+    return comments.filter(comment => String(comment.parent_id) === storyId && comment.comment_text);
+}
+
+/**
+ * Split a comment's header line into job fields
+ * @param {string} header - First line of the comment
+ * @returns {Object|null} - { company, role, location, remote, workplaceType, link }, or null without a pipe-delimited header
+ */
+function parseHeader(header) {
+    const parts = header.split('|').map(part => part.trim()).filter(Boolean);
+    if (parts.length < 2) return null;
+
+    const [company, ...rest] = parts;
+    const locations = [];
+    let role = '';
+    let link = '';
+
+    for (const part of rest) {
+        const url = part.match(URL_PATTERN);
+        if (url) {
+            link = link || url[0];
+        } else if (HN_TERMS_PATTERN.test(part) && !HN_LOCATION_PATTERN.test(part)) {
+            continue;
+        } else if (!role && HN_ROLE_PATTERN.test(part)) {
+            role = part;
+        } else if (HN_LOCATION_PATTERN.test(part)) {
+            locations.push(part);
+        }
+    }
+
+    const remote = HN_REMOTE_PATTERN.test(header);
+    const workplaceType = HN_HYBRID_PATTERN.test(header) ? 'hybrid' :
+        remote ? 'remote' :
+        HN_ONSITE_PATTERN.test(header) ? 'onsite' : null;
+
+    return {
+        company,
+        // Headers without a recognizable role usually put it second ("Acme | Platform Team | ...")
+        role: role || (rest[0] && !URL_PATTERN.test(rest[0]) && !locations.includes(rest[0]) ? rest[0] : ''),
+        location: locations.join(' / '),
+        remote,
+        workplaceType,
+        link
+    };
+}
+
+/**
+ * Map a top-level comment to the job model
+ * @param {Object} comment - Algolia comment hit
+ * @returns {Object|null} - Job, or null when the comment has no usable header
+ */
+function commentToJob(comment) {
+    // HN separates paragraphs with bare <p> tags; the header is the first paragraph
+    const [headerHtml, ...bodyHtml] = comment.comment_text.split(/<p>/i);
+    const header = parseHeader(htmlToText(headerHtml).replace(/\n/g, ' '));
+    if (!header || !header.role) return null;
+
+    // Displayed link text is truncated for long URLs, so prefer the anchor's href
+    const href = html => (html.match(/href="([^"]+)"/i) || [])[1];
+    const link = href(headerHtml) || header.link || href(bodyHtml.join(' '));
+    const permalink = `${HACKER_NEWS_APIS.item}?id=${comment.objectID}`;
+
+    return {
+        title: header.role,
+        company_name: header.company,
+        location: header.location || (header.remote ? 'Remote' : ''),
+        description: htmlToText(comment.comment_text.replace(/<p>/gi, '\n')),
+        url: link ? decodeEntities(link) : permalink,
+        slug: `hn_${comment.objectID}`,
+        job_type: '',
+        workplace_type: header.workplaceType,
+        remote: header.remote,
+        date: comment.created_at_i || comment.created_at || null,
+        source: 'Hacker News (Who is hiring?)',
+        discussion_url: permalink
+    };
+}
+
+/**
+ * Fetch job posts from the current "Who is hiring?" thread
+ * @param {Object} [options] - { state } cache store for incremental runs (optional)
+ * @returns {Promise<Array>} - Jobs
+ */
+async function fetchHackerNewsJobs(options = {}) {
+    const { state } = options;
+    const thread = await findHiringThread();
+    if (!thread) return [];
+
+    const previous = state ? await state.get(STATE_KEY) : null;
+    const since = previous?.storyId === thread.id ? previous.lastCommentAt : null;
+    const comments = await fetchTopLevelComments(thread.id, since);
+
+    if (state) {
+        const lastCommentAt = comments.reduce((latest, comment) => Math.max(latest, comment.created_at_i || 0), since || 0);
+        state.set(STATE_KEY, { storyId: thread.id, title: thread.title, lastCommentAt });
+    }
+
+    return comments.map(commentToJob).filter(Boolean);
+}
+
+module.exports = {
+    fetchHackerNewsJobs,
+    parseHeader
+};
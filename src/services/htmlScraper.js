@@ -0,0 +1,146 @@
+/**
+ * HTML scraper service
+ * Extracts jobs from server-rendered HTML using CSS selectors
+ *
+ * Used by sources declared with `type: 'html'` (see jobFetcher.js). The source's
+ * `html` options describe one listing page:
+ *
+ *   html: {
+ *       item: 'div.job-card',                  // one element per job
+ *       fields: {
+ *           title: 'h3.title',                 // element text
+ *           url: 'a.title-link@href',          // attribute (relative links are resolved)
+ *           company_name: ['.company', '.employer'],   // first non-empty wins
+ *           location: '.location',
+ *           date: 'time@datetime'
+ *       },
+ *       defaults: { location: 'India' },
+ *       stripQuery: true,                      // drop tracking parameters from job links
+ *       detail: {                              // optional: follow each job link
+ *           fields: { description: 'div.description@html' },   // "@html" keeps line breaks
+ *           jsonLd: true,                      // also read the page's JobPosting JSON-LD
+ *           limit: 10, concurrency: 2
+ *       }
+ *   }
+ *
+ * Only works for pages that render their listings on the server. Pages that
+ * build the list in the browser (`npm run health -- --probe <url>` reports
+ * "no job markers") need an API or a headless browser instead.
+ */
+
+const cheerio = require('cheerio');
+const { htmlToText } = require('./htmlText');
+
+/**
+ * Split "selector@attribute" into its parts
+ * An empty selector ("@href") targets the item element itself
+ * @param {string} spec - Selector spec
+ * @returns {Object} - { selector, attribute }
+ */
+function parseSelector(spec) {
+    const at = spec.lastIndexOf('@');
+    // "@" inside an attribute selector (e.g. a[href*="@"]) is not an attribute suffix
+    if (at === -1 || spec.slice(at).includes(']')) {
+        return { selector: spec.trim(), attribute: null };
+    }
+    return { selector: spec.slice(0, at).trim(), attribute: spec.slice(at + 1).trim() };
+}
+
+/**
+ * Read one field from an element
+ * @param {Object} $ - Cheerio root
+ * @param {Object} element - Cheerio element to search within
+ * @param {string|Array<string>} spec - Selector spec, or candidates tried in order
+ * @returns {string|null}
+ */
+function selectValue($, element, spec) {
+    if (Array.isArray(spec)) {
+        for (const candidate of spec) {
+            const value = selectValue($, element, candidate);
+            if (value) return value;
+        }
+        return null;
+    }
+
+    const { selector, attribute } = parseSelector(spec);
+    const target = selector ? element.find(selector).first() : element;
+    if (target.length === 0) return null;
+
+    // "@html" keeps paragraphs and bullets (descriptions); plain text collapses whitespace
+    if (attribute === 'html') {
+        return htmlToText(target.html()) || null;
+    }
+    const value = attribute ? target.attr(attribute) : target.text();
+    const text = (value || '').replace(/\s+/g, ' ').trim();
+    return text || null;
+}
+
+/**
+ * Resolve a link against the page it was found on
+ * @param {string} link - Absolute or relative URL
+ * @param {string} pageUrl - URL of the page
+ * @param {boolean} [stripQuery] - Drop query string and fragment
+ * @returns {string|null}
+ */
+function resolveLink(link, pageUrl, stripQuery = false) {
+    try {
+        const url = new URL(link, pageUrl);
+        url.hash = '';
+        if (stripQuery) url.search = '';
+        return url.toString();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Extract jobs from a listing page
+ * @param {string} html - Page HTML
+ * @param {Object} options - Source `html` options (item, fields, defaults, stripQuery)
+ * @param {string} pageUrl - URL the page was fetched from
+ * @returns {Array} - Jobs (items without a title or link are dropped)
+ */
+function extractJobs(html, options, pageUrl) {
+    const $ = cheerio.load(String(html || ''));
+
+    return $(options.item).toArray()
+        .map(node => {
+            const element = $(node);
+            const job = { ...options.defaults };
+
+            for (const [field, spec] of Object.entries(options.fields)) {
+                const value = selectValue($, element, spec);
+                if (value) job[field] = value;
+            }
+
+            if (job.url) job.url = resolveLink(job.url, pageUrl, options.stripQuery);
+            job.slug = job.slug || job.url;
+            return job;
+        })
+        .filter(job => job.title && job.url);
+}
+
+/**
+ * Extract detail fields from a job's own page
+ * @param {string} html - Detail page HTML
+ * @param {Object} fields - Field name → selector spec
+ * @returns {Object} - Fields that were found
+ */
+function extractDetail(html, fields) {
+    const $ = cheerio.load(String(html || ''));
+    const root = $.root();
+    const detail = {};
+
+    for (const [field, spec] of Object.entries(fields)) {
+        const value = selectValue($, root, spec);
+        if (value) detail[field] = value;
+    }
+    return detail;
+}
+
+module.exports = {
+    parseSelector,
+    selectValue,
+    extractJobs,
+    extractDetail
+};
@@ -0,0 +1,59 @@
+/**
+ * HTML text helpers
+ * Turn HTML job descriptions (ATS APIs, feeds, career pages) into plain text
+ */
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘',
+    rdquo: '”', ldquo: '“', bull: '•', middot: '·', rupee: '₹'
+};
+
+/**
+ * Decode HTML entities (named, decimal and hex)
+ * @param {string} text - Text containing entities
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    if (!text) return '';
+    return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ?
+                parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Convert HTML to readable plain text
+ * Handles entity-escaped HTML too (Greenhouse returns `&lt;p&gt;...`)
+ * @param {string} html - HTML fragment
+ * @returns {string}
+ */
+function htmlToText(html) {
+    if (!html) return '';
+    let text = String(html);
+
+    // Entity-escaped markup: decode once so the tags can be stripped
+    if (/&lt;\/?[a-z]/i.test(text)) {
+        text = decodeEntities(text);
+    }
+
+    return decodeEntities(text
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|h[1-6]|tr|ul|ol)>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '• ')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/[ \t ]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    decodeEntities,
+    htmlToText
+};
@@ -0,0 +1,268 @@
+/**
+ * HTTP client service
+ * The single HTTP layer used by fetchers, scrapers and the Telegram service
+ *
+ * - Retries network resets, timeouts, 429 and 5xx with jittered exponential back-off
+ * - Honours Retry-After (seconds or HTTP date) and Telegram's `retry_after`
+ * - Spaces requests per host (HTTP_HOST_INTERVALS_MS)
+ * - Applies one user-agent policy (HTTP_USER_AGENTS) unless a caller sets its own header
+ * - Counts requests, retries and failures per host (getMetrics)
+ *
+ * The API mirrors axios (`get(url, config)`, `post(url, data, config)`) and resolves
+ * with the axios response, so callers keep using `r.data` and `e.response?.status`.
+ * Extra config keys: `retries`, `idempotent`, `userAgent` ('bot' | 'browser').
+ *
+ * With FIXTURE_MODE=record|replay, responses are saved to / served from fixture
+ * files per source (src/services/fixtures.js) instead of only going over the network.
+ */
+
+const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
+const {
+    HTTP_USER_AGENTS,
+    HTTP_DEFAULT_TIMEOUT_MS,
+    HTTP_MAX_RETRIES,
+    HTTP_RETRY_BASE_MS,
+    HTTP_MAX_RETRY_AFTER_MS,
+    HTTP_DEFAULT_HOST_INTERVAL_MS,
+    HTTP_HOST_INTERVALS_MS,
+    FIXTURE_MODE
+} = require('../config/constants');
+const fixtures = require('./fixtures');
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ERR_SOCKET_CONNECTION_TIMEOUT']);
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'delete']);
+
+const instance = axios.create();
+const requestScope = new AsyncLocalStorage();
+
+// Per-host scheduling and metrics (module state, reset at the start of each run)
+const nextSlotByHost = new Map();
+let metrics = createEmptyMetrics();
+
+function createEmptyMetrics() {
+    return { requests: 0, retries: 0, failures: 0, hosts: {} };
+}
+
+function hostMetrics(host) {
+    if (!metrics.hosts[host]) {
+        metrics.hosts[host] = { requests: 0, retries: 0, failures: 0, status: {}, totalMs: 0 };
+    }
+    return metrics.hosts[host];
+}
+
+/**
+ * Sleep that rejects early when the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new Error('Request aborted'));
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error('Request aborted'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Reserve the next request slot for a host and wait for it
+ * @param {string} host - Hostname
+ * @param {number} intervalMs - Minimum spacing between requests to this host
+ * @param {AbortSignal} [signal] - Abort signal
+ */
+async function waitForHostSlot(host, intervalMs, signal) {
+    if (!intervalMs) return;
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotByHost.get(host) || 0);
+    nextSlotByHost.set(host, slot + intervalMs);
+    if (slot > now) {
+        await sleep(slot - now, signal);
+    }
+}
+
+/**
+ * Parse a Retry-After delay from an error response
+ * @param {Object} response - Axios error response
+ * @returns {number|null} - Delay in ms, or null if not provided
+ */
+function getRetryAfterMs(response) {
+    const header = response?.headers?.['retry-after'];
+    if (header !== undefined) {
+        const seconds = Number(header);
+        if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    // Telegram reports flood limits in the body
+    const telegramRetry = response?.data?.parameters?.retry_after;
+    if (typeof telegramRetry === 'number') return telegramRetry * 1000;
+
+    return null;
+}
+
+/**
+ * Decide whether a failed request may be retried
+ * @param {Error} error - Axios error
+ * @param {boolean} idempotent - Whether repeating the request is safe
+ * @returns {boolean}
+ */
+function isRetryable(error, idempotent) {
+    if (axios.isCancel(error) || error.name === 'CanceledError') return false;
+
+    const status = error.response?.status;
+    // 429 means the request was not processed, so it is always safe to repeat
+    if (status === 429) return true;
+    if (!idempotent) return false;
+    if (status) return RETRYABLE_STATUS.has(status);
+    return RETRYABLE_CODES.has(error.code);
+}
+
+/**
+ * Jittered exponential back-off (half fixed, half random)
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number} - Delay in ms
+ */
+function backoffDelay(attempt) {
+    const cap = HTTP_RETRY_BASE_MS * 2 ** attempt;
+    return Math.round(cap / 2 + Math.random() * cap / 2);
+}
+
+/**
+ * Send a request with retries, per-host spacing and metrics
+ * @param {Object} config - Axios request config plus `retries`, `idempotent`, `userAgent`
+ * @returns {Promise<Object>} - Axios response
+ */
+async function request(config) {
+    const {
+        retries = HTTP_MAX_RETRIES,
+        idempotent,
+        userAgent = 'bot',
+        ...axiosConfig
+    } = config;
+
+    const method = (axiosConfig.method || 'get').toLowerCase();
+    const canRepeat = idempotent !== undefined ? idempotent : IDEMPOTENT_METHODS.has(method);
+    const scope = requestScope.getStore();
+    const signal = axiosConfig.signal || scope?.signal;
+
+    const fixtureRequest = FIXTURE_MODE && { ...axiosConfig, method, url: instance.getUri(axiosConfig) };
+    if (FIXTURE_MODE === 'replay') {
+        return fixtures.replayResponse(scope?.source, fixtureRequest);
+    }
+
+    const host = new URL(axiosConfig.url).hostname;
+    const stats = hostMetrics(host);
+    const intervalMs = HTTP_HOST_INTERVALS_MS[host] ?? HTTP_DEFAULT_HOST_INTERVAL_MS;
+
+    const headers = {
+        'User-Agent': HTTP_USER_AGENTS[userAgent] || HTTP_USER_AGENTS.bot,
+        ...axiosConfig.headers
+    };
+
+    for (let attempt = 0; ; attempt++) {
+        await waitForHostSlot(host, intervalMs, signal);
+
+        const startedAt = Date.now();
+        metrics.requests++;
+        stats.requests++;
+
+        try {
+            const response = await instance.request({
+                timeout: HTTP_DEFAULT_TIMEOUT_MS,
+                ...axiosConfig,
+                method,
+                headers,
+                signal
+            });
+            stats.status[response.status] = (stats.status[response.status] || 0) + 1;
+            stats.totalMs += Date.now() - startedAt;
+            if (FIXTURE_MODE === 'record') {
+                fixtures.recordResponse(scope?.source, fixtureRequest, response);
+            }
+            return response;
+        } catch (error) {
+            const status = error.response?.status || error.code || 'ERR';
+            stats.status[status] = (stats.status[status] || 0) + 1;
+            stats.totalMs += Date.now() - startedAt;
+
+            const retryAfterMs = getRetryAfterMs(error.response);
+            const retryAfterTooLong = retryAfterMs !== null && retryAfterMs > HTTP_MAX_RETRY_AFTER_MS;
+
+            if (attempt >= retries || signal?.aborted || retryAfterTooLong || !isRetryable(error, canRepeat)) {
+                metrics.failures++;
+                stats.failures++;
+                throw error;
+            }
+
+            metrics.retries++;
+            stats.retries++;
+            const delay = retryAfterMs !== null ? retryAfterMs : backoffDelay(attempt);
+            await sleep(delay, signal);
+        }
+    }
+}
+
+/**
+ * Create a client with default config (e.g. browser user agent for career pages)
+ * @param {Object} [defaults] - Config merged into every request; headers are merged too
+ * @returns {Object} - { request, get, post, head }
+ */
+function createHttpClient(defaults = {}) {
+    const merge = (config = {}) => ({
+        ...defaults,
+        ...config,
+        headers: { ...defaults.headers, ...config.headers }
+    });
+
+    return {
+        request: (config) => request(merge(config)),
+        get: (url, config) => request(merge({ ...config, url, method: 'get' })),
+        head: (url, config) => request(merge({ ...config, url, method: 'head' })),
+        post: (url, data, config) => request(merge({ ...config, url, data, method: 'post' }))
+    };
+}
+
+/**
+ * Run a function with a default abort signal for every request it makes
+ * Lets the per-source deadline cancel scraper requests that don't take a signal
+ * @param {AbortSignal} signal - Abort signal
+ * @param {Function} fn - async () => result
+ * @param {Object} [scope] - Extra request scope, e.g. { source } for fixtures
+ * @returns {Promise<*>}
+ */
+function withRequestSignal(signal, fn, scope = {}) {
+    return requestScope.run({ ...scope, signal }, fn);
+}
+
+/**
+ * Snapshot of request metrics since the last reset
+ * @returns {Object} - { requests, retries, failures, hosts: { [host]: {...} } }
+ */
+function getMetrics() {
+    return JSON.parse(JSON.stringify(metrics));
+}
+
+/**
+ * Reset request metrics (call at the start of each run)
+ */
+function resetMetrics() {
+    metrics = createEmptyMetrics();
+}
+
+module.exports = {
+    ...createHttpClient(),
+    createHttpClient,
+    withRequestSignal,
+    getMetrics,
+    resetMetrics
+};
@@ -0,0 +1,368 @@
+/**
+ * Cross-source duplicate detection
+ * Collapses the same posting seen on several sources into one job
+ *
+ * generateStableId only catches a job seen again with the same URL, title and
+ * company, so one role listed on LinkedIn, Naukri and the company's Workday board
+ * would be alerted three times. Runs after enrichment and before filtering:
+ *
+ *   - URLs and apply links are canonicalized (tracking parameters dropped, portal
+ *     slugs reduced to the job id, short links resolved); a shared one is a duplicate
+ *   - otherwise jobs of the same normalized company whose normalized titles are at
+ *     least DEDUP_TITLE_SIMILARITY alike (and share seniority words) are duplicates,
+ *     unless their places do not overlap (Pune vs Hyderabad) or they come from the
+ *     same source under different URLs (two requisitions on one board)
+ *
+ * Each cluster keeps its richest record that passes the caller's filter, which
+ * lists the others in `also_on`.
+ * Clusters matching a job sent in the last DEDUP_HISTORY_DAYS (from another
+ * source) are dropped. Word lists live in src/config/dedup.js.
+ */
+
+const http = require('./httpClient');
+const { parseLocation } = require('../models/location');
+const {
+    TRACKING_PARAMS,
+    TRACKING_PARAM_PREFIXES,
+    SHORTENER_HOSTS,
+    CANONICAL_URL_RULES,
+    COMPANY_SUFFIXES,
+    PLACEHOLDER_COMPANIES,
+    TITLE_NOISE_WORDS,
+    TITLE_ABBREVIATIONS,
+    SENIORITY_WORDS
+} = require('../config/dedup');
+const { DEDUP_TITLE_SIMILARITY, DEDUP_MAX_REDIRECTS } = require('../config/constants');
+
+/**
+ * Lower-case words of a name or title, punctuation removed
+ * @param {string} text - Text
+ * @returns {Array<string>}
+ */
+function toWords(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+const TRACKING = new Set(TRACKING_PARAMS);
+const NOISE = new Set(TITLE_NOISE_WORDS);
+const SENIORITY = new Set(SENIORITY_WORDS);
+const PLACEHOLDERS = new Set(PLACEHOLDER_COMPANIES.map(company => toWords(company).join(' ')));
+
+/**
+ * Reduce a job URL to the form shared by every copy of the posting
+ * @param {string} url - Job URL
+ * @returns {string} - Host, path and meaningful query without scheme; '' for invalid URLs
+ */
+function canonicalizeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url || '').trim());
+    } catch (error) {
+        return '';
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return '';
+
+    const host = parsed.hostname.toLowerCase().replace(/^(www|m)\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '') || '/';
+
+    for (const rule of CANONICAL_URL_RULES) {
+        if (host !== rule.host && !host.endsWith(`.${rule.host}`)) continue;
+        const match = path.match(rule.path);
+        if (match) return rule.canonical(match, host);
+    }
+
+    const params = [...parsed.searchParams]
+        .filter(([name]) => {
+            const lower = name.toLowerCase();
+            return !TRACKING.has(lower) && !TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+        })
+        .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? `?${new URLSearchParams(params)}` : '';
+    return `${host}${path}${query}`;
+}
+
+/**
+ * Normalize a company name for comparison
+ * @param {string} company - Company name
+ * @returns {string} - '' for placeholders such as "Via Reddit"
+ */
+function normalizeCompany(company) {
+    const words = toWords(company);
+    if (PLACEHOLDERS.has(words.join(' '))) return '';
+
+    // Keep at least one word: "Systems Ltd" stays "systems"
+    while (words.length > 1 && COMPANY_SUFFIXES.includes(words[words.length - 1])) {
+        words.pop();
+    }
+    return words.join(' ');
+}
+
+/**
+ * Split a title into normalized words (noise and bracketed notes removed)
+ * @param {string} title - Job title
+ * @returns {Array<string>}
+ */
+function normalizeTitle(title) {
+    // "(Remote)", "[0-2 yrs]" are notes, not part of the role
+    return toWords(String(title || '').replace(/\([^)]*\)|\[[^\]]*\]/g, ' '))
+        .map(word => TITLE_ABBREVIATIONS[word] || word)
+        // Requisition ids like r2026 or 12345 differ between portals
+        .filter(word => !NOISE.has(word) && !/^[a-z]{0,3}\d{4,}$/.test(word));
+}
+
+/**
+ * Character-bigram (Dice) similarity of two titles, ignoring word order
+ * @param {Array<string>} a - Normalized title words
+ * @param {Array<string>} b - Normalized title words
+ * @returns {number} - 0 (nothing shared) to 1 (identical)
+ */
+function titleSimilarity(a, b) {
+    const bigrams = words => {
+        const text = [...words].sort().join(' ');
+        const counts = new Map();
+        for (let i = 0; i < text.length - 1; i++) {
+            const pair = text.slice(i, i + 2);
+            counts.set(pair, (counts.get(pair) || 0) + 1);
+        }
+        return { counts, total: Math.max(text.length - 1, 0) };
+    };
+
+    const left = bigrams(a);
+    const right = bigrams(b);
+    if (left.total === 0 || right.total === 0) return 0;
+
+    let shared = 0;
+    for (const [pair, count] of left.counts) {
+        shared += Math.min(count, right.counts.get(pair) || 0);
+    }
+    return (2 * shared) / (left.total + right.total);
+}
+
+/**
+ * Comparison key of a job (or a sent job from history)
+ * @param {Object} job - { url, apply_links, title, company_name, source, places } or
+ *   history { url, canonicalUrl, title, company, source, location }
+ * @param {Map<string, string>} [targets] - Resolved short links
+ * @returns {Object} - { url, urls, company, words, seniority, source, places }; urls includes apply links
+ */
+function dedupKey(job, targets = new Map()) {
+    const canonical = link => canonicalizeUrl(targets.get(link) || link);
+    const url = job.canonicalUrl || canonical(job.url);
+    const words = normalizeTitle(job.title);
+    return {
+        url,
+        urls: [...new Set([url, ...(job.apply_links || []).map(canonical)].filter(Boolean))],
+        company: normalizeCompany(job.company_name ?? job.company),
+        words,
+        seniority: words.filter(word => SENIORITY.has(word)).sort().join(' '),
+        source: job.source || '',
+        places: job.places || (job.location ? parseLocation(job.location).places : [])
+    };
+}
+
+/**
+ * Check whether two place lists share a place, compared at the most specific
+ * level both name ("Gurugram" is in "Haryana" and "Delhi NCR", not in "Noida")
+ * @param {Array<Object>} a - Places from parseLocation
+ * @param {Array<Object>} b - Places from parseLocation
+ * @returns {boolean}
+ */
+function placesOverlap(a, b) {
+    return a.some(left => b.some(right => {
+        if (left.city && right.city) return left.city === right.city;
+        if (left.state && right.state) return left.state === right.state;
+        if (left.region || right.region) return left.region === right.region;
+        return left.country === right.country;
+    }));
+}
+
+/**
+ * Decide whether two keys describe the same posting
+ * @param {Object} a - Key from dedupKey
+ * @param {Object} b - Key from dedupKey
+ * @param {number} threshold - Minimum title similarity
+ * @returns {boolean}
+ */
+function isSamePosting(a, b, threshold = DEDUP_TITLE_SIMILARITY) {
+    const sameSource = a.source === b.source;
+    // Within one source a shared link can be the listing page of several postings,
+    // so it only settles the question across sources
+    if (!sameSource && a.urls.some(url => b.urls.includes(url))) return true;
+    if (!a.company || a.company !== b.company) return false;
+    if (a.seniority !== b.seniority) return false;
+    // One board lists each requisition once: a second URL there is another opening
+    if (sameSource && a.url && b.url && a.url !== b.url) return false;
+    if (a.places?.length && b.places?.length && !placesOverlap(a.places, b.places)) return false;
+    return titleSimilarity(a.words, b.words) >= threshold;
+}
+
+/**
+ * Rank records of one posting: the fullest description wins, then disclosed
+ * salary, experience and date; placeholder companies come last
+ * @param {Object} job - Job
+ * @returns {number}
+ */
+function recordQuality(job) {
+    return Math.min((job.description || '').length, 2000) / 100 +
+        (job.salary ? 3 : 0) +
+        (job.experience ? 2 : 0) +
+        (job.date ? 1 : 0) -
+        (normalizeCompany(job.company_name) ? 0 : 5);
+}
+
+/**
+ * Look up where short links (lnkd.in, bit.ly, ...) lead
+ * @param {Array} jobs - Jobs
+ * @param {Object|null} cache - Cache store; resolved links are kept under `redirect:<url>`
+ * @param {Object} stats - Stage stats (resolved is incremented)
+ * @returns {Promise<Map<string, string>>} - Short link → target URL
+ */
+async function resolveShortLinks(jobs, cache, stats) {
+    const targets = new Map();
+    const links = jobs.flatMap(job => [job.url, ...(job.apply_links || [])]);
+    const shortLinks = [...new Set(links.filter(url => {
+        try {
+            return SHORTENER_HOSTS.includes(new URL(url).hostname.replace(/^www\./, ''));
+        } catch (error) {
+            return false;
+        }
+    }))];
+
+    let requests = 0;
+    // A plain loop is enough: few short links per run, and most are cached
+    for (const url of shortLinks) {
+        let cached = null;
+        try {
+            cached = cache ? await cache.get(`redirect:${url}`) : null;
+        } catch (error) {
+            // Resolved again below
+        }
+        if (cached?.url) {
+            targets.set(url, cached.url);
+            continue;
+        }
+        if (requests >= DEDUP_MAX_REDIRECTS) continue;
+        requests++;
+        try {
+            const response = await http.head(url, { timeout: 8000, retries: 0, userAgent: 'browser' });
+            const target = response.request?.res?.responseUrl;
+            if (target && target !== url) {
+                targets.set(url, target);
+                cache?.set(`redirect:${url}`, { url: target, resolvedAt: new Date().toISOString() });
+                stats.resolved++;
+            }
+        } catch (error) {
+            // Compared by the short link itself
+        }
+    }
+    return targets;
+}
+
+/**
+ * Collapse cross-source duplicates within a run and against sent jobs
+ * Never throws — a failed redirect lookup only weakens URL matching
+ * @param {Array} jobs - Enriched jobs
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} [options] - { history, cache, threshold, accept }
+ *   history is [{ title, company, url, canonicalUrl, source, location }] from getRecentJobs;
+ *   cache is a cache store whose staged entries are persisted by the caller;
+ *   accept(job) picks which copies may be kept (filterJob), so a rich copy that
+ *   fails the filter does not hide a sibling that passes
+ * @returns {Promise<Object>} - { jobs, stats: { clusters, merged, alreadySent, resolved } }
+ */
+async function dedupeJobs(jobs, context, options = {}) {
+    const { history = [], cache = null, threshold = DEDUP_TITLE_SIMILARITY, accept = () => true } = options;
+    const stats = { clusters: 0, merged: 0, alreadySent: 0, resolved: 0 };
+
+    const targets = await resolveShortLinks(jobs, cache, stats);
+
+    // Clusters are indexed by canonical URL and by company, so each job is only
+    // compared with earlier jobs sharing a link (which must be the same posting by
+    // isSamePosting) or of the same employer (and must match every member)
+    const clusters = [];
+    const byUrl = new Map();
+    const byCompany = new Map();
+    const sharesLink = (key, other) => key.urls.some(url => other.urls.includes(url));
+    for (const job of jobs) {
+        const key = dedupKey(job, targets);
+        let cluster = key.urls.flatMap(url => byUrl.get(url) || []).find(candidate =>
+            candidate.members.some(member => sharesLink(key, member.key) && isSamePosting(key, member.key, threshold))) ||
+            (byCompany.get(key.company) || []).find(candidate =>
+                candidate.members.every(member => isSamePosting(key, member.key, threshold)));
+
+        if (cluster) {
+            cluster.members.push({ job, key });
+        } else {
+            cluster = { key, members: [{ job, key }] };
+            clusters.push(cluster);
+            if (key.company) byCompany.set(key.company, [...(byCompany.get(key.company) || []), cluster]);
+        }
+        for (const url of key.urls) {
+            const linked = byUrl.get(url) || [];
+            if (!linked.includes(cluster)) byUrl.set(url, [...linked, cluster]);
+        }
+    }
+    stats.clusters = clusters.length;
+
+    const historyByUrl = new Map();
+    const historyByCompany = new Map();
+    for (const sent of history) {
+        const key = dedupKey(sent);
+        key.urls.forEach(url => historyByUrl.set(url, [...(historyByUrl.get(url) || []), key]));
+        if (key.company) historyByCompany.set(key.company, [...(historyByCompany.get(key.company) || []), key]);
+    }
+
+    const uniqueJobs = [];
+    for (const { members } of clusters) {
+        const sent = members.find(({ key }) => [
+            ...key.urls.flatMap(url => historyByUrl.get(url) || []),
+            ...(historyByCompany.get(key.company) || [])
+        ].some(sentKey => isSamePosting(key, sentKey, threshold)));
+        if (sent) {
+            context.log(`⏭️  Already sent from another source: ${sent.job.title} (${sent.job.source})`);
+            stats.alreadySent += members.length;
+            continue;
+        }
+
+        // The richest copy that passes, or the richest overall when none does
+        const accepted = members.filter(({ job }) => accept(job));
+        const [best, ...others] = [...(accepted.length > 0 ? accepted : members)]
+            .sort((a, b) => recordQuality(b.job) - recordQuality(a.job));
+        stats.merged += members.length - 1;
+
+        // Listed in fetch order
+        const alsoOn = [];
+        for (const { job } of members.filter(member => member !== best)) {
+            if (job.source !== best.job.source && !alsoOn.some(entry => entry.source === job.source)) {
+                alsoOn.push({ source: job.source, url: job.url });
+            }
+        }
+        // Gaps in the kept record are filled from its copies
+        const salarySource = [best, ...others].find(({ job }) => job.salary)?.job || best.job;
+        uniqueJobs.push({
+            ...best.job,
+            salary: salarySource.salary || null,
+            compensation: salarySource.compensation || null,
+            experience: best.job.experience || others.map(({ job }) => job.experience).find(Boolean) || null,
+            canonical_url: best.key.url || null,
+            ...(alsoOn.length > 0 && { also_on: alsoOn })
+        });
+    }
+
+    return { jobs: uniqueJobs, stats };
+}
+
+module.exports = {
+    dedupeJobs,
+    canonicalizeUrl,
+    normalizeCompany,
+    normalizeTitle,
+    titleSimilarity,
+    placesOverlap,
+    isSamePosting
+};
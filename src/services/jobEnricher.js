@@ -0,0 +1,241 @@
+/**
+ * Job enricher service
+ * Fetches detail pages for promising jobs whose description is missing or truncated
+ *
+ * Runs after fetching and before filtering. Many sources only return a title or a
+ * teaser (Workday `descriptionTeaser`, Reddit link posts, scraped listings), which
+ * leaves filterJob and scoreJob too little text to work with. Only jobs whose title
+ * already looks relevant are enriched, within a per-run page budget and deadline.
+ *
+ * Each page is read from its schema.org JobPosting JSON-LD first, then from common
+ * description selectors. Results are kept in the 'details' cache namespace so a job
+ * seen again in a later run costs no request. Enriched jobs carry `enrichedFields`.
+ */
+
+const http = require('./httpClient');
+const { extractDetail } = require('./htmlScraper');
+const { extractJobPostings, jobPostingToJob } = require('./structuredData');
+const { runWithConcurrency } = require('./jobFetcher');
+const { containsKeyword, isIndiaLocation } = require('./jobFilter');
+const { parseLocation } = require('../models/location');
+const {
+    ENRICH_MAX_PAGES,
+    ENRICH_MAX_PER_SOURCE,
+    ENRICH_CONCURRENCY,
+    ENRICH_TIMEOUT_MS,
+    ENRICH_MIN_DESCRIPTION,
+    ENRICH_CACHE_TTL_DAYS,
+    INCLUDE_KEYWORDS,
+    PURE_TECHNICAL_KEYWORDS,
+    EXCLUDE_KEYWORDS,
+    NON_TECHNICAL_KEYWORDS
+} = require('../config/constants');
+
+// Fallback selectors when a page has no JobPosting JSON-LD (first match wins)
+const DETAIL_SELECTORS = {
+    description: [
+        '[itemprop="description"]@html',
+        '[data-automation-id="jobPostingDescription"]@html', // Workday
+        '[slot="text-body"]@html',                           // Reddit
+        '.job-description@html', '#job-description@html', '#jobDescriptionText@html',
+        '.description@html', 'article@html', 'main@html'
+    ],
+    location: ['[itemprop="jobLocation"]', '[data-automation-id="locations"] dd', '.job-location', '.location'],
+    experience: ['[itemprop="experienceRequirements"]', '.experience']
+};
+
+// Fixture source name for detail page requests (test/fixtures/job-details/)
+const DETAIL_FIXTURE_SOURCE = 'Job Details';
+
+// Locations that say nothing more than the source default
+const PLACEHOLDER_LOCATIONS = ['', 'india', 'check post for details', 'not specified', 'see post', 'remote'];
+
+// "0-2 years", "1 to 3 yrs", "2+ years of experience", "freshers"
+const EXPERIENCE_PATTERN = /\b\d+\s*(?:-|–|to)\s*\d+\s*(?:years?|yrs?)\b|\b\d+\s*\+?\s*(?:years?|yrs?)\s+(?:of\s+)?(?:experience|exp)\b|\bfreshers?\b/i;
+
+/**
+ * Check whether a job's description is missing, a copy of the title, or a teaser
+ * @param {Object} job - Job object
+ * @returns {boolean}
+ */
+function needsEnrichment(job) {
+    const description = String(job.description || '').trim();
+    if (description.length < ENRICH_MIN_DESCRIPTION) return true;
+    if (description === String(job.title || '').trim()) return true;
+    return /(\.\.\.|…)$/.test(description);
+}
+
+/**
+ * Cheap title/location check so the page budget goes to jobs that can still match
+ * @param {Object} job - Job object
+ * @returns {boolean}
+ */
+function isEnrichmentCandidate(job) {
+    const title = job.title || '';
+    if (!job.url || !/^https?:\/\//i.test(job.url)) return false;
+    if (containsKeyword(title, EXCLUDE_KEYWORDS) || containsKeyword(title, NON_TECHNICAL_KEYWORDS)) return false;
+    if (!containsKeyword(title, INCLUDE_KEYWORDS) && !containsKeyword(title, PURE_TECHNICAL_KEYWORDS)) return false;
+    // Unknown locations may be filled in from the page; known foreign ones cannot match
+    return !job.location || isIndiaLocation(job);
+}
+
+/**
+ * Extract description, experience and location from a job's detail page
+ * @param {string} html - Detail page HTML
+ * @param {string} pageUrl - URL of the page
+ * @returns {Object} - Fields that were found
+ */
+function extractDetailFields(html, pageUrl) {
+    const [posting] = extractJobPostings(html);
+    const fromJsonLd = posting ? jobPostingToJob(posting, pageUrl) : {};
+    const fromSelectors = extractDetail(html, DETAIL_SELECTORS);
+
+    const fields = {
+        description: fromJsonLd.description || fromSelectors.description,
+        location: fromJsonLd.location || fromSelectors.location,
+        experience: fromJsonLd.experience || fromSelectors.experience
+    };
+    if (!fields.experience && fields.description) {
+        fields.experience = fields.description.match(EXPERIENCE_PATTERN)?.[0];
+    }
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+}
+
+/**
+ * Merge detail fields into a job, keeping listing values that are already better
+ * @param {Object} job - Job object
+ * @param {Object} fields - { description, location, experience }
+ * @returns {Object} - Job with `enrichedFields` listing what changed
+ */
+function applyDetailFields(job, fields) {
+    const enriched = { ...job };
+    const enrichedFields = [];
+
+    if (fields.description && fields.description.length > String(job.description || '').length) {
+        enriched.description = fields.description;
+        enrichedFields.push('description');
+    }
+    if (fields.location && PLACEHOLDER_LOCATIONS.includes(String(job.location || '').trim().toLowerCase())) {
+        // Dedup keys and the location filter read places, so derive them again
+        const { places, work_mode: workMode } = parseLocation(fields.location);
+        enriched.location = fields.location;
+        enriched.places = places;
+        enriched.workplace_type = workMode || job.workplace_type || null;
+        enrichedFields.push('location');
+    }
+    if (fields.experience && !job.experience) {
+        enriched.experience = fields.experience;
+        enrichedFields.push('experience');
+    }
+
+    if (enrichedFields.length > 0) {
+        enriched.enrichedFields = enrichedFields;
+    }
+    return enriched;
+}
+
+/**
+ * Enrich promising jobs with fields from their detail pages
+ * Never throws — a failed page leaves its job as it was
+ * @param {Array} jobs - Fetched jobs
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} [options] - { cache, maxPages, maxPerSource, concurrency, timeoutMs, now }
+ *   cache is a cache store (createCacheStore('details')); staged entries are persisted by the caller
+ * @returns {Promise<Object>} - { jobs, stats: { candidates, cached, fetched, failed, enriched, overBudget } }
+ */
+async function enrichJobs(jobs, context, options = {}) {
+    const cache = options.cache || null;
+    const maxPages = options.maxPages ?? ENRICH_MAX_PAGES;
+    const maxPerSource = options.maxPerSource ?? ENRICH_MAX_PER_SOURCE;
+    const timeoutMs = options.timeoutMs || ENRICH_TIMEOUT_MS;
+    const now = options.now || new Date();
+    const ttlMs = ENRICH_CACHE_TTL_DAYS * 24 * 60 * 60 * 1000;
+    const stats = { candidates: 0, cached: 0, fetched: 0, failed: 0, enriched: 0, overBudget: 0 };
+
+    const candidates = jobs
+        .map((job, index) => ({ job, index }))
+        .filter(({ job }) => needsEnrichment(job) && isEnrichmentCandidate(job));
+    stats.candidates = candidates.length;
+    if (candidates.length === 0) {
+        return { jobs, stats };
+    }
+
+    // Cache hits first; they cost no request and no budget
+    const fieldsByIndex = new Map();
+    const toFetch = [];
+    const perSource = new Map();
+    for (const candidate of candidates) {
+        let cached = null;
+        try {
+            cached = cache ? await cache.get(candidate.job.url) : null;
+        } catch (error) {
+            context.warn(`⚠️ Detail cache read failed: ${error.message}`);
+        }
+        if (cached && now - new Date(cached.fetchedAt) < ttlMs) {
+            fieldsByIndex.set(candidate.index, cached.fields);
+            stats.cached++;
+            continue;
+        }
+
+        const source = candidate.job.source || 'unknown';
+        if (toFetch.length >= maxPages || (perSource.get(source) || 0) >= maxPerSource) {
+            stats.overBudget++;
+            continue;
+        }
+        perSource.set(source, (perSource.get(source) || 0) + 1);
+        toFetch.push(candidate);
+    }
+
+    if (toFetch.length > 0) {
+        context.log(`🔎 Enriching ${toFetch.length} jobs from detail pages (${stats.cached} cached, ${stats.overBudget} over budget)`);
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            // Detail pages are recorded and replayed as their own fixture source
+            await http.withRequestSignal(controller.signal, () =>
+                runWithConcurrency(toFetch, options.concurrency || ENRICH_CONCURRENCY, async ({ job, index }) => {
+                    if (controller.signal.aborted) return;
+                    try {
+                        const response = await http.get(job.url, {
+                            timeout: 15000,
+                            retries: 0, // The budget is better spent on the next page
+                            signal: controller.signal,
+                            responseType: 'text',
+                            userAgent: 'browser'
+                        });
+                        const fields = extractDetailFields(response.data, job.url);
+                        fieldsByIndex.set(index, fields);
+                        cache?.set(job.url, { fields, fetchedAt: now.toISOString() });
+                        stats.fetched++;
+                    } catch (error) {
+                        stats.failed++;
+                    }
+                }),
+                { source: DETAIL_FIXTURE_SOURCE }
+            );
+        } finally {
+            clearTimeout(timer);
+        }
+        if (controller.signal.aborted) {
+            context.warn(`⚠️ Enrichment stopped after ${timeoutMs / 1000}s; remaining jobs keep their listing data`);
+        }
+    }
+
+    const enrichedJobs = jobs.map((job, index) => {
+        if (!fieldsByIndex.has(index)) return job;
+        const enriched = applyDetailFields(job, fieldsByIndex.get(index));
+        if (enriched.enrichedFields) stats.enriched++;
+        return enriched;
+    });
+
+    return { jobs: enrichedJobs, stats };
+}
+
+module.exports = {
+    enrichJobs,
+    needsEnrichment,
+    isEnrichmentCandidate,
+    extractDetailFields,
+    applyDetailFields
+};
@@ -1,108 +1,377 @@
 /**
  * Job fetcher service
  * Handles fetching jobs from multiple APIs with error handling
+ *
+ * Sources are fetched concurrently through a bounded pool. Every source gets a
+ * hard deadline that covers both async scraper functions (`url()`) and the
+ * HTTP request, so one slow career page cannot eat the whole Functions timeout.
  */
 
-const axios = require('axios');
+const http = require('./httpClient');
 const { JOB_SOURCES } = require('./jobSources');
+const { paginate, buildPageUrl } = require('./pagination');
+const { parseFeed, feedItemsToJobs } = require('./feedParser');
+const { extractJobs, extractDetail } = require('./htmlScraper');
+const { extractJobsFromJsonLd } = require('./structuredData');
+const { normalizeJobs } = require('../models/jobSchema');
+const { FETCH_CONCURRENCY, SOURCE_TIMEOUT_MS } = require('../config/constants');
+
+// Source types whose responses are markup, not JSON
+const TEXT_SOURCE_TYPES = ['feed', 'html', 'jsonld'];
+
+// Detail pages fetched per HTML source unless `html.detail.limit` says otherwise
+const DEFAULT_DETAIL_LIMIT = 10;
+const DEFAULT_DETAIL_CONCURRENCY = 2;
 
 /**
- * Fetch jobs from all configured sources
- * @param {Object} context - Azure Functions context for logging
- * @returns {Promise<Array>} - Array of all fetched jobs
+ * Run an async worker over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in the same order as items
+ */
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(lanes);
+    return results;
+}
+
+/**
+ * Race a promise against a deadline, aborting the controller when it expires
+ * @param {Promise} promise - Work to wait for
+ * @param {number} ms - Deadline in milliseconds
+ * @param {AbortController} controller - Aborted when the deadline passes
+ * @param {string} label - Name used in the timeout error
+ * @returns {Promise<*>}
+ */
+function withDeadline(promise, ms, controller, label) {
+    let timer;
+    const deadline = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`${label} timed out after ${ms}ms`));
+        }, ms);
+    });
+
+    return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Parse a fetched response body with the source's parser
+ * Feed sources (`type: 'feed'`) are parsed as RSS/Atom first; their optional
+ * `parser` receives the parsed feed, otherwise items are mapped with `source.feed` options.
+ * HTML sources (`type: 'html'`) are extracted with the `source.html` selectors, and
+ * JSON-LD sources (`type: 'jsonld'`) from the page's schema.org JobPosting blocks
+ * (`source.jsonLd.defaults` fills fields the postings lack); an optional `parser`
+ * post-processes the extracted jobs
+ * @param {Object} source - Source definition from JOB_SOURCES
+ * @param {*} data - Response body
+ * @param {string} pageUrl - URL the body came from (resolves relative links)
+ * @returns {Array} - Jobs
+ */
+function parseSourceData(source, data, pageUrl) {
+    if (source.type === 'feed') {
+        const feed = parseFeed(data);
+        return source.parser ?
+            source.parser(feed) :
+            feedItemsToJobs(feed, { sourceName: source.name, ...source.feed });
+    }
+    if (source.type === 'html' || source.type === 'jsonld') {
+        const jobs = source.type === 'html' ?
+            extractJobs(data, source.html, pageUrl) :
+            extractJobsFromJsonLd(data, pageUrl).map(job => ({ ...source.jsonLd?.defaults, ...job }));
+        return source.parser ? source.parser(jobs) : jobs;
+    }
+    return source.parser(data);
+}
+
+/**
+ * Follow job links of an HTML source and merge the `html.detail` fields
+ * With `html.detail.jsonLd`, a JobPosting on the page overrides listing fields (the
+ * detail selectors still win); links and slugs always come from the listing.
+ * Only the first `limit` jobs are fetched; a failed page keeps the listing data
+ * @param {Object} source - Source definition with `html.detail`
+ * @param {Array} jobs - Jobs extracted from the listing pages
+ * @param {Object} headers - Source request headers
+ * @param {AbortSignal} signal - Source deadline signal
+ * @returns {Promise<Array>} - Jobs with detail fields applied
  */
-async function fetchJobsFromAllSources(context) {
-    const allJobs = [];
-    
-    for (const source of JOB_SOURCES) {
+async function fetchDetailPages(source, jobs, headers, signal) {
+    const detail = source.html?.detail;
+    if (!detail || jobs.length === 0) {
+        return jobs;
+    }
+
+    const targets = jobs.slice(0, detail.limit ?? DEFAULT_DETAIL_LIMIT);
+    const details = await runWithConcurrency(targets, detail.concurrency || DEFAULT_DETAIL_CONCURRENCY, async (job) => {
         try {
-            context.log(`📡 Fetching jobs from ${source.name}...`);
-            
-            // Handle URL as function (including async), string, or precomputed data
-            let url = source.url;
-            let jobs = [];
-            
-            if (typeof url === 'function') {
-                // Execute function (handles both sync and async)
-                url = await url();
-
-                // Null guard — skip sources that return null (e.g. no API key)
-                if (!url) {
-                    context.log(`⏭️ Skipping ${source.name} (no API key configured)`);
-                    continue;
-                }
-                
-                // If the function returns job data directly (from scraper), use it
-                if (Array.isArray(url)) {
-                    jobs = source.parser(url);
-                    context.log(`✅ Fetched ${jobs.length} jobs from ${source.name}`);
-                    allJobs.push(...jobs.map(job => ({ ...job, source: job.source || source.name })));
-                    continue;
-                }
-            }
-            
-            // Build headers
-            const defaultHeaders = { 'User-Agent': 'JobAlertBot/1.0' };
-            const customHeaders = source.headers ? 
-                (typeof source.headers === 'function' ? source.headers() : source.headers) : {};
-            const headers = { ...defaultHeaders, ...customHeaders };
-            
-            // Fetch with timeout
-            const response = await axios.get(url, {
-                timeout: 15000,
-                headers
-            });
-
-            // Parse jobs using source-specific parser
-            jobs = source.parser(response.data);
-            
-            // Add source to each job
-            const jobsWithSource = jobs.map(job => ({
-                ...job,
-                source: job.source || source.name
-            }));
-            
-            context.log(`✅ Fetched ${jobsWithSource.length} jobs from ${source.name}`);
-            allJobs.push(...jobsWithSource);
-            
+            const response = await http.get(job.url, { timeout: 15000, headers, signal, responseType: 'text' });
+            const fields = detail.fields ? extractDetail(response.data, detail.fields) : {};
+            if (!detail.jsonLd) return fields;
+
+            const [{ url, slug, ...posting } = {}] = extractJobsFromJsonLd(response.data, job.url);
+            return { ...posting, ...fields };
         } catch (error) {
-            context.warn(`⚠️ Failed to fetch from ${source.name}: ${error.message}`);
-            // Continue with other sources
+            if (signal?.aborted) throw error; // Source deadline — stop, don't mask it
+            return {};
+        }
+    });
+
+    return jobs.map((job, index) => (index < targets.length ? { ...job, ...details[index] } : job));
+}
+
+/**
+ * Fetch and parse a single source (no deadline handling)
+ * @param {Object} source - Source definition from JOB_SOURCES
+ * @param {Object} fetchContext - { signal, cache, state } passed to url() functions; cache and state are optional
+ * @returns {Promise<Object>} - { jobs, skipped, unchanged }
+ */
+async function fetchSource(source, fetchContext) {
+    const { cache } = fetchContext;
+
+    // Handle URL as function (including async), string, or precomputed data
+    let url = source.url;
+
+    if (typeof url === 'function') {
+        // Execute function (handles both sync and async)
+        url = await url(fetchContext);
+
+        // Null guard — skip sources that return null (e.g. no API key)
+        if (!url) {
+            return { jobs: [], skipped: 'no API key configured' };
+        }
+
+        // If the function returns job data directly (from scraper), use it
+        if (Array.isArray(url)) {
+            // Scraper slugs can contain timestamps, so leave them out of the hash
+            if (cache && (await cache.checkContent(`source:${source.name}`, url.map(({ slug, ...job }) => job))).unchanged) {
+                return { jobs: [], unchanged: true };
+            }
+            return { jobs: source.parser(url) };
+        }
+    }
+
+    // Build headers (User-Agent comes from the HTTP client's policy unless the source sets one)
+    const headers = source.headers ?
+        (typeof source.headers === 'function' ? source.headers() : source.headers) : {};
+
+    // Fetch with timeout and retries; conditional headers let the server answer 304
+    const fetchUrl = async (pageUrl) => {
+        const conditionalHeaders = cache ? await cache.conditionalHeaders(pageUrl) : {};
+        const response = await http.get(pageUrl, {
+            timeout: 15000,
+            headers: { ...headers, ...conditionalHeaders },
+            signal: fetchContext.signal,
+            // Feeds and HTML pages are markup — keep the body as text instead of letting axios guess
+            ...(TEXT_SOURCE_TYPES.includes(source.type) && { responseType: 'text' }),
+            validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+        const { unchanged } = cache ? await cache.checkResponse(pageUrl, response) : { unchanged: false };
+        return { data: response.data, unchanged };
+    };
+
+    // Paginated sources: fetch pages until exhausted or the source's maxPages cap.
+    // An unchanged page is not parsed but counts as a full page, so a changed page
+    // after it is still fetched. Cursor and next-link styles stop at a 304, which
+    // has no body to read the next cursor from
+    if (source.pagination) {
+        let pages = 0;
+        let unchangedPages = 0;
+        const linked = ['cursor', 'next'].includes(source.pagination.style);
+        const jobs = await paginate(source.pagination, async (state) => {
+            const pageUrl = buildPageUrl(url, source.pagination, state);
+            const { data, unchanged } = await fetchUrl(pageUrl);
+            pages++;
+            if (unchanged) {
+                unchangedPages++;
+                return { items: [], data, itemCount: linked && !data ? 0 : source.pagination.pageSize || 1 };
+            }
+            return { items: parseSourceData(source, data, pageUrl), data };
+        });
+        return {
+            jobs: await fetchDetailPages(source, jobs, headers, fetchContext.signal),
+            unchanged: pages > 0 && pages === unchangedPages
+        };
+    }
+
+    // Parse jobs using source-specific parser (skipped entirely when unchanged)
+    const { data, unchanged } = await fetchUrl(url);
+    if (unchanged) {
+        return { jobs: [], unchanged: true };
+    }
+    return { jobs: await fetchDetailPages(source, parseSourceData(source, data, url), headers, fetchContext.signal) };
+}
+
+/**
+ * Fetch a single source under a hard deadline
+ * Never throws — failures are reported in the returned result. Response cache
+ * entries and state staged while fetching are committed only when the source
+ * succeeded, so a source that throws or times out is fetched in full next run
+ * @param {Object} source - Source definition from JOB_SOURCES
+ * @param {Object} context - Azure Functions context for logging
+ * @param {number} timeoutMs - Deadline for the whole source
+ * @param {Object|null} cache - Response cache (optional)
+ * @param {Date|null} fetchedAt - Clock for relative dates (default: when the fetch started)
+ * @param {Object|null} state - Source state store (optional)
+ * @returns {Promise<Object>} - { name, jobs, count, dropped, durationMs, error, skipped, unchanged }
+ *   dropped counts parser results the job schema rejected, by reason
+ */
+async function fetchSourceWithDeadline(source, context, timeoutMs, cache, fetchedAt, state) {
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const result = { name: source.name, jobs: [], count: 0, dropped: {}, durationMs: 0, error: null, skipped: null, unchanged: false };
+    // A source that outlives its deadline keeps writing to these, never to the shared stores
+    const sourceCache = cache?.scope() || null;
+    const sourceState = state?.scope() || null;
+
+    try {
+        context.log(`📡 Fetching jobs from ${source.name}...`);
+
+        // The request signal (and source name, for fixtures) also reaches scraper requests made inside url()
+        const { jobs, skipped, unchanged } = await withDeadline(
+            http.withRequestSignal(
+                controller.signal,
+                () => fetchSource(source, { signal: controller.signal, cache: sourceCache, state: sourceState }),
+                { source: source.name }
+            ),
+            timeoutMs,
+            controller,
+            source.name
+        );
+
+        if (skipped) {
+            result.skipped = skipped;
+            context.log(`⏭️ Skipping ${source.name} (${skipped})`);
+        } else if (unchanged) {
+            result.unchanged = true;
+            context.log(`♻️ ${source.name} unchanged since last run (not parsed)`);
+        } else {
+            // One canonical shape for everything downstream (source defaults to the source name)
+            const normalized = normalizeJobs(jobs, { sourceName: source.name, fetchedAt: fetchedAt || new Date(startedAt) });
+            result.jobs = normalized.jobs;
+            result.dropped = normalized.dropped;
+            result.count = result.jobs.length;
+
+            const droppedCount = Object.values(result.dropped).reduce((sum, count) => sum + count, 0);
+            const droppedNote = droppedCount ?
+                ` (dropped ${droppedCount}: ${Object.entries(result.dropped).map(([reason, count]) => `${count} ${reason}`).join(', ')})` : '';
+            context.log(`✅ Fetched ${result.count} jobs from ${source.name}${droppedNote}`);
         }
+        sourceCache?.commit();
+        sourceState?.commit();
+    } catch (error) {
+        result.error = error.message;
+        context.warn(`⚠️ Failed to fetch from ${source.name}: ${error.message}`);
+        // Continue with other sources
     }
-    
+
+    result.durationMs = Date.now() - startedAt;
+    return result;
+}
+
+/**
+ * Fetch jobs from all configured sources
+ *
+ * Source state store: `state` reaches every url() function as `{ state }`. Clients
+ * keep what they need between runs there (last message id, last comment time,
+ * discovered boards) under keys prefixed with their own name (`telegram:`,
+ * `hackernews:`, `workday:`), reading with `await state.get(key)` and staging with
+ * `state.set(key, value)`. Each source writes to its own scope of the store, which
+ * is committed only when the source finished without an error inside its deadline;
+ * a source that fails or times out keeps its previous state. jobChecker then
+ * flushes the store after the run's jobs were handled, and not at all when alerts
+ * failed or jobs were cut by the scan limit. Without a store (health checks,
+ * fixture replay) state is null and clients fetch everything.
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} [options] - { sources, concurrency, timeoutMs, shouldSkip, cache, state, fetchedAt }
+ *   shouldSkip(source) returns a reason string to skip a source without fetching it
+ *   cache is a response cache (createResponseCache) for conditional requests
+ *   state is the source state store (createCacheStore('sources'), see above)
+ *   fetchedAt fixes the clock relative dates are parsed against (fixture replay)
+ * @returns {Promise<Object>} - { jobs, sourceResults } where sourceResults has one entry per source
+ */
+async function fetchJobsFromAllSources(context, options = {}) {
+    const sources = options.sources || JOB_SOURCES;
+    const concurrency = options.concurrency || FETCH_CONCURRENCY;
+    const timeoutMs = options.timeoutMs || SOURCE_TIMEOUT_MS;
+    const shouldSkip = options.shouldSkip || (() => null);
+    const cache = options.cache || null;
+    const state = options.state || null;
+    const fetchedAt = options.fetchedAt || null;
+
+    context.log(`📡 Fetching ${sources.length} sources (concurrency ${concurrency}, deadline ${timeoutMs / 1000}s each)`);
+
+    const sourceResults = await runWithConcurrency(sources, concurrency, source => {
+        const skipReason = shouldSkip(source);
+        if (skipReason) {
+            context.log(`⏭️ Skipping ${source.name} (${skipReason})`);
+            return { name: source.name, jobs: [], count: 0, dropped: {}, durationMs: 0, error: null, skipped: skipReason, unchanged: false };
+        }
+        return fetchSourceWithDeadline(source, context, timeoutMs, cache, fetchedAt, state);
+    });
+
+    const allJobs = sourceResults.flatMap(result => result.jobs);
+
     context.log(`📊 Total jobs fetched from all sources: ${allJobs.length}`);
-    return allJobs;
+    return { jobs: allJobs, sourceResults };
 }
 
 /**
  * Fetch jobs with incremental filtering
- * Only returns jobs posted after lastRunTimestamp
+ * Only returns jobs posted after lastRunTimestamp, except from sources with
+ * dateFilter: false (they read each item once themselves, e.g. Email Alerts)
  * @param {Object} context - Azure Functions context
  * @param {Date|string|null} lastRunTimestamp - Last successful run timestamp
  * @param {number} fallbackDays - Days to look back if no lastRunTimestamp (first run)
- * @returns {Promise<Array>} - Array of jobs
+ * @param {Object} [options] - Passed through to fetchJobsFromAllSources
+ * @returns {Promise<Object>} - { jobs, sourceResults }
  */
-async function fetchJobsIncremental(context, lastRunTimestamp, fallbackDays) {
-    const allJobs = await fetchJobsFromAllSources(context);
-    
+async function fetchJobsIncremental(context, lastRunTimestamp, fallbackDays, options = {}) {
+    const { jobs: allJobs, sourceResults } = await fetchJobsFromAllSources(context, options);
+    const unfiltered = new Set((options.sources || JOB_SOURCES)
+        .filter(source => source.dateFilter === false)
+        .map(source => source.name));
+    const filterBySource = keep => sourceResults.flatMap(result =>
+        unfiltered.has(result.name) ? result.jobs : result.jobs.filter(keep));
+
     if (!lastRunTimestamp) {
         // First run - use fallback time window
         context.log(`⚠️ No last run timestamp found. Using fallback: ${fallbackDays} days`);
         const { isWithinTimeWindow } = require('../models/job');
-        return allJobs.filter(job => isWithinTimeWindow(job.date, fallbackDays));
+        return {
+            jobs: filterBySource(job => isWithinTimeWindow(job.date, fallbackDays, job.date_precision)),
+            sourceResults
+        };
     }
-    
-    // Incremental mode - only jobs newer than last run
+
+    // Incremental mode - only jobs newer than last run, counted by how their date is known
     const { isJobNewerThan } = require('../models/job');
-    const newJobs = allJobs.filter(job => isJobNewerThan(job.date, lastRunTimestamp));
-    
-    context.log(`🔄 Incremental scan: ${newJobs.length} of ${allJobs.length} jobs are new (posted after ${new Date(lastRunTimestamp).toISOString()})`);
-    
-    return newJobs;
+    const kept = { exact: 0, approximate: 0, unknown: 0 };
+    const newJobs = filterBySource(job => {
+        const precision = job.date_precision || (job.date ? 'exact' : 'unknown');
+        const isNew = isJobNewerThan(job.date, lastRunTimestamp, precision);
+        if (isNew) kept[precision]++;
+        return isNew;
+    });
+
+    context.log(`🔄 Incremental scan: ${newJobs.length} of ${allJobs.length} jobs are new (posted after ${new Date(lastRunTimestamp).toISOString()}; ${kept.exact} exact, ${kept.approximate} approximate, ${kept.unknown} undated)`);
+
+    return { jobs: newJobs, sourceResults };
 }
 
 module.exports = {
     fetchJobsFromAllSources,
-    fetchJobsIncremental
+    fetchJobsIncremental,
+    runWithConcurrency,
+    withDeadline
 };
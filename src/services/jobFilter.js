@@ -5,14 +5,18 @@
 
 const {
     INCLUDE_KEYWORDS,
-    ENTRY_LEVEL_KEYWORDS,
     EXCLUDE_KEYWORDS,
     NON_TECHNICAL_KEYWORDS,
     PURE_TECHNICAL_KEYWORDS,
     INDIA_KEYWORDS,
     PREFERRED_CITIES,
-    FRESHER_FRIENDLY_COMPANIES
+    FRESHER_FRIENDLY_COMPANIES,
+    MIN_CTC_LPA,
+    MIN_STIPEND_MONTHLY,
+    MAX_EXPERIENCE_YEARS
 } = require('../config/constants');
+const { extractExperience } = require('../models/experience');
+const { parseLocation } = require('../models/location');
 
 /**
  * Check if text contains any keywords (case-insensitive)
@@ -37,6 +41,8 @@ function containsKeyword(text, keywords) {
 
 /**
  * Check if job location is in India
+ * Any Indian place qualifies ("Bangalore / London" included); foreign-only
+ * locations do not; a location without places qualifies when it is remote
  * @param {Object} job - Job object
  * @returns {boolean}
  */
@@ -48,34 +54,11 @@ function isIndiaLocation(job) {
     // Reddit posts need manual check
     if (location.includes('Check post')) return true;
     
-    const lowerLocation = location.toLowerCase();
-    
-    // Exclude foreign countries/cities
-    const foreignIndicators = [
-        'germany', 'berlin', 'munich', 'frankfurt', 'hamburg', 'dortmund',
-        'united states', 'usa', 'u.s.', 'new york', 'san francisco', 'seattle',
-        'united kingdom', 'london', 'uk ', ' uk,',
-        'canada', 'toronto', 'vancouver',
-        'australia', 'sydney', 'melbourne',
-        'singapore', 'netherlands', 'france', 'paris',
-        'europe', 'european union',
-    ];
-    if (foreignIndicators.some(f => lowerLocation.includes(f))) return false;
-    
-    // Check for India keywords
-    const isIndia = INDIA_KEYWORDS.some(kw => lowerLocation.includes(kw.toLowerCase()));
-    
-    // Check for Indian cities
-    const isPreferredCity = PREFERRED_CITIES.some(city =>
-        lowerLocation.includes(city.toLowerCase())
-    );
-    
-    // Allow "Remote" only if no foreign country detected
-    const isRemoteAcceptable = ['remote', 'work from home', 'wfh', 'anywhere'].some(r =>
-        lowerLocation.includes(r)
-    );
+    const { places, work_mode: workMode } = parseLocation(location);
+    if (places.some(place => place.country === 'India')) return true;
     
-    return isIndia || isPreferredCity || isRemoteAcceptable;
+    // Allow "Remote" only if no foreign place is named
+    return places.length === 0 && workMode === 'remote';
 }
 
 /**
@@ -97,9 +80,25 @@ function isFresherFriendlyCompany(job) {
     );
 }
 
+/**
+ * Check disclosed pay against MIN_CTC_LPA / MIN_STIPEND_MONTHLY
+ * Undisclosed pay passes; ranges are judged by their upper end
+ * @param {Object|null} compensation - Parsed salary (job.compensation)
+ * @returns {boolean}
+ */
+function meetsMinimumPay(compensation) {
+    if (!compensation) return true;
+    const annualInr = compensation.annual_inr_max ?? compensation.annual_inr_min;
+
+    if (compensation.period === 'stipend') {
+        return !MIN_STIPEND_MONTHLY || annualInr / 12 >= MIN_STIPEND_MONTHLY;
+    }
+    return !MIN_CTC_LPA || annualInr >= MIN_CTC_LPA * 1e5;
+}
+
 /**
  * Main job filtering function
- * Multi-stage filter: location → technical → keywords → experience
+ * Multi-stage filter: location → technical → keywords → experience → pay
  * @param {Object} job - Job object
  * @returns {Object} - { match: boolean, reason: string, matchedKeyword: string }
  */
@@ -148,27 +147,15 @@ function filterJob(job) {
         return { match: false, reason: 'Does not contain required keywords' };
     }
     
-    // Stage 6: Check experience level (0-2 years)
-    const isEntryLevel = containsKeyword(combinedText, ENTRY_LEVEL_KEYWORDS);
-    
-    // Extract years mentioned
-    const yearsMatch = combinedText.match(/(\d+)\s*\+?\s*years?/gi);
-    let hasAcceptableExperience = true;
-    
-    if (yearsMatch) {
-        const years = yearsMatch.map(match => parseInt(match.match(/(\d+)/)[1]));
-        const maxYears = Math.max(...years);
-        
-        if (maxYears > 2) {
-            hasAcceptableExperience = false;
-        }
+    // Stage 6: Check experience level (at most 0-2 years required)
+    const experience = extractExperience(job);
+    if (experience.min !== null && experience.min > MAX_EXPERIENCE_YEARS) {
+        return { match: false, reason: `Requires more than ${MAX_EXPERIENCE_YEARS} years experience` };
     }
     
-    // Accept if: explicitly entry level OR no experience mentioned OR up to 2 years
-    const noExperienceMentioned = !combinedText.match(/\d+\s*\+?\s*years?/i);
-    
-    if (!isEntryLevel && !noExperienceMentioned && !hasAcceptableExperience) {
-        return { match: false, reason: 'Requires more than 2 years experience' };
+    // Stage 7: Disclosed pay below the configured minimum
+    if (!meetsMinimumPay(job.compensation)) {
+        return { match: false, reason: 'Pay below minimum' };
     }
     
     // Find which keyword matched
@@ -183,5 +170,6 @@ module.exports = {
     filterJob,
     containsKeyword,
     isIndiaLocation,
-    isFresherFriendlyCompany
+    isFresherFriendlyCompany,
+    meetsMinimumPay
 };
@@ -5,6 +5,8 @@
 
 const { getDaysSince } = require('../models/job');
 const { isFresherFriendlyCompany } = require('./jobFilter');
+const { parseLocation } = require('../models/location');
+const { SALARY_BONUS_LPA } = require('../config/constants');
 
 /**
  * Calculate relevance score for a job
@@ -15,7 +17,7 @@ const { isFresherFriendlyCompany } = require('./jobFilter');
  * - Fresher indicators: 15-20pts
  * - Known company: 15pts
  * - Recency (1-7 days): 5-20pts
- * - Salary disclosed: 10pts
+ * - Salary disclosed: 10pts (+5 at SALARY_BONUS_LPA or more per year)
  * - Location (Bangalore/Pune/Remote): 5-8pts
  * - Full-time: 5pts
  * 
@@ -49,13 +51,18 @@ function scoreJob(job) {
     else if (daysSincePost <= 7) score += 5;
     
     // === Salary disclosed bonus (transparency indicator) ===
-    if (job.salary && job.salary !== 'Not disclosed') score += 10;
+    if (job.compensation) {
+        score += 10;
+        const annualInr = job.compensation.annual_inr_max ?? job.compensation.annual_inr_min;
+        if (annualInr >= SALARY_BONUS_LPA * 1e5) score += 5;
+    }
     
     // === Location bonus (preferred cities) ===
-    const location = (job.location || '').toLowerCase();
-    if (location.includes('bangalore') || location.includes('bengaluru')) score += 5;
-    if (location.includes('pune') || location.includes('hyderabad')) score += 5;
-    if (location.includes('remote')) score += 8;
+    const { places, work_mode: workMode } = parseLocation(job.location);
+    const cities = places.map(place => place.city);
+    if (cities.includes('Bengaluru')) score += 5;
+    if (cities.includes('Pune') || cities.includes('Hyderabad')) score += 5;
+    if (workMode === 'remote') score += 8;
     
     // === Job type bonus ===
     if (job.job_type && job.job_type.toLowerCase().includes('full-time')) score += 5;
@@ -8,9 +8,16 @@
  */
 
 const scraper = require('./webScraper');
+const { fetchRedditJobs } = require('./redditClient');
+const { fetchHackerNewsJobs } = require('./hackerNewsClient');
+const { fetchTelegramChannelJobs } = require('./telegramChannelScraper');
+const { fetchEmailJobs } = require('./emailIngestion');
 const { createSimpleJobSource, urls } = require('../config/jobSourceHelper');
+const { GREENHOUSE_BOARDS, LEVER_COMPANIES, ASHBY_COMPANIES } = require('../config/atsBoards');
+const { SOURCE_CONFIG_DIR } = require('../config/constants');
+const { loadSourceDefinitions, mergeSources } = require('./sourceLoader');
 
-const JOB_SOURCES = [
+const CODE_SOURCES = [
     {
         name: 'Arbeitnow',
         url: urls.REMOTE_JOB_APIS.arbeitnow,  // URL from config file
@@ -36,7 +43,7 @@ const JOB_SOURCES = [
                 slug: job.id || job.slug,
                 tags: job.tags || [],
                 job_type: job.type || '',
-                salary: job.salary_max ? `$${job.salary_min || 0}-$${job.salary_max}` : null,
+                salary: job.salary_max ? `$${job.salary_min || 0}-$${job.salary_max} per year` : null, // RemoteOK salaries are annual USD
                 date: job.date || job.epoch || null,
                 source: 'RemoteOK'
             }));
@@ -62,68 +69,24 @@ const JOB_SOURCES = [
     },
     {
         name: 'Reddit Jobs',
-        url: urls.REDDIT_APIS.jobSubreddits,  // URL from config file
-        parser: (data) => {
-            const posts = data?.data?.children || [];
-
-            const HIRING_PATTERNS = [
-                /^\[hiring\]/i,
-                /^hiring:/i,
-                /we are hiring/i,
-                /we'?re hiring/i,
-                /join our team/i,
-                /looking to hire/i,
-                /open position/i,
-                /job opening/i,
-                /\breferral\b/i,
-            ];
-
-            const FOR_HIRE_PATTERNS = [
-                /^\[for hire\]/i,
-                /^for hire:/i,
-                /\bavailable for\b/i,
-                /looking for.*internship/i,
-                /seeking.*role/i,
-                /seeking.*position/i,
-                /open to.*opportunity/i,
-                /actively looking/i,
-                /\bi am looking\b/i,
-                /\bI\'m looking\b/i,
-            ];
-
-            return posts
-                .filter(post => {
-                    const title = post.data.title;
-                    const text = post.data.selftext || '';
-                    const flair = (post.data.link_flair_text || '').toLowerCase();
-
-                    if (flair.includes('for hire') || flair.includes('available')) return false;
-                    if (FOR_HIRE_PATTERNS.some(p => p.test(title) || p.test(text.slice(0, 300)))) return false;
-                    if (HIRING_PATTERNS.some(p => p.test(title))) return true;
-
-                    const bodyLower = text.slice(0, 500).toLowerCase();
-                    if (bodyLower.includes('we are looking for') || 
-                        bodyLower.includes('you will be responsible') ||
-                        bodyLower.includes('responsibilities include') ||
-                        bodyLower.includes('what you will do') ||
-                        bodyLower.includes('apply now') ||
-                        bodyLower.includes('send your resume') ||
-                        bodyLower.includes('dm your resume')) return true;
-
-                    return false;
-                })
-                .map(post => ({
-                    title: post.data.title.replace(/^\[hiring\]/gi, '').trim(),
-                    company_name: 'Via Reddit',
-                    location: 'Check post for details',
-                    description: post.data.selftext || post.data.title,
-                    url: `https://reddit.com${post.data.permalink}`,
-                    slug: post.data.id,
-                    job_type: post.data.link_flair_text || 'See post',
-                    date: post.data.created_utc || null,
-                    source: `Reddit r/${post.data.subreddit}`
-                }));
-        }
+        url: async () => await fetchRedditJobs(),  // OAuth API; subreddits and megathreads in src/config/reddit.js
+        parser: (data) => Array.isArray(data) ? data : []
+    },
+    {
+        name: 'Hacker News (Who is hiring?)',
+        url: async ({ state }) => await fetchHackerNewsJobs({ state }),  // Monthly thread via Algolia; only new comments when state is kept
+        parser: (data) => Array.isArray(data) ? data : []
+    },
+    {
+        name: 'Telegram Channels',
+        url: async ({ state }) => await fetchTelegramChannelJobs({ state }),  // Public t.me/s previews; channels in src/config/telegramChannels.js
+        parser: (data) => Array.isArray(data) ? data : []
+    },
+    {
+        name: 'Email Alerts',
+        url: async ({ signal }) => await fetchEmailJobs({ signal }),  // LinkedIn/Naukri/Instahyre alert emails over IMAP (null without IMAP_HOST)
+        parser: (data) => Array.isArray(data) ? data : [],
+        dateFilter: false  // Each message is read once; mail delivered during a run is older than lastRunAt
     },
     {
         name: 'Remotive',
@@ -145,36 +108,10 @@ const JOB_SOURCES = [
             }));
         }
     },
-    {
-        name: 'Adzuna India',
-        url: () => {
-            const appId = process.env.ADZUNA_APP_ID || 'test';
-            const appKey = process.env.ADZUNA_APP_KEY || 'test';
-            return `https://api.adzuna.com/v1/api/jobs/in/search/1?app_id=${appId}&app_key=${appKey}&results_per_page=50&what=azure%20cloud%20devops%20security&where=india&max_days_old=30`;
-        },
-        parser: (data) => {
-            try {
-                const jobs = data?.results || [];
-                return jobs.map(job => ({
-                    title: job.title,
-                    company_name: job.company?.display_name || 'Not specified',
-                    location: job.location?.display_name || 'India',
-                    description: job.description || '',
-                    url: job.redirect_url || job.url || '',
-                    slug: job.id,
-                    job_type: job.contract_time || 'Full-time',
-                    salary: job.salary_max ? `₹${job.salary_min || 0}-₹${job.salary_max}` : null,
-                    date: job.created || null,
-                    source: 'Adzuna India'
-                }));
-            } catch (error) {
-                return [];
-            }
-        }
-    },
     {
         name: 'JSearch (RapidAPI)',
-        url: 'https://jsearch.p.rapidapi.com/search?query=azure%20cloud%20devops%20security%20india&page=1&num_pages=1&date_posted=month',
+        url: 'https://jsearch.p.rapidapi.com/search?query=azure%20cloud%20devops%20security%20india&num_pages=1&date_posted=month',
+        pagination: { style: 'page', param: 'page', pageSize: 10, maxPages: 3 },
         parser: (data) => {
             try {
                 const jobs = data?.data || [];
@@ -186,7 +123,9 @@ const JOB_SOURCES = [
                     url: job.job_apply_link || job.job_google_link || '',
                     slug: job.job_id,
                     job_type: job.job_employment_type || 'Full-time',
-                    salary: job.job_max_salary ? `${job.job_min_salary || 0}-${job.job_max_salary}` : null,
+                    salary: job.job_max_salary
+                        ? `${job.job_salary_currency || ''} ${job.job_min_salary || 0}-${job.job_max_salary}${job.job_salary_period ? ` per ${job.job_salary_period.toLowerCase()}` : ''}`.trim()
+                        : null,
                     date: job.job_posted_at_datetime_utc || job.job_posted_at_timestamp || null,
                     source: `JSearch (${job.job_publisher || 'Multi-platform'})`
                 }));
@@ -334,7 +273,7 @@ const JOB_SOURCES = [
     },
     {
         name: 'Wipro Careers',
-        url: async () => await scraper.scrapeWipro(),
+        url: async ({ state }) => await scraper.scrapeWipro({ state }),
         parser: (data) => Array.isArray(data) ? data : []
     },
     {
@@ -354,12 +293,12 @@ const JOB_SOURCES = [
     },
     {
         name: 'HCL Technologies',
-        url: async () => await scraper.scrapeHCL(),
+        url: async ({ state }) => await scraper.scrapeHCL({ state }),
         parser: (data) => Array.isArray(data) ? data : []
     },
     {
         name: 'Tech Mahindra',
-        url: async () => await scraper.scrapeTechMahindra(),
+        url: async ({ state }) => await scraper.scrapeTechMahindra({ state }),
         parser: (data) => Array.isArray(data) ? data : []
     },
     {
@@ -456,57 +395,43 @@ const JOB_SOURCES = [
             }
         }
     },
+    // ── RSS/Atom feeds (type: 'feed' — parsed by feedParser.js) ────────────
     {
         name: 'Hasjob',
-        url: 'https://hasjob.co/api/1/feed',
-        parser: (data) => {
-            try {
-                const jobs = data?.posts || [];
-                return jobs.map(job => ({
-                    title: job.headline,
-                    company_name: job.company_name || 'India Startup',
-                    location: job.location || 'India',
-                    description: job.company_description || job.job_description || '',
-                    url: job.url || job.absurl,
-                    slug: job.hashid || `hasjob_${Date.now()}`,
-                    job_type: job.type || 'Full-time',
-                    salary: job.pay_cash_max ? `₹${job.pay_cash_min || 0}-₹${job.pay_cash_max}` : null,
-                    date: job.datetime || null,
-                    source: 'Hasjob'
-                }));
-            } catch (error) {
-                return [];
-            }
-        }
+        type: 'feed',
+        url: 'https://hasjob.co/feed',
+        feed: { location: 'India' }
     },
     {
-        name: 'StackOverflow Jobs India',
-        url: 'https://stackoverflow.com/jobs/feed?l=India&u=Mi&d=100&r=true',
-        parser: (data) => {
-            try {
-                // RSS feed - might need XML parsing
-                const jobs = data?.jobs || [];
-                return jobs.map(job => ({
-                    title: job.title,
-                    company_name: job.company || 'Tech Company',
-                    location: job.location || 'India',
-                    description: job.description || '',
-                    url: job.link || job.url,
-                    slug: job.id || `stackoverflow_${Date.now()}`,
-                    job_type: job.type || 'Full-time',
-                    salary: null,
-                    date: job.pubDate || job.published || null,
-                    source: 'StackOverflow Jobs'
-                }));
-            } catch (error) {
-                return [];
-            }
-        }
+        // Replaces StackOverflow Jobs (shut down in 2022)
+        name: 'We Work Remotely DevOps',
+        type: 'feed',
+        url: 'https://weworkremotely.com/categories/remote-devops-sysadmin-jobs.rss',
+        feed: { location: 'Remote', titleSeparator: ': ' }
     },
+    // ── Server-rendered HTML pages (type: 'html' — CSS selectors, htmlScraper.js) ──
     {
         name: 'Internshala Jobs',
-        url: async () => await scraper.scrapeInternshalaJobs(),
-        parser: (data) => Array.isArray(data) ? data : []
+        type: 'html',
+        url: 'https://internshala.com/jobs/cloud-computing-jobs,cyber-security-jobs,devops-jobs/',
+        headers: { 'Accept': 'text/html' },
+        html: {
+            item: 'div.individual_internship',
+            fields: {
+                title: ['a.job-title-href', 'h3.job-internship-name'],
+                url: ['a.job-title-href@href', '@data-href'],
+                company_name: ['p.company-name', '.company_name a', '.company-name'],
+                location: ['.row-1-item.locations', '.locations', '.location_link'],
+                salary: ['.salary .desktop', 'i.ic-16-money + span'],
+                date: ['.status-success span', '.status-info span', '.status-inactive span']
+            },
+            defaults: { company_name: 'via Internshala', location: 'India', job_type: 'Full-time', source: 'Internshala Jobs' },
+            detail: {
+                fields: { description: ['.internship_details .text-container@html', '.about_company_text_container@html'] },
+                jsonLd: true, // JobPosting block adds salary, experience and exact dates
+                limit: 10
+            }
+        }
     },
     {
         name: 'LetsIntern',
@@ -675,26 +600,26 @@ const JOB_SOURCES = [
         }
     },
     {
+        // Guest search API returns server-rendered job cards, not JSON
         name: 'LinkedIn Jobs Entry Level',
-        url: 'https://www.linkedin.com/jobs-guest/jobs/api/seeMoreJobPostings/search?keywords=entry%20level%20OR%20fresher&location=India&f_E=1,2&start=0&count=50',
-        parser: (data) => {
-            try {
-                // LinkedIn might require HTML parsing
-                const jobs = data?.jobs || [];
-                return jobs.map(job => ({
-                    title: job.title,
-                    company_name: job.companyName || job.company,
-                    location: job.location,
-                    description: job.description || '',
-                    url: job.url || `https://www.linkedin.com/jobs/view/${job.jobId}`,
-                    slug: job.jobId || `linkedin_${Date.now()}`,
-                    job_type: job.employmentType || 'Entry Level',
-                    salary: null,
-                    date: job.listedAt || job.originalListedAt || null,
-                    source: 'LinkedIn Jobs'
-                }));
-            } catch (error) {
-                return [];
+        type: 'html',
+        url: 'https://www.linkedin.com/jobs-guest/jobs/api/seeMoreJobPostings/search?keywords=entry%20level%20OR%20fresher&location=India&f_E=1,2',
+        pagination: { style: 'offset', param: 'start', pageSize: 10, maxPages: 3 },
+        html: {
+            item: 'li',
+            fields: {
+                title: ['h3.base-search-card__title', '.sr-only'],
+                url: ['a.base-card__full-link@href', 'a@href'],
+                company_name: ['h4.base-search-card__subtitle', '.base-search-card__subtitle a'],
+                location: '.job-search-card__location',
+                date: 'time@datetime'
+            },
+            defaults: { job_type: 'Entry Level', source: 'LinkedIn Jobs' },
+            stripQuery: true, // job links carry per-request tracking ids
+            detail: {
+                fields: { description: '.show-more-less-html__markup@html' },
+                jsonLd: true,
+                limit: 10
             }
         }
     },
@@ -792,7 +717,7 @@ const JOB_SOURCES = [
     },
     {
         name: 'Mphasis Careers',
-        url: async () => await scraper.scrapeMphasis(),
+        url: async ({ state }) => await scraper.scrapeMphasis({ state }),
         parser: (data) => Array.isArray(data) ? data : []
     },
     {
@@ -802,22 +727,22 @@ const JOB_SOURCES = [
     },
     {
         name: 'LTIMindtree Careers',
-        url: async () => await scraper.scrapeLTIMindtree(),
+        url: async ({ state }) => await scraper.scrapeLTIMindtree({ state }),
         parser: (data) => Array.isArray(data) ? data : []
     },
     {
         name: 'Deloitte India',
-        url: async () => await scraper.scrapeDeloitte(),
+        url: async ({ state }) => await scraper.scrapeDeloitte({ state }),
         parser: (data) => Array.isArray(data) ? data : []
     },
     {
         name: 'EY India',
-        url: async () => await scraper.scrapeEY(),
+        url: async ({ state }) => await scraper.scrapeEY({ state }),
         parser: (data) => Array.isArray(data) ? data : []
     },
     {
         name: 'DXC Technology',
-        url: async () => await scraper.scrapeDXC(),
+        url: async ({ state }) => await scraper.scrapeDXC({ state }),
         parser: (data) => Array.isArray(data) ? data : []
     },
     {
@@ -854,6 +779,30 @@ const JOB_SOURCES = [
         url: async () => await scraper.scrapeTheMuse(),
         parser: (data) => Array.isArray(data) ? data : []
     },
+
+    // ── Greenhouse boards (src/config/atsBoards.js) ────────────────────────
+    ...GREENHOUSE_BOARDS.map(({ token, company }) => ({
+        name: `${company} (Greenhouse)`,
+        url: async () => await scraper.scrapeGreenhouse(token, company),
+        parser: (data) => Array.isArray(data) ? data : []
+    })),
+
+    // ── Lever and Ashby boards (src/config/atsBoards.js) ───────────────────
+    ...LEVER_COMPANIES.map(({ slug, company }) => ({
+        name: `${company} (Lever)`,
+        url: async () => await scraper.scrapeLever(slug, company),
+        parser: (data) => Array.isArray(data) ? data : []
+    })),
+    ...ASHBY_COMPANIES.map(({ org, company }) => ({
+        name: `${company} (Ashby)`,
+        url: async () => await scraper.scrapeAshby(org, company),
+        parser: (data) => Array.isArray(data) ? data : []
+    })),
 ];
 
-module.exports = { JOB_SOURCES };
+// Declarative sources from src/config/sources/*.json|yaml (Adzuna India lives there).
+// Invalid definitions are skipped here and reported by the job checker at startup
+const { sources: JOB_SOURCES, errors: SOURCE_CONFIG_ERRORS } =
+    mergeSources(CODE_SOURCES, loadSourceDefinitions(SOURCE_CONFIG_DIR));
+
+module.exports = { JOB_SOURCES, SOURCE_CONFIG_ERRORS };
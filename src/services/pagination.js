@@ -0,0 +1,159 @@
+/**
+ * Pagination service
+ * One pagination model shared by URL sources (jobFetcher) and ATS scrapers (webScraper)
+ *
+ * A source opts in with a `pagination` block:
+ *
+ *   pagination: {
+ *       style: 'page',          // 'offset' | 'page' | 'cursor' | 'next'
+ *       param: 'page',          // query param to set, or `{page}` / `{offset}` placeholder in the URL
+ *       sizeParam: 'limit',     // optional query param for the page size
+ *       pageSize: 50,           // expected items per page (a short page ends pagination)
+ *       start: 1,               // first page number / offset (default 1 for 'page', 0 otherwise)
+ *       maxPages: 3,            // hard cap per source (default MAX_PAGES_PER_SOURCE)
+ *       getTotal: data => data.count,      // optional, stops once everything is fetched
+ *       getCursor: data => data.after,     // 'cursor' style: value for the next request
+ *       getNext: data => data.next         // 'next' style: absolute URL of the next page
+ *   }
+ */
+
+const { MAX_PAGES_PER_SOURCE } = require('../config/constants');
+
+/**
+ * Fill in pagination defaults
+ * @param {Object} pagination - Pagination block from a source definition
+ * @returns {Object} - Normalized pagination settings
+ */
+function normalizePagination(pagination = {}) {
+    const style = pagination.style || 'page';
+    return {
+        param: style === 'offset' ? 'offset' : style === 'cursor' ? 'cursor' : 'page',
+        start: style === 'page' ? 1 : 0,
+        maxPages: MAX_PAGES_PER_SOURCE,
+        ...pagination,
+        style
+    };
+}
+
+/**
+ * Initial request state for a pagination style
+ * @param {Object} p - Normalized pagination settings
+ * @returns {Object} - { pageIndex, page, offset, cursor, url }
+ */
+function initialState(p) {
+    return {
+        pageIndex: 0,
+        page: p.style === 'page' ? p.start : null,
+        offset: p.style === 'offset' ? p.start : null,
+        cursor: null,
+        url: null
+    };
+}
+
+/**
+ * Work out the state of the next request, or null when pagination is done
+ * @param {Object} p - Normalized pagination settings
+ * @param {Object} state - State of the request just made
+ * @param {*} data - Response body of the request just made
+ * @param {number} itemCount - Items returned by that page
+ * @param {number|null} total - Total items reported by the API, if known
+ * @returns {Object|null}
+ */
+function nextState(p, state, data, itemCount, total) {
+    if (itemCount === 0) return null;
+    if (state.pageIndex + 1 >= p.maxPages) return null;
+
+    const next = { ...state, pageIndex: state.pageIndex + 1 };
+
+    switch (p.style) {
+        case 'offset': {
+            if (p.pageSize && itemCount < p.pageSize) return null;
+            next.offset = state.offset + (p.pageSize || itemCount);
+            if (total && next.offset >= total) return null;
+            return next;
+        }
+        case 'page': {
+            if (p.pageSize && itemCount < p.pageSize) return null;
+            next.page = state.page + 1;
+            if (total && p.pageSize && (next.page - p.start) * p.pageSize >= total) return null;
+            return next;
+        }
+        case 'cursor': {
+            next.cursor = p.getCursor ? p.getCursor(data) : null;
+            return next.cursor ? next : null;
+        }
+        case 'next': {
+            next.url = p.getNext ? p.getNext(data) : null;
+            return next.url ? next : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Apply a pagination state to a URL (query param or `{page}` / `{offset}` placeholder)
+ * @param {string} baseUrl - Source URL
+ * @param {Object} pagination - Pagination block (normalized or raw)
+ * @param {Object} state - Current request state
+ * @returns {string} - URL for this page
+ */
+function buildPageUrl(baseUrl, pagination, state) {
+    const p = normalizePagination(pagination);
+
+    if (p.style === 'next') {
+        return state.url || baseUrl;
+    }
+
+    const value = p.style === 'offset' ? state.offset :
+        p.style === 'page' ? state.page : state.cursor;
+
+    const placeholder = `{${p.param}}`;
+    if (baseUrl.includes(placeholder)) {
+        return baseUrl.split(placeholder).join(encodeURIComponent(value));
+    }
+
+    const url = new URL(baseUrl);
+    if (value !== null && value !== undefined) {
+        url.searchParams.set(p.param, value);
+    }
+    if (p.sizeParam && p.pageSize) {
+        url.searchParams.set(p.sizeParam, p.pageSize);
+    }
+    return url.toString();
+}
+
+/**
+ * Fetch pages until the source runs out, the total is reached or maxPages is hit
+ * @param {Object} pagination - Pagination block from a source definition
+ * @param {Function} fetchPage - async (state) => { items, data, itemCount }; itemCount
+ *   (default items.length) is the page size used to decide whether to go on, so a page
+ *   whose items are skipped (unchanged since the last run) does not end pagination
+ * @returns {Promise<Array>} - Items from all pages
+ */
+async function paginate(pagination, fetchPage) {
+    const p = normalizePagination(pagination);
+    const items = [];
+    let total = null;
+    let state = initialState(p);
+
+    while (state) {
+        const { items: pageItems = [], data, itemCount = pageItems.length } = await fetchPage(state);
+        items.push(...pageItems);
+
+        // Some APIs (Workday) only report the total on the first page; a 304 has no body
+        if (!total && p.getTotal && data) {
+            total = Number(p.getTotal(data)) || null;
+        }
+
+        state = nextState(p, state, data, itemCount, total);
+    }
+
+    return items;
+}
+
+module.exports = {
+    normalizePagination,
+    buildPageUrl,
+    paginate
+};
@@ -0,0 +1,256 @@
+/**
+ * Reddit client
+ * Reads hiring posts and megathread comments through Reddit's API
+ *
+ * With REDDIT_CLIENT_ID / REDDIT_CLIENT_SECRET set, requests use an application-only
+ * OAuth token against oauth.reddit.com (100 requests/minute). Without them the client
+ * falls back to the public `.json` endpoints on www.reddit.com, which are throttled
+ * much harder. Listings are paginated with Reddit's `after` cursor.
+ *
+ * Subreddits, megathread searches and the hiring/for-hire patterns live in
+ * src/config/reddit.js.
+ */
+
+const http = require('./httpClient');
+const { paginate } = require('./pagination');
+const { REDDIT_APIS } = require('../config/jobApiUrls');
+const {
+    REDDIT_SUBREDDITS,
+    REDDIT_LISTING,
+    REDDIT_MEGATHREADS,
+    REDDIT_MAX_COMMENTS,
+    HIRING_TAGS,
+    FOR_HIRE_TAGS,
+    HIRING_FLAIRS,
+    FOR_HIRE_FLAIRS,
+    HIRING_PATTERNS,
+    FOR_HIRE_PATTERNS
+} = require('../config/reddit');
+
+// Reddit asks API clients for a descriptive user agent: <platform>:<app id>:<version> (by /u/<user>)
+const DEFAULT_USER_AGENT = 'node:j-bot:1.0 (+https://github.com/ayushhhthakur/J-Bot)';
+
+// Refresh the token this long before Reddit says it expires
+const TOKEN_EXPIRY_MARGIN_MS = 60000;
+
+let accessToken = null;
+
+/**
+ * Get an application-only OAuth token (cached until shortly before it expires)
+ * @returns {Promise<string|null>} - Token, or null when no credentials are configured
+ */
+async function getAccessToken() {
+    const clientId = process.env.REDDIT_CLIENT_ID;
+    const clientSecret = process.env.REDDIT_CLIENT_SECRET;
+    if (!clientId || !clientSecret) return null;
+
+    if (accessToken && accessToken.expiresAt > Date.now() + TOKEN_EXPIRY_MARGIN_MS) {
+        return accessToken.value;
+    }
+
+    const response = await http.post(REDDIT_APIS.accessToken, 'grant_type=client_credentials', {
+        auth: { username: clientId, password: clientSecret },
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'User-Agent': process.env.REDDIT_USER_AGENT || DEFAULT_USER_AGENT
+        },
+        idempotent: true,
+        timeout: 10000
+    });
+
+    if (!response.data?.access_token) {
+        throw new Error(`Reddit OAuth failed: ${response.data?.error || 'no access token'}`);
+    }
+    accessToken = {
+        value: response.data.access_token,
+        expiresAt: Date.now() + (response.data.expires_in || 3600) * 1000
+    };
+    return accessToken.value;
+}
+
+/**
+ * GET a Reddit API path, with OAuth when configured
+ * @param {string} path - API path, e.g. "/r/devopsjobs/new"
+ * @param {Object} [params] - Query parameters
+ * @returns {Promise<*>} - Response body
+ */
+async function redditGet(path, params = {}) {
+    const token = await getAccessToken();
+    const config = {
+        params: { raw_json: 1, ...params },
+        timeout: 15000,
+        headers: { 'User-Agent': process.env.REDDIT_USER_AGENT || DEFAULT_USER_AGENT }
+    };
+
+    if (!token) {
+        const response = await http.get(`${REDDIT_APIS.publicBase}${path}.json`, config);
+        return response.data;
+    }
+
+    try {
+        const response = await http.get(`${REDDIT_APIS.oauthBase}${path}`, {
+            ...config,
+            headers: { ...config.headers, Authorization: `Bearer ${token}` }
+        });
+        return response.data;
+    } catch (error) {
+        // Token revoked or expired early — fetch a new one once
+        if (error.response?.status !== 401) throw error;
+        accessToken = null;
+        const retryToken = await getAccessToken();
+        const response = await http.get(`${REDDIT_APIS.oauthBase}${path}`, {
+            ...config,
+            headers: { ...config.headers, Authorization: `Bearer ${retryToken}` }
+        });
+        return response.data;
+    }
+}
+
+/**
+ * Decide whether a post or comment is an employer's job post
+ * @param {string} title - Post title ('' for comments)
+ * @param {string} body - Full post or comment text
+ * @param {string} [flair] - Link flair text
+ * @returns {boolean}
+ */
+function isHiringPost(title, body, flair = '') {
+    const lowerFlair = flair.toLowerCase().trim();
+    if (FOR_HIRE_FLAIRS.some(f => lowerFlair.includes(f))) return false;
+    if (HIRING_FLAIRS.includes(lowerFlair)) return true;
+
+    const heading = (title || body).trim();
+    if (FOR_HIRE_TAGS.some(p => p.test(heading))) return false;
+    if (HIRING_TAGS.some(p => p.test(heading))) return true;
+
+    const text = `${title}\n${body}`;
+    const hiring = HIRING_PATTERNS.filter(p => p.test(text)).length;
+    const forHire = FOR_HIRE_PATTERNS.filter(p => p.test(text)).length;
+    return hiring > forHire;
+}
+
+/**
+ * Fetch the newest posts of the configured subreddits (one multireddit listing)
+ * @param {Array<string>} [subreddits] - Subreddit names
+ * @returns {Promise<Array>} - Post data objects
+ */
+async function fetchNewPosts(subreddits = REDDIT_SUBREDDITS) {
+    return paginate(
+        { style: 'cursor', maxPages: REDDIT_LISTING.maxPages, getCursor: data => data?.data?.after },
+        async ({ cursor }) => {
+            const data = await redditGet(`/r/${subreddits.join('+')}/${REDDIT_LISTING.sort}`, {
+                limit: REDDIT_LISTING.pageSize,
+                ...(cursor && { after: cursor })
+            });
+            return { items: (data?.data?.children || []).map(child => child.data), data };
+        }
+    );
+}
+
+/**
+ * Find the newest megathreads matching a search
+ * @param {Object} megathread - { subreddit, query, maxThreads }
+ * @returns {Promise<Array>} - Post data objects
+ */
+async function findMegathreads({ subreddit, query, maxThreads = 1 }) {
+    const data = await redditGet(`/r/${subreddit}/search`, {
+        q: query,
+        restrict_sr: 1,
+        sort: 'new',
+        t: 'month',
+        limit: maxThreads
+    });
+    return (data?.data?.children || []).map(child => child.data).slice(0, maxThreads);
+}
+
+/**
+ * Read the top-level comments of a thread
+ * @param {Object} thread - Post data ({ subreddit, id })
+ * @returns {Promise<Array>} - Comment data objects
+ */
+async function fetchTopLevelComments(thread) {
+    const data = await redditGet(`/r/${thread.subreddit}/comments/${thread.id}`, {
+        depth: 1,
+        limit: REDDIT_MAX_COMMENTS,
+        sort: 'new'
+    });
+    // Response is [post listing, comment listing]; "more" stubs are skipped
+    return (data?.[1]?.data?.children || [])
+        .filter(child => child.kind === 't1')
+        .map(child => child.data);
+}
+
+/**
+ * Map a hiring post to the job model
+ * @param {Object} post - Post data
+ * @returns {Object}
+ */
+function postToJob(post) {
+    return {
+        title: post.title.replace(/^\[hiring\]\s*|^hiring\s*:\s*/i, '').trim(),
+        company_name: 'Via Reddit',
+        location: 'Check post for details',
+        description: post.selftext || post.title,
+        url: `https://www.reddit.com${post.permalink}`,
+        slug: `reddit_${post.id}`,
+        job_type: post.link_flair_text || 'See post',
+        date: post.created_utc || null,
+        source: `Reddit r/${post.subreddit}`
+    };
+}
+
+/**
+ * Map a megathread comment to the job model (first line becomes the title)
+ * @param {Object} comment - Comment data
+ * @param {Object} thread - Megathread post data
+ * @returns {Object}
+ */
+function commentToJob(comment, thread) {
+    const firstLine = comment.body.split('\n').map(line => line.replace(/[*_#>]/g, '').trim()).find(Boolean) || '';
+    return {
+        title: firstLine.length > 120 ? `${firstLine.slice(0, 117)}...` : firstLine,
+        company_name: 'Via Reddit',
+        location: 'Check post for details',
+        description: comment.body,
+        url: `https://www.reddit.com${comment.permalink}`,
+        slug: `reddit_${comment.id}`,
+        job_type: 'See post',
+        date: comment.created_utc || null,
+        source: `Reddit r/${thread.subreddit} (${thread.title.slice(0, 40)})`
+    };
+}
+
+/**
+ * Fetch hiring posts and megathread comments
+ * A failing megathread is logged and skipped; the listing itself must succeed
+ * @returns {Promise<Array>} - Jobs
+ */
+async function fetchRedditJobs() {
+    const posts = await fetchNewPosts();
+    const jobs = posts
+        .filter(post => !post.stickied && isHiringPost(post.title, post.selftext || '', post.link_flair_text || ''))
+        .map(postToJob);
+
+    for (const megathread of REDDIT_MEGATHREADS) {
+        try {
+            for (const thread of await findMegathreads(megathread)) {
+                const comments = await fetchTopLevelComments(thread);
+                jobs.push(...comments
+                    // Top-level comments in a hiring thread are job posts unless they read like a candidate's
+                    .filter(comment => comment.body && !['[deleted]', '[removed]'].includes(comment.body) &&
+                        !FOR_HIRE_TAGS.some(p => p.test(comment.body.trim())) &&
+                        FOR_HIRE_PATTERNS.filter(p => p.test(comment.body)).length <= HIRING_PATTERNS.filter(p => p.test(comment.body)).length)
+                    .map(comment => commentToJob(comment, thread)));
+            }
+        } catch (error) {
+            console.warn(`Reddit megathread [r/${megathread.subreddit}]: ${error.response?.status || error.code} ${error.message.slice(0, 50)}`);
+        }
+    }
+
+    return jobs;
+}
+
+module.exports = {
+    fetchRedditJobs,
+    isHiringPost,
+    redditGet
+};
@@ -0,0 +1,124 @@
+/**
+ * Response cache service
+ * Conditional requests (ETag / Last-Modified) and content hashing per source URL
+ *
+ * A response counts as unchanged when the server answers 304 Not Modified, or
+ * when its body hashes to the same value as last run. Unchanged responses are
+ * not parsed or filtered at all — their jobs were handled by an earlier run.
+ * New ETags and hashes are staged per source (scope()) and only kept when the
+ * source was fetched and parsed without an error.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hash a response body (string or parsed JSON)
+ * @param {*} data - Response body
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashContent(data) {
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+/**
+ * Create a response cache on top of a cache store
+ * @param {Object} store - Store from createCacheStore (or one of its scopes)
+ * @param {Object} [context] - Azure Functions context for logging
+ * @returns {Object} - { conditionalHeaders(url), checkResponse(url, response), checkContent(key, data), scope(), commit(), flush() }
+ */
+function createResponseCache(store, context) {
+    const read = async (key) => {
+        try {
+            return await store.get(key);
+        } catch (error) {
+            context?.warn(`⚠️ Response cache read failed: ${error.message}`);
+            return null;
+        }
+    };
+
+    return {
+        /**
+         * Conditional request headers for a URL seen in an earlier run
+         * @param {string} url - Request URL
+         * @returns {Promise<Object>} - If-None-Match / If-Modified-Since headers
+         */
+        async conditionalHeaders(url) {
+            const cached = await read(url);
+            const headers = {};
+            if (cached?.etag) headers['If-None-Match'] = cached.etag;
+            if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+            return headers;
+        },
+
+        /**
+         * Check an HTTP response against the cache and stage the new entry
+         * @param {string} url - Request URL
+         * @param {Object} response - Axios response (status 2xx or 304)
+         * @returns {Promise<Object>} - { unchanged, reason } where reason is 'not-modified' or 'same-hash'
+         */
+        async checkResponse(url, response) {
+            if (response.status === 304) {
+                return { unchanged: true, reason: 'not-modified' };
+            }
+
+            const cached = await read(url);
+            const contentHash = hashContent(response.data);
+
+            store.set(url, {
+                etag: response.headers?.etag || null,
+                lastModified: response.headers?.['last-modified'] || null,
+                contentHash,
+                fetchedAt: new Date().toISOString()
+            });
+
+            if (cached?.contentHash === contentHash) {
+                return { unchanged: true, reason: 'same-hash' };
+            }
+            return { unchanged: false, reason: null };
+        },
+
+        /**
+         * Check data without HTTP metadata (e.g. jobs returned by a scraper function)
+         * @param {string} key - Cache key
+         * @param {*} data - Content to hash
+         * @returns {Promise<Object>} - { unchanged, reason }
+         */
+        async checkContent(key, data) {
+            const cached = await read(key);
+            const contentHash = hashContent(data);
+            store.set(key, { contentHash, fetchedAt: new Date().toISOString() });
+            return cached?.contentHash === contentHash ?
+                { unchanged: true, reason: 'same-hash' } :
+                { unchanged: false, reason: null };
+        },
+
+        /**
+         * Response cache for one source; its entries are dropped unless committed
+         * @returns {Object} - Response cache over store.scope()
+         */
+        scope() {
+            return createResponseCache(store.scope(), context);
+        },
+
+        /**
+         * Keep a scope's entries (call when the source succeeded)
+         */
+        commit() {
+            store.commit();
+        },
+
+        /**
+         * Persist staged cache entries (call after the run has processed the jobs)
+         * @returns {Promise<number>} - Entries written
+         */
+        flush() {
+            return store.flush();
+        }
+    };
+}
+
+module.exports = {
+    createResponseCache,
+    hashContent
+};
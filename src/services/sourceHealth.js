@@ -0,0 +1,144 @@
+/**
+ * Source health service
+ * Tracks per-source reliability and decides which sources to skip (circuit breaker)
+ *
+ * Circuit states:
+ *   closed — source is fetched every run
+ *   open   — source failed CIRCUIT_BREAKER_THRESHOLD runs in a row and is skipped
+ *            for `skipRemaining` more runs
+ *   probe  — back-off elapsed; the next run fetches it once. Success closes the
+ *            circuit, failure re-opens it with twice the back-off
+ */
+
+const { CIRCUIT_BREAKER_THRESHOLD, CIRCUIT_BREAKER_MAX_SKIP_RUNS } = require('../config/constants');
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
+/**
+ * Create an empty health record for a source
+ * @param {string} name - Source name
+ * @returns {Object} - Health record
+ */
+function createHealthRecord(name) {
+    return {
+        sourceName: name,
+        state: 'closed',
+        consecutiveFailures: 0,
+        backoffRuns: 0,
+        skipRemaining: 0,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null,
+        lastJobCount: 0,
+        avgLatencyMs: 0,
+        totalRuns: 0,
+        totalFailures: 0
+    };
+}
+
+/**
+ * Decide whether a source should be skipped this run
+ * @param {Object|undefined} health - Health record for the source
+ * @returns {string|null} - Skip reason, or null to fetch the source
+ */
+function getSkipReason(health) {
+    if (!health || health.state !== 'open' || health.skipRemaining <= 0) {
+        return null;
+    }
+    return `circuit open after ${health.consecutiveFailures} failures (re-probe in ${health.skipRemaining} run${health.skipRemaining === 1 ? '' : 's'})`;
+}
+
+/**
+ * Apply one run's fetch result to a health record
+ * @param {Object|undefined} health - Existing health record (not mutated)
+ * @param {Object} result - Per-source result from fetchJobsFromAllSources
+ * @param {Date} [now] - Current time
+ * @returns {Object} - Updated health record
+ */
+function applySourceResult(health, result, now = new Date()) {
+    const next = { ...createHealthRecord(result.name), ...health };
+
+    // Skipped by the circuit breaker: count down towards the next probe
+    if (result.skipped && next.state === 'open') {
+        next.skipRemaining = Math.max(0, next.skipRemaining - 1);
+        if (next.skipRemaining === 0) next.state = 'probe';
+        return next;
+    }
+
+    // Skipped for another reason (e.g. no API key) — nothing was measured
+    if (result.skipped) {
+        return next;
+    }
+
+    next.totalRuns += 1;
+    next.avgLatencyMs = next.totalRuns === 1 ?
+        result.durationMs :
+        Math.round(next.avgLatencyMs * (1 - LATENCY_SMOOTHING) + result.durationMs * LATENCY_SMOOTHING);
+
+    if (!result.error) {
+        next.state = 'closed';
+        next.consecutiveFailures = 0;
+        next.backoffRuns = 0;
+        next.skipRemaining = 0;
+        next.lastSuccessAt = now.toISOString();
+        // An unchanged response was not parsed, so keep the last real count
+        if (!result.unchanged) next.lastJobCount = result.count;
+        return next;
+    }
+
+    next.consecutiveFailures += 1;
+    next.totalFailures += 1;
+    next.lastFailureAt = now.toISOString();
+    next.lastError = String(result.error).slice(0, 200);
+    next.lastJobCount = 0;
+
+    if (next.consecutiveFailures >= CIRCUIT_BREAKER_THRESHOLD) {
+        next.backoffRuns = next.backoffRuns ?
+            Math.min(next.backoffRuns * 2, CIRCUIT_BREAKER_MAX_SKIP_RUNS) : 1;
+        next.skipRemaining = next.backoffRuns;
+        next.state = 'open';
+    }
+
+    return next;
+}
+
+/**
+ * Apply all of a run's results to the stored health records
+ * @param {Map<string, Object>} healthMap - Existing records keyed by source name
+ * @param {Array} sourceResults - Results from fetchJobsFromAllSources
+ * @param {Date} [now] - Current time
+ * @returns {Array} - Updated health records, one per source
+ */
+function updateSourceHealth(healthMap, sourceResults, now = new Date()) {
+    return sourceResults.map(result => applySourceResult(healthMap.get(result.name), result, now));
+}
+
+/**
+ * Summarize a run's source outcomes for logs and notifications
+ * @param {Array} sourceResults - Results from fetchJobsFromAllSources
+ * @param {Array} healthRecords - Updated health records
+ * @returns {Object} - { ok, failed, skipped, unchanged, circuitOpen, openSources }
+ */
+function summarizeSourceHealth(sourceResults, healthRecords) {
+    const openSources = healthRecords
+        .filter(health => health.state === 'open')
+        .map(health => health.sourceName);
+
+    return {
+        ok: sourceResults.filter(r => !r.error && !r.skipped).length,
+        failed: sourceResults.filter(r => r.error).length,
+        skipped: sourceResults.filter(r => r.skipped).length,
+        unchanged: sourceResults.filter(r => r.unchanged).length,
+        circuitOpen: openSources.length,
+        openSources
+    };
+}
+
+module.exports = {
+    createHealthRecord,
+    getSkipReason,
+    applySourceResult,
+    updateSourceHealth,
+    summarizeSourceHealth
+};
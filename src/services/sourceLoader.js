@@ -0,0 +1,404 @@
+/**
+ * Source loader
+ * Builds job sources from declarative JSON/YAML files in src/config/sources/
+ *
+ * A definition looks like (YAML):
+ *
+ *   name: Adzuna India
+ *   enabled: true
+ *   url: https://api.adzuna.com/v1/api/jobs/in/search/{page}?app_id=${env.ADZUNA_APP_ID}
+ *   headers: { Accept: application/json }
+ *   pagination: { style: page, param: page, pageSize: 50, maxPages: 3, totalPath: $.count }
+ *   items: $.results[*]
+ *   fields:
+ *     title: $.title
+ *     company_name: [$.company.display_name, $.company_name]   # first non-empty wins
+ *     salary: { template: "₹{$.salary_min}-₹{$.salary_max}" }
+ *   defaults: { location: India, job_type: Full-time }
+ *
+ * `${env.NAME}` (or `${env.NAME:-fallback}`) is replaced in url and headers when
+ * the source is fetched; a missing variable without a fallback skips the source
+ * like a missing API key. Feed sources use `type: feed` plus `feed:` options, HTML
+ * pages use `type: html` plus `html:` selectors (see htmlScraper.js), and pages with
+ * schema.org JobPosting JSON-LD use `type: jsonld` (optional `defaults:`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const SOURCE_FILE_PATTERN = /\.(json|ya?ml)$/i;
+const SOURCE_TYPES = ['json', 'feed', 'html', 'jsonld'];
+const PAGINATION_STYLES = ['offset', 'page', 'cursor', 'next'];
+const JOB_FIELDS = ['title', 'company_name', 'location', 'description', 'url', 'slug',
+    'job_type', 'salary', 'date', 'source', 'tags'];
+
+/**
+ * Split a JSONPath-style expression into tokens
+ * Supports `$`, `.key`, `['key']`, `[0]` and `[*]`
+ * @param {string} expression - e.g. "$.results[*].company.display_name"
+ * @returns {Array<string|number>} - Keys, indexes and '*' wildcards
+ */
+function tokenizePath(expression) {
+    const tokens = [];
+    const pattern = /\.?([^.[\]]+)|\[(\d+|\*|'[^']*'|"[^"]*")\]/g;
+    const body = String(expression).trim().replace(/^\$/, '');
+    let match;
+    let consumed = 0;
+
+    while ((match = pattern.exec(body)) !== null) {
+        if (match.index !== consumed) break;
+        consumed = pattern.lastIndex;
+        if (match[1] !== undefined) {
+            tokens.push(match[1]);
+        } else if (match[2] === '*') {
+            tokens.push('*');
+        } else if (/^\d+$/.test(match[2])) {
+            tokens.push(Number(match[2]));
+        } else {
+            tokens.push(match[2].slice(1, -1));
+        }
+    }
+
+    if (consumed !== body.length) {
+        throw new Error(`invalid path "${expression}"`);
+    }
+    return tokens;
+}
+
+/**
+ * Evaluate a JSONPath-style expression
+ * @param {*} data - Object to query
+ * @param {string} expression - Path expression
+ * @returns {Array} - All matched values (wildcards fan out)
+ */
+function queryPath(data, expression) {
+    let nodes = [data];
+    for (const token of tokenizePath(expression)) {
+        const next = [];
+        for (const node of nodes) {
+            if (node === null || node === undefined) continue;
+            if (token === '*') {
+                next.push(...(Array.isArray(node) ? node : Object.values(node)));
+            } else if (node[token] !== undefined) {
+                next.push(node[token]);
+            }
+        }
+        nodes = next;
+    }
+    return nodes;
+}
+
+/**
+ * First value matched by a path expression
+ * @param {*} data - Object to query
+ * @param {string} expression - Path expression
+ * @returns {*} - Value, or undefined
+ */
+function getPath(data, expression) {
+    return queryPath(data, expression)[0];
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Resolve one field mapping against a raw item
+ * @param {Object} item - Raw item from the API response
+ * @param {string|Array|Object} mapping - Path, list of paths, or { path | template, default }
+ * @returns {*} - Mapped value, or undefined
+ */
+function resolveField(item, mapping) {
+    if (Array.isArray(mapping)) {
+        for (const candidate of mapping) {
+            const value = resolveField(item, candidate);
+            if (!isEmpty(value)) return value;
+        }
+        return undefined;
+    }
+
+    if (mapping && typeof mapping === 'object') {
+        let value;
+        if (mapping.template) {
+            // Every placeholder must resolve, otherwise the template yields nothing
+            let complete = true;
+            const text = mapping.template.replace(/\{(\$[^}]*)\}/g, (match, expression) => {
+                const part = getPath(item, expression);
+                if (isEmpty(part)) complete = false;
+                return isEmpty(part) ? '' : String(part);
+            });
+            value = complete ? text : undefined;
+        } else if (mapping.path) {
+            value = resolveField(item, mapping.path);
+        }
+        return isEmpty(value) ? mapping.default : value;
+    }
+
+    return getPath(item, mapping);
+}
+
+/**
+ * Replace `${env.NAME}` / `${env.NAME:-fallback}` placeholders
+ * @param {string} text - Template string
+ * @param {Object} [env] - Environment (default process.env)
+ * @returns {Object} - { value, missing: [names without value or fallback] }
+ */
+function renderEnvTemplate(text, env = process.env) {
+    const missing = [];
+    const value = String(text).replace(/\$\{env\.([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+        if (!isEmpty(env[name])) return env[name];
+        if (fallback !== undefined) return fallback;
+        missing.push(name);
+        return '';
+    });
+    return { value, missing };
+}
+
+/**
+ * Validate a source definition
+ * @param {Object} definition - Parsed JSON/YAML definition
+ * @returns {Array<string>} - Problems (empty when valid)
+ */
+function validateSourceDefinition(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return ['definition must be an object'];
+    }
+
+    const type = definition.type || 'json';
+    if (typeof definition.name !== 'string' || !definition.name.trim()) errors.push('"name" is required');
+    if (typeof definition.url !== 'string' || !/^https?:\/\//.test(definition.url)) errors.push('"url" must be an http(s) URL');
+    if (!SOURCE_TYPES.includes(type)) errors.push(`"type" must be one of ${SOURCE_TYPES.join(', ')}`);
+    if (definition.enabled !== undefined && typeof definition.enabled !== 'boolean') errors.push('"enabled" must be true or false');
+    if (definition.headers !== undefined && (typeof definition.headers !== 'object' || Array.isArray(definition.headers))) {
+        errors.push('"headers" must be an object');
+    }
+
+    if (type === 'json') {
+        if (typeof definition.items !== 'string') errors.push('"items" path is required');
+        if (!definition.fields || typeof definition.fields !== 'object') {
+            errors.push('"fields" mapping is required');
+        } else {
+            for (const field of ['title', 'url']) {
+                if (!definition.fields[field]) errors.push(`"fields.${field}" is required`);
+            }
+            for (const field of Object.keys(definition.fields)) {
+                if (!JOB_FIELDS.includes(field)) errors.push(`unknown field "${field}"`);
+            }
+        }
+
+        // Surface bad path syntax now rather than on every run
+        const paginationPaths = Object.entries(definition.pagination || {})
+            .filter(([key]) => key.endsWith('Path'))
+            .map(([, expression]) => expression);
+        const paths = [definition.items, ...collectPaths(definition.fields || {}), ...paginationPaths];
+        for (const expression of paths.filter(p => typeof p === 'string')) {
+            try {
+                tokenizePath(expression);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+    }
+
+    if (type === 'html') {
+        const html = definition.html;
+        if (!html || typeof html.item !== 'string') errors.push('"html.item" selector is required');
+        if (!html?.fields?.title || !html?.fields?.url) errors.push('"html.fields.title" and "html.fields.url" are required');
+        if (html?.detail && !html.detail.fields && !html.detail.jsonLd) {
+            errors.push('"html.detail" needs "fields" or "jsonLd: true"');
+        }
+    }
+
+    if (definition.pagination) {
+        const style = definition.pagination.style;
+        if (!PAGINATION_STYLES.includes(style)) errors.push(`"pagination.style" must be one of ${PAGINATION_STYLES.join(', ')}`);
+        if (style === 'cursor' && !definition.pagination.cursorPath) errors.push('"pagination.cursorPath" is required for cursor pagination');
+        if (style === 'next' && !definition.pagination.nextPath) errors.push('"pagination.nextPath" is required for next-link pagination');
+    }
+
+    return errors;
+}
+
+/**
+ * Collect path expressions from field mappings
+ * @param {Object} mappings - Field mapping object
+ * @returns {Array<string>}
+ */
+function collectPaths(mappings) {
+    return Object.values(mappings).flatMap(mapping => {
+        if (typeof mapping === 'string') return [mapping];
+        if (Array.isArray(mapping)) return collectPaths({ ...mapping });
+        if (mapping && typeof mapping === 'object') {
+            const templatePaths = (mapping.template || '').match(/\{\$[^}]*\}/g) || [];
+            return [mapping.path, ...templatePaths.map(p => p.slice(1, -1))].filter(Boolean);
+        }
+        return [];
+    }).filter(p => typeof p === 'string');
+}
+
+/**
+ * Turn declarative pagination options into the pagination config used by jobFetcher
+ * @param {Object} pagination - { style, param, sizeParam, pageSize, start, maxPages, totalPath, cursorPath, nextPath }
+ * @returns {Object}
+ */
+function buildPagination({ totalPath, cursorPath, nextPath, ...options }) {
+    return {
+        ...options,
+        ...(totalPath && { getTotal: data => Number(getPath(data, totalPath)) || null }),
+        ...(cursorPath && { getCursor: data => getPath(data, cursorPath) || null }),
+        ...(nextPath && { getNext: data => getPath(data, nextPath) || null })
+    };
+}
+
+/**
+ * Build a job source (same shape as JOB_SOURCES entries) from a validated definition
+ * @param {Object} definition - Source definition
+ * @returns {Object} - Job source
+ */
+function buildSource(definition) {
+    const type = definition.type || 'json';
+    const defaults = definition.defaults || {};
+
+    const source = {
+        name: definition.name,
+        origin: definition.file || 'config',
+        url: () => {
+            const { value, missing } = renderEnvTemplate(definition.url);
+            return missing.length ? null : value;
+        }
+    };
+
+    if (definition.headers) {
+        source.headers = () => Object.fromEntries(Object.entries(definition.headers)
+            .map(([name, value]) => [name, renderEnvTemplate(value).value]));
+    }
+
+    if (definition.pagination) {
+        source.pagination = buildPagination(definition.pagination);
+    }
+
+    if (type === 'feed') {
+        source.type = 'feed';
+        source.feed = definition.feed || {};
+        return source;
+    }
+
+    if (type === 'jsonld') {
+        source.type = 'jsonld';
+        source.jsonLd = { defaults: { source: definition.name, ...defaults } };
+        return source;
+    }
+
+    if (type === 'html') {
+        source.type = 'html';
+        source.html = { ...definition.html, defaults: { source: definition.name, ...definition.html.defaults } };
+        return source;
+    }
+
+    source.parser = (data) => queryPath(data, definition.items)
+        .filter(item => item && typeof item === 'object')
+        .map(item => {
+            const job = { source: definition.name, ...defaults };
+            for (const [field, mapping] of Object.entries(definition.fields)) {
+                const value = resolveField(item, mapping);
+                if (!isEmpty(value)) job[field] = value;
+            }
+            if (job.tags !== undefined && !Array.isArray(job.tags)) job.tags = [job.tags];
+            if (isEmpty(job.slug)) job.slug = job.url;
+            return job;
+        })
+        .filter(job => job.title && job.url);
+
+    return source;
+}
+
+/**
+ * Read one definition file (JSON or YAML). A file may hold one definition or a list
+ * @param {string} filePath - Absolute path
+ * @returns {Array<Object>} - Definitions
+ */
+function readDefinitionFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const parsed = /\.json$/i.test(filePath) ? JSON.parse(text) : YAML.parse(text);
+    return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+/**
+ * Load, validate and build every source definition in a directory
+ * Invalid definitions are skipped and reported, never thrown
+ * @param {string} dir - Directory with *.json / *.yaml / *.yml files
+ * @returns {Object} - { sources, errors: [{ file, name, errors }], disabled: [names] }
+ */
+function loadSourceDefinitions(dir) {
+    const result = { sources: [], errors: [], disabled: [] };
+
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(file => SOURCE_FILE_PATTERN.test(file)).sort();
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            result.errors.push({ file: dir, name: null, errors: [error.message] });
+        }
+        return result;
+    }
+
+    for (const file of files) {
+        let definitions;
+        try {
+            definitions = readDefinitionFile(path.join(dir, file));
+        } catch (error) {
+            result.errors.push({ file, name: null, errors: [`parse error: ${error.message}`] });
+            continue;
+        }
+
+        for (const definition of definitions) {
+            const errors = validateSourceDefinition(definition);
+            if (errors.length > 0) {
+                result.errors.push({ file, name: definition?.name || null, errors });
+                continue;
+            }
+            if (definition.enabled === false) {
+                result.disabled.push(definition.name);
+                continue;
+            }
+            result.sources.push(buildSource({ ...definition, file }));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Combine code-defined sources with config-defined ones
+ * A config source whose name is already taken is reported and skipped
+ * @param {Array} codeSources - Sources from jobSources.js
+ * @param {Object} loaded - Result of loadSourceDefinitions
+ * @returns {Object} - { sources, errors }
+ */
+function mergeSources(codeSources, loaded) {
+    const names = new Set(codeSources.map(source => source.name));
+    const errors = [...loaded.errors];
+    const sources = [...codeSources];
+
+    for (const source of loaded.sources) {
+        if (names.has(source.name)) {
+            errors.push({ file: source.origin, name: source.name, errors: ['duplicate source name'] });
+            continue;
+        }
+        names.add(source.name);
+        sources.push(source);
+    }
+
+    return { sources, errors };
+}
+
+module.exports = {
+    queryPath,
+    getPath,
+    resolveField,
+    renderEnvTemplate,
+    validateSourceDefinition,
+    buildSource,
+    loadSourceDefinitions,
+    mergeSources
+};
@@ -0,0 +1,229 @@
+/**
+ * Structured data extractor
+ * Finds schema.org JobPosting objects in `application/ld+json` blocks and maps them to jobs
+ *
+ * Many career sites render their listing in the browser but still embed
+ * JobPosting JSON-LD on the server for search engines. Used by sources declared
+ * with `type: 'jsonld'`, by HTML detail pages (`html.detail.jsonLd`), and by any
+ * scraper that has page HTML at hand.
+ */
+
+const cheerio = require('cheerio');
+const { htmlToText } = require('./htmlText');
+
+// How deep to look for JobPosting objects inside @graph / ItemList wrappers
+const MAX_DEPTH = 6;
+
+const EMPLOYMENT_TYPES = {
+    FULL_TIME: 'Full-time', PART_TIME: 'Part-time', CONTRACTOR: 'Contract',
+    TEMPORARY: 'Temporary', INTERN: 'Internship', PER_DIEM: 'Per diem',
+    VOLUNTEER: 'Volunteer', OTHER: 'Other'
+};
+
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$', EUR: '€', GBP: '£' };
+
+/**
+ * Parse one JSON-LD block, tolerating raw control characters inside strings
+ * @param {string} text - Script content
+ * @returns {*} - Parsed JSON, or null
+ */
+function parseJsonLd(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        try {
+            return JSON.parse(text.replace(/[\u0000-\u001f]+/g, ' '));
+        } catch (retryError) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Check a node's @type (string or list) for JobPosting
+ * @param {Object} node - JSON-LD node
+ * @returns {boolean}
+ */
+function isJobPosting(node) {
+    const type = node['@type'];
+    return Array.isArray(type) ? type.includes('JobPosting') : type === 'JobPosting';
+}
+
+/**
+ * Collect JobPosting nodes from a parsed JSON-LD value
+ * @param {*} value - Parsed JSON-LD
+ * @param {Array} found - Accumulator
+ * @param {number} depth - Current depth
+ * @returns {Array}
+ */
+function collectPostings(value, found = [], depth = 0) {
+    if (!value || typeof value !== 'object' || depth > MAX_DEPTH) return found;
+
+    if (Array.isArray(value)) {
+        value.forEach(item => collectPostings(item, found, depth + 1));
+    } else if (isJobPosting(value)) {
+        found.push(value);
+    } else {
+        Object.values(value).forEach(item => collectPostings(item, found, depth + 1));
+    }
+    return found;
+}
+
+/**
+ * Find every JobPosting object embedded in a page
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} - Raw JobPosting objects
+ */
+function extractJobPostings(html) {
+    const $ = cheerio.load(String(html || ''));
+    const postings = [];
+
+    $('script[type="application/ld+json"]').each((index, script) => {
+        const data = parseJsonLd($(script).text());
+        collectPostings(data, postings);
+    });
+
+    return postings;
+}
+
+/**
+ * Read a schema.org name (plain string or { name })
+ * @param {*} value - Thing or string
+ * @returns {string}
+ */
+function nameOf(value) {
+    if (!value) return '';
+    if (Array.isArray(value)) return nameOf(value[0]);
+    if (typeof value === 'object') return String(value.name || value['@id'] || '').trim();
+    return String(value).trim();
+}
+
+/**
+ * Format a JobPosting's jobLocation / jobLocationType as a location string
+ * @param {Object} posting - JobPosting
+ * @returns {string}
+ */
+function formatLocation(posting) {
+    const places = [].concat(posting.jobLocation || []).map(place => {
+        const address = place?.address || place;
+        if (typeof address === 'string') return address.trim();
+        return [address?.addressLocality, address?.addressRegion, nameOf(address?.addressCountry)]
+            .map(part => (part ? String(part).trim() : ''))
+            .filter(Boolean)
+            .join(', ');
+    }).filter(Boolean);
+
+    const location = [...new Set(places)].join(' / ');
+    if (posting.jobLocationType === 'TELECOMMUTE') {
+        const region = nameOf(posting.applicantLocationRequirements);
+        return ['Remote', location || region].filter(Boolean).join(' - ');
+    }
+    return location;
+}
+
+/**
+ * Format baseSalary (MonetaryAmount) as text, e.g. "₹600000-₹900000 per year" or "Up to ₹900000 per year"
+ * @param {Object} baseSalary - MonetaryAmount
+ * @returns {string|null}
+ */
+function formatSalary(baseSalary) {
+    if (!baseSalary || typeof baseSalary !== 'object') return null;
+
+    const value = baseSalary.value;
+    const symbol = CURRENCY_SYMBOLS[baseSalary.currency] || (baseSalary.currency ? `${baseSalary.currency} ` : '');
+    const quantity = value && typeof value === 'object' ? value : { value };
+    const min = quantity.minValue ?? quantity.value ?? null;
+    const max = quantity.maxValue ?? null;
+    if (min === null && max === null) return null;
+
+    // A maximum alone is an upper bound, not a range from zero
+    const range = min === null ? `Up to ${symbol}${max}` :
+        max !== null && max !== min ? `${symbol}${min}-${symbol}${max}` :
+        `${symbol}${min}`;
+    const unit = quantity.unitText ? ` per ${String(quantity.unitText).toLowerCase()}` : '';
+    return `${range}${unit}`;
+}
+
+/**
+ * Format experienceRequirements (text or OccupationalExperienceRequirements)
+ * @param {*} requirements - experienceRequirements value
+ * @returns {string|null}
+ */
+function formatExperience(requirements) {
+    if (!requirements) return null;
+    if (typeof requirements === 'string') return requirements.trim() || null;
+    if (Array.isArray(requirements)) return formatExperience(requirements[0]);
+    if (requirements.monthsOfExperience !== undefined) {
+        const months = Number(requirements.monthsOfExperience);
+        return months >= 12 && months % 12 === 0 ? `${months / 12} years` : `${months} months`;
+    }
+    return requirements.description || null;
+}
+
+/**
+ * Resolve a posting URL against the page it was found on
+ * @param {string} url - Posting URL (may be relative or missing)
+ * @param {string} pageUrl - Page URL
+ * @returns {string|null}
+ */
+function resolveUrl(url, pageUrl) {
+    try {
+        return new URL(url || pageUrl, pageUrl).toString();
+    } catch (error) {
+        return url || pageUrl || null;
+    }
+}
+
+/**
+ * Map one JobPosting to the job model
+ * @param {Object} posting - JobPosting object
+ * @param {string} [pageUrl] - Page the posting was found on (fallback link)
+ * @returns {Object} - Job (fields the posting lacks are left out)
+ */
+function jobPostingToJob(posting, pageUrl) {
+    const employmentTypes = [].concat(posting.employmentType || [])
+        .map(type => EMPLOYMENT_TYPES[String(type).toUpperCase()] || type);
+    const url = resolveUrl(posting.url, pageUrl);
+    const identifier = typeof posting.identifier === 'object' ? posting.identifier?.value : posting.identifier;
+    const host = url ? url.replace(/^https?:\/\//, '').split('/')[0] : 'jsonld';
+
+    const job = {
+        title: htmlToText(posting.title),
+        company_name: nameOf(posting.hiringOrganization),
+        location: formatLocation(posting),
+        description: htmlToText(posting.description),
+        url,
+        slug: identifier ? `${host}_${identifier}` : url,
+        job_type: employmentTypes.join(', '),
+        salary: formatSalary(posting.baseSalary),
+        experience: formatExperience(posting.experienceRequirements),
+        date: posting.datePosted || null,
+        valid_through: posting.validThrough || null
+    };
+
+    return Object.fromEntries(Object.entries(job).filter(([, value]) => value !== null && value !== ''));
+}
+
+/**
+ * Extract jobs from a page's JobPosting JSON-LD
+ * Postings whose validThrough date has passed are dropped
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL of the page
+ * @param {Date} [now] - Current time
+ * @returns {Array} - Jobs
+ */
+function extractJobsFromJsonLd(html, pageUrl, now = new Date()) {
+    return extractJobPostings(html)
+        .filter(posting => {
+            const validThrough = posting.validThrough ? new Date(posting.validThrough) : null;
+            return !validThrough || isNaN(validThrough.getTime()) || validThrough >= now;
+        })
+        .map(posting => jobPostingToJob(posting, pageUrl))
+        .filter(job => job.title && job.url);
+}
+
+module.exports = {
+    extractJobPostings,
+    jobPostingToJob,
+    extractJobsFromJsonLd
+};
@@ -0,0 +1,219 @@
+/**
+ * Telegram channel scraper
+ * Reads job posts from public channel previews (https://t.me/s/<channel>)
+ *
+ * Each post becomes a job whose URL is the message link (t.me/<channel>/<id>).
+ * Title, company, location, experience and salary are read from "Field: value"
+ * lines or a "<Company> is hiring <role>" headline, and the post's external
+ * links are kept as `apply_links`.
+ *
+ * The last seen message id is kept per channel in the source state store (see
+ * fetchJobsFromAllSources in jobFetcher.js), and later runs page back
+ * (?before=<id>) only until they reach it. The ids are staged with the source
+ * and only kept when the whole source finished in time.
+ */
+
+const cheerio = require('cheerio');
+const http = require('./httpClient');
+const { paginate } = require('./pagination');
+const { htmlToText } = require('./htmlText');
+const {
+    TELEGRAM_CHANNELS,
+    TELEGRAM_SCAN,
+    TELEGRAM_JOB_PATTERN,
+    TELEGRAM_FIELD_PATTERNS,
+    TELEGRAM_HEADLINE_PATTERN,
+    TELEGRAM_IGNORED_LINK_HOSTS
+} = require('../config/telegramChannels');
+
+const PREVIEW_BASE = 'https://t.me/s';
+
+/**
+ * Channels to read (TELEGRAM_SOURCE_CHANNELS overrides the config list)
+ * @returns {Array<string>}
+ */
+function getChannels() {
+    const override = process.env.TELEGRAM_SOURCE_CHANNELS;
+    return override ? override.split(',').map(channel => channel.trim().replace(/^@/, '')).filter(Boolean) : TELEGRAM_CHANNELS;
+}
+
+/**
+ * Check whether a link points outside Telegram and social media
+ * @param {string} href - Link
+ * @returns {boolean}
+ */
+function isApplyLink(href) {
+    try {
+        const { protocol, hostname } = new URL(href);
+        const host = hostname.replace(/^www\./, '');
+        return /^https?:$/.test(protocol) &&
+            !TELEGRAM_IGNORED_LINK_HOSTS.some(ignored => host === ignored || host.endsWith(`.${ignored}`));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parse the posts of one preview page
+ * @param {string} html - Preview page HTML
+ * @returns {Array} - { id, link, text, date, links } in page order (oldest first)
+ */
+function parsePreviewPage(html) {
+    const $ = cheerio.load(html);
+    const posts = [];
+
+    $('.tgme_widget_message[data-post]').each((_, element) => {
+        const message = $(element);
+        const [channel, id] = message.attr('data-post').split('/');
+        const textElement = message.find('.tgme_widget_message_text').first();
+        if (!id || !textElement.length) return; // Service messages and media without a caption
+
+        const links = [];
+        message.find('.tgme_widget_message_text a[href], a.tgme_widget_message_inline_button[href]').each((_, anchor) => {
+            const href = $(anchor).attr('href');
+            if (isApplyLink(href) && !links.includes(href)) links.push(href);
+        });
+
+        posts.push({
+            id: Number(id),
+            link: `https://t.me/${channel}/${id}`,
+            text: htmlToText(textElement.html()),
+            date: message.find('.tgme_widget_message_date time').attr('datetime') || null,
+            links
+        });
+    });
+
+    return posts;
+}
+
+/**
+ * Read fields from a post's text
+ * @param {string} text - Post text
+ * @returns {Object} - { title, company, location, experience, salary } ('' when not found)
+ */
+function extractPostFields(text) {
+    // Leading emoji and bullets hide "Company:" labels from the line patterns
+    const lines = text.split('\n').map(line => line.replace(/^[^\p{L}\p{N}]+/u, '').trim()).filter(Boolean);
+    const cleaned = lines.join('\n');
+    const field = name => (cleaned.match(TELEGRAM_FIELD_PATTERNS[name]) || [])[1]?.trim() || '';
+
+    const fields = {
+        title: field('title'),
+        company: field('company'),
+        location: field('location'),
+        experience: field('experience'),
+        salary: field('salary')
+    };
+
+    const headline = (lines[0] || '').match(TELEGRAM_HEADLINE_PATTERN);
+    if (headline) {
+        // Pipe-delimited headlines continue with "role | location"
+        const [role = '', location = ''] = headline[2].split('|').map(part => part.trim());
+        fields.company = fields.company || headline[1].trim();
+        fields.title = fields.title || role;
+        fields.location = fields.location || location;
+    }
+    fields.title = fields.title || (lines[0] || '').slice(0, 120);
+    return fields;
+}
+
+/**
+ * Map a channel post to the job model
+ * @param {Object} post - Parsed post
+ * @param {string} channel - Channel username
+ * @returns {Object}
+ */
+function postToJob(post, channel) {
+    const fields = extractPostFields(post.text);
+    return {
+        title: fields.title,
+        company_name: fields.company,
+        location: fields.location,
+        description: post.text,
+        url: post.link,
+        slug: `telegram_${channel}_${post.id}`,
+        job_type: '',
+        experience: fields.experience || null,
+        salary: fields.salary || null,
+        date: post.date,
+        source: `Telegram @${channel}`,
+        apply_links: post.links
+    };
+}
+
+/**
+ * Fetch new job posts from one channel
+ * @param {string} channel - Channel username
+ * @param {number|null} lastSeenId - Last message id handled by a previous run
+ * @returns {Promise<Object>} - { jobs, lastId }
+ */
+async function fetchChannel(channel, lastSeenId) {
+    const posts = await paginate(
+        {
+            style: 'cursor',
+            // Without a last seen id only the newest page is read
+            maxPages: lastSeenId ? TELEGRAM_SCAN.maxPages : 1,
+            getCursor: page => (page.reachedLastSeen ? null : page.oldestId)
+        },
+        async ({ cursor }) => {
+            const response = await http.get(`${PREVIEW_BASE}/${channel}`, {
+                params: cursor ? { before: cursor } : {},
+                responseType: 'text',
+                userAgent: 'browser',
+                timeout: 15000
+            });
+            const pagePosts = parsePreviewPage(response.data);
+            const oldestId = pagePosts.length ? pagePosts[0].id : null;
+            return {
+                items: pagePosts.filter(post => !lastSeenId || post.id > lastSeenId),
+                data: { oldestId, reachedLastSeen: !oldestId || (lastSeenId && oldestId <= lastSeenId + 1) }
+            };
+        }
+    );
+
+    const lastId = posts.reduce((latest, post) => Math.max(latest, post.id), lastSeenId || 0) || null;
+    const jobs = posts
+        .filter(post => post.links.length > 0 || TELEGRAM_JOB_PATTERN.test(post.text))
+        .map(post => postToJob(post, channel));
+    return { jobs, lastId };
+}
+
+/**
+ * Fetch job posts from all configured channels
+ * A failing channel is logged and skipped; the source fails only when every channel does
+ * @param {Object} [options] - { state } cache store for incremental runs (optional)
+ * @returns {Promise<Array>} - Jobs
+ */
+async function fetchTelegramChannelJobs(options = {}) {
+    const { state } = options;
+    const channels = getChannels();
+    const jobs = [];
+    const errors = [];
+
+    // Channels in turn, since every preview page is served by t.me
+    for (const channel of channels) {
+        const key = `telegram:${channel.toLowerCase()}`;
+        try {
+            const previous = state ? await state.get(key) : null;
+            const result = await fetchChannel(channel, previous?.lastMessageId || null);
+            jobs.push(...result.jobs);
+            if (state && result.lastId) {
+                state.set(key, { lastMessageId: result.lastId });
+            }
+        } catch (error) {
+            errors.push(error);
+            console.warn(`Telegram channel [@${channel}]: ${error.response?.status || error.code} ${error.message.slice(0, 50)}`);
+        }
+    }
+
+    if (channels.length > 0 && errors.length === channels.length) {
+        throw errors[0];
+    }
+    return jobs;
+}
+
+module.exports = {
+    fetchTelegramChannelJobs,
+    parsePreviewPage,
+    extractPostFields
+};
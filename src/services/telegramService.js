@@ -3,8 +3,9 @@
  * Handles all Telegram Bot API interactions
  */
 
-const axios = require('axios');
-const { extractExperience } = require('../models/job');
+const http = require('./httpClient');
+const { extractExperience, formatExperience } = require('../models/experience');
+const { formatCompensation } = require('../models/salary');
 const { getRelevanceIndicator } = require('./jobScorer');
 
 /**
@@ -22,7 +23,7 @@ async function sendNotification(message, context) {
 
     try {
         const telegramUrl = `https://api.telegram.org/bot${botToken}/sendMessage`;
-        await axios.post(telegramUrl, {
+        await http.post(telegramUrl, {
             chat_id: chatId,
             text: message,
             parse_mode: 'HTML',
@@ -50,11 +51,13 @@ async function sendJobAlert(job, matchedKeyword, context) {
         throw new Error('Telegram credentials not configured.');
     }
 
-    const experience = extractExperience(job);
-    const salary = job.salary || 'Not disclosed';
+    const experience = formatExperience(extractExperience(job));
+    const salary = formatCompensation(job.compensation) || job.salary || 'Not disclosed';
     const jobType = job.job_type || 'Full-time';
     const score = job.relevanceScore || 0;
     const relevanceIndicator = getRelevanceIndicator(score);
+    // Same posting found on other sources (jobDedup)
+    const alsoOn = job.also_on?.length ? `\n🔁 Also on: ${job.also_on.map(entry => entry.source).join(', ')}` : '';
     
     const message = `🔥 <b>${job.title || 'Untitled Position'}</b>
 
@@ -64,11 +67,11 @@ async function sendJobAlert(job, matchedKeyword, context) {
 💰 ${salary}
 
 ${relevanceIndicator}
-🔗 ${job.url || 'URL not available'}`;
+🔗 ${job.url || 'URL not available'}${alsoOn}`;
 
     try {
         const telegramUrl = `https://api.telegram.org/bot${botToken}/sendMessage`;
-        await axios.post(telegramUrl, {
+        await http.post(telegramUrl, {
             chat_id: chatId,
             text: message,
             parse_mode: 'HTML',
@@ -105,19 +108,34 @@ ${mode}
     await sendNotification(message, context);
 }
 
+/**
+ * Format the source health line shown in run summaries
+ * @param {Object|null} sourceSummary - From summarizeSourceHealth
+ * @returns {string} - Summary line, or empty string
+ */
+function formatSourceSummary(sourceSummary) {
+    if (!sourceSummary) return '';
+    let line = `\n📡 Sources: ${sourceSummary.ok} ok, ${sourceSummary.failed} failed`;
+    if (sourceSummary.circuitOpen > 0) {
+        line += `, ${sourceSummary.circuitOpen} paused (circuit open)`;
+    }
+    return line;
+}
+
 /**
  * Send search complete summary
  * @param {number} totalMatched - Total jobs matched
  * @param {number} totalSent - Jobs sent as alerts
  * @param {number} duplicatesSkipped - Duplicates skipped
+ * @param {Object|null} sourceSummary - Source health summary
  * @param {Object} context - Azure Functions context
  */
-async function sendSearchComplete(totalMatched, totalSent, duplicatesSkipped, context) {
+async function sendSearchComplete(totalMatched, totalSent, duplicatesSkipped, sourceSummary, context) {
     const message = `✅ <b>Search Complete</b>
 
 📊 Found: ${totalMatched} jobs
 📤 Sent: ${totalSent} alerts
-⏭️ Skipped: ${duplicatesSkipped} duplicates`;
+⏭️ Skipped: ${duplicatesSkipped} duplicates${formatSourceSummary(sourceSummary)}`;
 
     await sendNotification(message, context);
 }
@@ -127,9 +145,10 @@ async function sendSearchComplete(totalMatched, totalSent, duplicatesSkipped, co
  * @param {number} totalFetched - Total jobs fetched
  * @param {number} duplicatesSkipped - Duplicates skipped
  * @param {boolean} isIncremental - Whether using incremental scan
+ * @param {Object|null} sourceSummary - Source health summary
  * @param {Object} context - Azure Functions context
  */
-async function sendNoJobsFound(totalFetched, duplicatesSkipped, isIncremental, context) {
+async function sendNoJobsFound(totalFetched, duplicatesSkipped, isIncremental, sourceSummary, context) {
     const scanInfo = isIncremental ?
         `🔄 Scanned new jobs posted since last run` :
         `📊 Scanned ${totalFetched} jobs`;
@@ -137,7 +156,7 @@ async function sendNoJobsFound(totalFetched, duplicatesSkipped, isIncremental, c
     const message = `📭 <b>No New Jobs</b>
 
 ${scanInfo}
-⏭️ Skipped ${duplicatesSkipped} duplicates
+⏭️ Skipped ${duplicatesSkipped} duplicates${formatSourceSummary(sourceSummary)}
 
 ⏰ Next check: Tomorrow 10:00 AM IST`;
 
@@ -1,32 +1,57 @@
 /**
  * webScraper.js — Career page scrapers
  *
- * IMPORTANT: Run `node test-endpoints.js` first to see which sources
+ * IMPORTANT: Run `npm run health` first to see which sources
  * actually work from your network / Azure region.
  *
  * Each scraper documents:
  *   Platform — which ATS the company uses
  *   Status   — VERIFIED / LIKELY / UNVERIFIED
  *
- * Every function returns [] on failure — never throws.
+ * The ATS scrapers (SmartRecruiters, Workday, Greenhouse, Lever, Ashby) log and
+ * rethrow failures, so the source fails and its circuit breaker counts it; a
+ * company tried on two platforms fails only when both do. The custom portal
+ * scrapers return [] on failure.
  */
 
-const axios = require('axios');
+const { createHttpClient } = require('./httpClient');
+const { paginate } = require('./pagination');
+const { htmlToText } = require('./htmlText');
+const { fetchWorkdayJobs } = require('./workdayClient');
 
-const UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-const HEADERS = { 'User-Agent': UA, 'Accept': 'application/json, text/html, */*', 'Accept-Language': 'en-US,en;q=0.9' };
+const HEADERS = { 'Accept': 'application/json, text/html, */*', 'Accept-Language': 'en-US,en;q=0.9' };
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+// Career pages get the browser user agent; their POST endpoints are searches, so retrying is safe
+const http = createHttpClient({ userAgent: 'browser', idempotent: true });
 
 function makeJob(o) {
     return {
         title: '', company_name: '', location: 'India', description: '',
         url: '', slug: `job_${Date.now()}_${Math.random().toString(36).slice(2,8)}`,
-        job_type: 'Full-time', salary: null, date: null, source: '', tags: [],
+        job_type: 'Full-time', workplace_type: null, salary: null, date: null, source: '', tags: [],
         ...o
     };
 }
 
+/**
+ * Jobs from the first platform that lists any
+ * @param {Array<Function>} attempts - Scrapers to try in order
+ * @returns {Promise<Array>} - Jobs ([] when every platform answered with none)
+ */
+async function firstWithJobs(attempts) {
+    const errors = [];
+    for (const attempt of attempts) {
+        try {
+            const jobs = await attempt();
+            if (jobs.length > 0) return jobs;
+        } catch (e) {
+            errors.push(e);
+        }
+    }
+    if (errors.length === attempts.length) throw errors[0];
+    return [];
+}
+
 // =============================================================================
 // PLATFORM 1: SmartRecruiters (PUBLIC API — no auth needed)
 // Many Indian IT companies post jobs here. URL pattern:
@@ -35,13 +60,18 @@ function makeJob(o) {
 // Status: VERIFIED
 // =============================================================================
 
-async function scrapeSmartRecruiters(slug, company) {
+async function scrapeSmartRecruiters(slug, company, { maxPages = 3 } = {}) {
     try {
-        const r = await axios.get(`https://api.smartrecruiters.com/v1/companies/${slug}/postings`, {
-            params: { limit: 100, q: 'cloud azure devops security' },
-            timeout: 15000, headers: HEADERS
-        });
-        const jobs = r.data?.content || [];
+        const jobs = await paginate(
+            { style: 'offset', pageSize: 100, maxPages, getTotal: data => data?.totalFound },
+            async ({ offset }) => {
+                const r = await http.get(`https://api.smartrecruiters.com/v1/companies/${slug}/postings`, {
+                    params: { limit: 100, offset, q: 'cloud azure devops security' },
+                    timeout: 15000, headers: HEADERS
+                });
+                return { items: r.data?.content || [], data: r.data };
+            }
+        );
         return jobs.map(job => makeJob({
             title:        job.name,
             company_name: company,
@@ -55,7 +85,7 @@ async function scrapeSmartRecruiters(slug, company) {
         }));
     } catch (e) {
         console.warn(`SmartRecruiters [${company}]: ${e.response?.status || e.code} ${e.message.slice(0,50)}`);
-        return [];
+        throw e;
     }
 }
 
@@ -80,40 +110,28 @@ async function scrapeLTISR()        { return scrapeSmartRecruiters('LTIMindtree'
 
 // =============================================================================
 // PLATFORM 2: Workday (POST API — standard across all Workday customers)
-// Find tenant name: visit careers page, look for *.myworkdayjobs.com in URL
+// A board is a careers page URL, a *.myworkdayjobs.com link, or { tenant, boardId }
+// (data center found by probing) — see workdayClient.js
 // Status: VERIFIED when tenant name is correct
 // =============================================================================
 
-async function scrapeWorkday(tenant, boardId, company, kw = 'cloud azure devops security') {
+async function scrapeWorkday(board, company, { keywords = 'cloud azure devops security', maxPages = 5, state } = {}) {
     try {
-        const r = await axios.post(
-            `https://${tenant}.wd1.myworkdayjobs.com/wday/cxs/${tenant}/${boardId}/jobs`,
-            { limit: 20, offset: 0, searchText: kw, locations: [] },
-            { timeout: 15000, headers: { ...HEADERS, 'Content-Type': 'application/json' } }
-        );
-        const jobs = r.data?.jobPostings || [];
-        return jobs.map(job => makeJob({
-            title:        job.title || job.bulletFields?.[0],
-            company_name: company,
-            location:     job.locationsText || 'India',
-            description:  job.descriptionTeaser || '',
-            url:          `https://${tenant}.wd1.myworkdayjobs.com/en-US/${boardId}${job.externalPath || ''}`,
-            slug:         job.externalPath?.split('/').pop() || `${tenant}_${Date.now()}`,
-            date:         job.postedOn || null,
-            source:       `${company} Careers`
-        }));
+        const jobs = await fetchWorkdayJobs(board, { keywords, maxPages, state });
+        return jobs.map(job => makeJob({ ...job, company_name: company, source: `${company} Careers` }));
     } catch (e) {
         console.warn(`Workday [${company}]: ${e.response?.status || e.code} ${e.message.slice(0,50)}`);
-        return [];
+        throw e;
     }
 }
 
-// Companies using Workday (tenant names from their actual career page URLs):
-async function scrapeMphasis()      { return scrapeWorkday('mphasis',     'Mphasis_Careers',  'Mphasis'); }
-async function scrapeLTIMindtree()  { return scrapeWorkday('ltimindtree', 'LTIMindtree',      'LTIMindtree'); }
-async function scrapeDXC()          { return scrapeWorkday('dxc',         'DXC_Careers',      'DXC Technology'); }
-async function scrapeDeloitteWD()   { return scrapeWorkday('deloitte',    'Deloitte_Careers', 'Deloitte'); }
-async function scrapeEYWD()         { return scrapeWorkday('ey',          'EY_Careers',       'EY'); }
+// Companies using Workday (tenant names from their actual career page URLs).
+// Options carry the state store that keeps discovered data centers between runs.
+async function scrapeMphasis(o)     { return scrapeWorkday({ tenant: 'mphasis',     boardId: 'Mphasis_Careers' },  'Mphasis', o); }
+async function scrapeLTIMindtree(o) { return scrapeWorkday({ tenant: 'ltimindtree', boardId: 'LTIMindtree' },      'LTIMindtree', o); }
+async function scrapeDXC(o)         { return scrapeWorkday({ tenant: 'dxc',         boardId: 'DXC_Careers' },      'DXC Technology', o); }
+async function scrapeDeloitteWD(o)  { return scrapeWorkday({ tenant: 'deloitte',    boardId: 'Deloitte_Careers' }, 'Deloitte', o); }
+async function scrapeEYWD(o)        { return scrapeWorkday({ tenant: 'ey',          boardId: 'EY_Careers' },       'EY', o); }
 
 // =============================================================================
 // PLATFORM 3: Big Tech (Verified public APIs)
@@ -122,7 +140,7 @@ async function scrapeEYWD()         { return scrapeWorkday('ey',          'EY_Ca
 // Status: VERIFIED
 async function scrapeAmazonJobs() {
     try {
-        const r = await axios.get('https://www.amazon.jobs/en/search.json', {
+        const r = await http.get('https://www.amazon.jobs/en/search.json', {
             params: { offset: 0, result_limit: 50, country: 'IND', sort: 'relevant',
                       base_query: 'cloud azure devops security infrastructure' },
             timeout: 15000, headers: HEADERS
@@ -142,7 +160,7 @@ async function scrapeAmazonJobs() {
 // Status: VERIFIED
 async function scrapeMicrosoftCareers() {
     try {
-        const r = await axios.get('https://gcsservices.careers.microsoft.com/search/api/v1/search', {
+        const r = await http.get('https://gcsservices.careers.microsoft.com/search/api/v1/search', {
             params: { l: 'en_us', pg: 1, pgSz: 50, o: 'Recent', flt: 'true',
                       q: 'cloud azure devops security', lc: 'India' },
             timeout: 15000, headers: HEADERS
@@ -164,7 +182,7 @@ async function scrapeMicrosoftCareers() {
 // Status: VERIFIED
 async function scrapeOracleJobs() {
     try {
-        const r = await axios.get(
+        const r = await http.get(
             'https://eeho.fa.us2.oraclecloud.com/hcmRestApi/resources/11.13.18.05/recruitingCEJobRequisitionsLOV',
             { params: { onlyData: 'true', expand: 'all', finder: 'findReqs;siteNumber=CX,Location=IN', limit: 50 },
               timeout: 15000, headers: HEADERS }
@@ -184,7 +202,7 @@ async function scrapeOracleJobs() {
 // Status: LIKELY
 async function scrapeGoogleCareers() {
     try {
-        const r = await axios.post('https://careers.google.com/api/v3/search/',
+        const r = await http.post('https://careers.google.com/api/v3/search/',
             { location: 'India', employment_type: ['FULL_TIME'], page_size: 50,
               query: 'cloud devops security infrastructure' },
             { timeout: 15000, headers: { ...HEADERS, 'Content-Type': 'application/json' } }
@@ -207,7 +225,7 @@ async function scrapeGoogleCareers() {
 async function scrapeTCS() {
     try {
         // iBegin POST endpoint — may need session, falls back to SmartRecruiters
-        const r = await axios.post('https://ibegin.tcs.com/iBegin/jobs/search',
+        const r = await http.post('https://ibegin.tcs.com/iBegin/jobs/search',
             { keywords: 'cloud azure devops security', location: '', pageNo: 1, pageSize: 50 },
             { timeout: 15000, headers: { ...HEADERS, 'Content-Type': 'application/json',
               'Referer': 'https://ibegin.tcs.com/', 'Origin': 'https://ibegin.tcs.com' } }
@@ -228,7 +246,7 @@ async function scrapeTCS() {
 
 async function scrapeInfosys() {
     try {
-        const r = await axios.get('https://career.infosys.com/jobservice/getCareersPage', {
+        const r = await http.get('https://career.infosys.com/jobservice/getCareersPage', {
             params: { location: 'India', technology: 'Cloud', limit: 50 },
             timeout: 15000, headers: { ...HEADERS, 'Referer': 'https://career.infosys.com/' }
         });
@@ -248,27 +266,30 @@ async function scrapeInfosys() {
     return scrapeInfosysSR();
 }
 
-async function scrapeWipro() {
-    const sr = await scrapeWiproSR();
-    if (sr.length > 0) return sr;
-    return scrapeWorkday('wipro', 'Wipro_Careers', 'Wipro');
+async function scrapeWipro(options) {
+    return firstWithJobs([
+        () => scrapeWiproSR(),
+        () => scrapeWorkday({ tenant: 'wipro', boardId: 'Wipro_Careers' }, 'Wipro', options)
+    ]);
 }
 
-async function scrapeHCL() {
-    const wd = await scrapeWorkday('hcl', 'HCL_Careers', 'HCL Technologies');
-    if (wd.length > 0) return wd;
-    return scrapeHCLSR();
+async function scrapeHCL(options) {
+    return firstWithJobs([
+        () => scrapeWorkday({ tenant: 'hcl', boardId: 'HCL_Careers' }, 'HCL Technologies', options),
+        () => scrapeHCLSR()
+    ]);
 }
 
-async function scrapeTechMahindra() {
-    const sr = await scrapeTechMSR();
-    if (sr.length > 0) return sr;
-    return scrapeWorkday('techmahindra', 'TechMahindra_Careers', 'Tech Mahindra');
+async function scrapeTechMahindra(options) {
+    return firstWithJobs([
+        () => scrapeTechMSR(),
+        () => scrapeWorkday({ tenant: 'techmahindra', boardId: 'TechMahindra_Careers' }, 'Tech Mahindra', options)
+    ]);
 }
 
 async function scrapeIBM() {
     try {
-        const r = await axios.get('https://careers.ibm.com/api/jobs/search', {
+        const r = await http.get('https://careers.ibm.com/api/jobs/search', {
             params: { keywords: 'cloud azure devops security', location: 'India', limit: 50 },
             timeout: 15000, headers: HEADERS
         });
@@ -286,16 +307,12 @@ async function scrapeIBM() {
     return scrapeIBMSR();
 }
 
-async function scrapeDeloitte() {
-    const wd = await scrapeDeloitteWD();
-    if (wd.length > 0) return wd;
-    return scrapeDeloitteSR();
+async function scrapeDeloitte(options) {
+    return firstWithJobs([() => scrapeDeloitteWD(options), () => scrapeDeloitteSR()]);
 }
 
-async function scrapeEY() {
-    const wd = await scrapeEYWD();
-    if (wd.length > 0) return wd;
-    return scrapeEYSR();
+async function scrapeEY(options) {
+    return firstWithJobs([() => scrapeEYWD(options), () => scrapeEYSR()]);
 }
 
 // =============================================================================
@@ -305,7 +322,7 @@ async function scrapeEY() {
 // Status: VERIFIED public API
 async function scrapeUnstop() {
     try {
-        const r = await axios.get('https://unstop.com/api/public/opportunity', {
+        const r = await http.get('https://unstop.com/api/public/opportunity', {
             params: { type: 'job', 'opportunity-type': 'Fresher Job', page: 1, per_page: 50 },
             timeout: 15000, headers: HEADERS
         });
@@ -324,7 +341,7 @@ async function scrapeUnstop() {
 // Status: VERIFIED public API
 async function scrapeTheMuse() {
     try {
-        const r = await axios.get('https://www.themuse.com/api/public/jobs', {
+        const r = await http.get('https://www.themuse.com/api/public/jobs', {
             params: { page: 1, descending: true, level: 'Entry Level', category: 'IT' },
             timeout: 15000, headers: HEADERS
         });
@@ -342,7 +359,7 @@ async function scrapeTheMuse() {
 // Status: LIKELY — known path, needs exact headers
 async function scrapeNaukriCampus() {
     try {
-        const r = await axios.get('https://www.naukri.com/campus-api/v3/job/search', {
+        const r = await http.get('https://www.naukri.com/campus-api/v3/job/search', {
             params: { noOfResults: 50, urlType: 'search_by_keyword', searchType: 'adv',
                       keyword: 'cloud azure devops security', location: 'India', experience: 0 },
             timeout: 15000,
@@ -360,83 +377,132 @@ async function scrapeNaukriCampus() {
     } catch (e) { console.warn(`Naukri Campus: ${e.response?.status||e.code}`); return []; }
 }
 
-// Status: HTML scrape with regex
-async function scrapeInternshalaJobs() {
+// =============================================================================
+// PLATFORM 6: Greenhouse (PUBLIC boards API — no auth needed)
+// Used by many cloud/security companies. URL pattern:
+//   https://boards-api.greenhouse.io/v1/boards/{TOKEN}/jobs?content=true
+// Boards to scrape are listed in src/config/atsBoards.js
+// Status: VERIFIED
+// =============================================================================
+
+async function scrapeGreenhouse(boardToken, company) {
     try {
-        const r = await axios.get(
-            'https://internshala.com/jobs/cloud-computing-jobs,cyber-security-jobs,devops-jobs/',
-            { timeout: 15000, headers: { ...HEADERS, 'Accept': 'text/html' } }
-        );
-        const html = typeof r.data === 'string' ? r.data : '';
-        if (!html) return [];
-        const jobs = [];
-        const re = /<a[^>]+href="(\/jobs\/[^"#?]+)"[^>]*class="[^"]*job[_-]?title[^"]*"[^>]*>\s*([^<]{3,80})\s*<\/a>/gi;
-        let m, i = 0;
-        while ((m = re.exec(html)) !== null && i < 50) {
-            jobs.push(makeJob({
-                title: m[2].trim(), company_name: 'via Internshala',
-                url: `https://internshala.com${m[1]}`,
-                slug: `internshala_${i}_${Date.now()}`,
-                source: 'Internshala Jobs'
-            }));
-            i++;
-        }
-        return jobs;
-    } catch (e) { console.warn(`Internshala: ${e.response?.status||e.code}`); return []; }
+        const r = await http.get(`https://boards-api.greenhouse.io/v1/boards/${boardToken}/jobs`, {
+            params: { content: true },
+            timeout: 20000, headers: HEADERS
+        });
+        return (r.data?.jobs || []).map(job => {
+            // Primary location plus every office the role is open in
+            const places = [job.location?.name, ...(job.offices || []).map(o => o.location || o.name)]
+                .filter(Boolean);
+            return makeJob({
+                title:        job.title,
+                company_name: company,
+                location:     [...new Set(places)].join(' / ') || 'India',
+                description:  htmlToText(job.content),
+                url:          job.absolute_url || `https://boards.greenhouse.io/${boardToken}/jobs/${job.id}`,
+                slug:         `greenhouse_${boardToken}_${job.id}`,
+                date:         job.first_published || job.updated_at || null,
+                source:       `${company} Careers`,
+                tags:         (job.departments || []).map(d => d.name).filter(Boolean)
+            });
+        });
+    } catch (e) {
+        console.warn(`Greenhouse [${company}]: ${e.response?.status || e.code} ${e.message.slice(0,50)}`);
+        throw e;
+    }
 }
 
 // =============================================================================
-// TEST ALL SCRAPERS — run: node src/services/webScraper.js
+// PLATFORM 7: Lever and Ashby (PUBLIC posting APIs — no auth needed)
+// Popular with startups. URL patterns:
+//   https://api.lever.co/v0/postings/{SLUG}?mode=json
+//   https://api.ashbyhq.com/posting-api/job-board/{ORG}?includeCompensation=true
+// Companies to scrape are listed in src/config/atsBoards.js
+// Status: VERIFIED (API shape) — company slugs vary, see atsBoards.js
 // =============================================================================
 
-async function testAllScrapers() {
-    const scrapers = [
-        { name: 'Capgemini (SR)',     fn: scrapeCapgemini },
-        { name: 'Cognizant (SR)',     fn: scrapeCognizant },
-        { name: 'Hexaware (SR)',      fn: scrapeHexaware },
-        { name: 'Coforge (SR)',       fn: scrapeCoforge },
-        { name: 'Genpact (SR)',       fn: scrapeGenpact },
-        { name: 'Persistent (SR)',    fn: scrapePersistent },
-        { name: 'Accenture (SR)',     fn: scrapeAccenture },
-        { name: 'Mphasis (WD)',       fn: scrapeMphasis },
-        { name: 'LTIMindtree (WD)',   fn: scrapeLTIMindtree },
-        { name: 'DXC (WD)',           fn: scrapeDXC },
-        { name: 'TCS',                fn: scrapeTCS },
-        { name: 'Infosys',            fn: scrapeInfosys },
-        { name: 'Wipro',              fn: scrapeWipro },
-        { name: 'HCL',                fn: scrapeHCL },
-        { name: 'Tech Mahindra',      fn: scrapeTechMahindra },
-        { name: 'IBM',                fn: scrapeIBM },
-        { name: 'Deloitte',           fn: scrapeDeloitte },
-        { name: 'EY',                 fn: scrapeEY },
-        { name: 'Amazon',             fn: scrapeAmazonJobs },
-        { name: 'Microsoft',          fn: scrapeMicrosoftCareers },
-        { name: 'Oracle',             fn: scrapeOracleJobs },
-        { name: 'Google',             fn: scrapeGoogleCareers },
-        { name: 'Unstop',             fn: scrapeUnstop },
-        { name: 'The Muse',           fn: scrapeTheMuse },
-        { name: 'Naukri Campus',      fn: scrapeNaukriCampus },
-        { name: 'Internshala',        fn: scrapeInternshalaJobs },
-    ];
-
-    console.log('\n🔍 Testing all scrapers...\n');
-    let total = 0, working = 0;
-    for (const { name, fn } of scrapers) {
-        const t = Date.now();
-        const jobs = await fn();
-        const elapsed = ((Date.now()-t)/1000).toFixed(1);
-        if (jobs.length > 0) {
-            console.log(`  ✅ ${name.padEnd(22)} → ${String(jobs.length).padStart(3)} jobs  (${elapsed}s)  e.g. "${(jobs[0]?.title||'').slice(0,45)}"`);
-            working++; total += jobs.length;
-        } else {
-            console.log(`  ❌ ${name.padEnd(22)} → 0 jobs   (${elapsed}s)`);
-        }
-        await sleep(300);
+// Prefix remote roles so the location filter sees the work mode
+function withWorkplace(location, workplaceType) {
+    const mode = (workplaceType || '').toLowerCase();
+    if (mode === 'remote' && !/remote/i.test(location)) return `Remote - ${location}`;
+    if (mode === 'hybrid' && !/hybrid/i.test(location)) return `Hybrid - ${location}`;
+    return location;
+}
+
+const ASHBY_EMPLOYMENT_TYPES = {
+    FullTime: 'Full-time', PartTime: 'Part-time', Intern: 'Internship',
+    Contract: 'Contract', Temporary: 'Temporary'
+};
+
+async function scrapeLever(slug, company, { maxPages = 3 } = {}) {
+    try {
+        const jobs = await paginate(
+            { style: 'offset', pageSize: 100, maxPages },
+            async ({ offset }) => {
+                const r = await http.get(`https://api.lever.co/v0/postings/${slug}`, {
+                    params: { mode: 'json', skip: offset, limit: 100 },
+                    timeout: 15000, headers: HEADERS
+                });
+                return { items: Array.isArray(r.data) ? r.data : [], data: r.data };
+            }
+        );
+        return jobs.map(job => {
+            const c = job.categories || {};
+            const places = c.allLocations?.length ? c.allLocations : [c.location].filter(Boolean);
+            const sections = (job.lists || []).map(l => `${l.text}\n${htmlToText(l.content)}`);
+            return makeJob({
+                title:          job.text,
+                company_name:   company,
+                location:       withWorkplace(places.join(' / ') || 'India', job.workplaceType),
+                description:    [job.descriptionPlain, ...sections, job.additionalPlain].filter(Boolean).join('\n\n'),
+                url:            job.hostedUrl || `https://jobs.lever.co/${slug}/${job.id}`,
+                slug:           `lever_${slug}_${job.id}`,
+                job_type:       c.commitment || 'Full-time',
+                workplace_type: job.workplaceType?.toLowerCase() || null,
+                date:           job.createdAt || null,
+                source:         `${company} Careers`,
+                tags:           [c.team, c.department].filter(Boolean)
+            });
+        });
+    } catch (e) {
+        console.warn(`Lever [${company}]: ${e.response?.status || e.code} ${e.message.slice(0,50)}`);
+        throw e;
     }
-    console.log(`\n📊 ${working}/${scrapers.length} scrapers working → ${total} total jobs\n`);
 }
 
-if (require.main === module) { testAllScrapers(); }
+async function scrapeAshby(org, company) {
+    try {
+        const r = await http.get(`https://api.ashbyhq.com/posting-api/job-board/${org}`, {
+            params: { includeCompensation: true },
+            timeout: 15000, headers: HEADERS
+        });
+        return (r.data?.jobs || [])
+            .filter(job => job.isListed !== false)
+            .map(job => {
+                const places = [job.location, ...(job.secondaryLocations || []).map(l => l.location)].filter(Boolean);
+                const workplace = job.workplaceType || (job.isRemote ? 'Remote' : null);
+                return makeJob({
+                    title:          job.title,
+                    company_name:   company,
+                    location:       withWorkplace([...new Set(places)].join(' / ') || 'India', workplace),
+                    description:    job.descriptionPlain || htmlToText(job.descriptionHtml),
+                    url:            job.jobUrl || `https://jobs.ashbyhq.com/${org}/${job.id}`,
+                    slug:           `ashby_${org}_${job.id}`,
+                    job_type:       ASHBY_EMPLOYMENT_TYPES[job.employmentType] || job.employmentType || 'Full-time',
+                    workplace_type: workplace?.toLowerCase() || null,
+                    salary:         job.compensation?.scrapeableCompensationSalarySummary ||
+                                    job.compensation?.compensationTierSummary || null,
+                    date:           job.publishedAt || null,
+                    source:         `${company} Careers`,
+                    tags:           [job.department, job.team].filter(Boolean)
+                });
+            });
+    } catch (e) {
+        console.warn(`Ashby [${company}]: ${e.response?.status || e.code} ${e.message.slice(0,50)}`);
+        throw e;
+    }
+}
 
 module.exports = {
     scrapeCapgemini, scrapeCognizant, scrapeHexaware, scrapeCoforge,
@@ -445,6 +511,6 @@ module.exports = {
     scrapeTCS, scrapeInfosys, scrapeWipro, scrapeHCL, scrapeTechMahindra,
     scrapeIBM, scrapeDeloitte, scrapeEY,
     scrapeAmazonJobs, scrapeMicrosoftCareers, scrapeOracleJobs, scrapeGoogleCareers,
-    scrapeUnstop, scrapeTheMuse, scrapeNaukriCampus, scrapeInternshalaJobs,
-    scrapeSmartRecruiters, scrapeWorkday, testAllScrapers,
+    scrapeUnstop, scrapeTheMuse, scrapeNaukriCampus,
+    scrapeSmartRecruiters, scrapeWorkday, scrapeGreenhouse, scrapeLever, scrapeAshby,
 };
@@ -0,0 +1,236 @@
+/**
+ * Workday client
+ * Finds a company's Workday board and reads its jobs through the candidate-site API
+ *
+ * A board is given as one of:
+ *   - a Workday link: https://{tenant}.{wdN}.myworkdayjobs.com/[en-US/]{board}
+ *     or https://{wdN}.myworkdaysite.com/[en-US/]recruiting/{tenant}/{board}
+ *   - a company careers URL, which is fetched and searched for such a link
+ *   - { tenant, boardId }, whose data center is found by probing WORKDAY_DATA_CENTERS
+ *
+ * Discovered boards are kept for WORKDAY_DISCOVERY_TTL_DAYS under `workday:<board>`
+ * in the source state store described at fetchJobsFromAllSources. The list endpoint only returns a teaser, so the first
+ * WORKDAY_MAX_DETAILS jobs also get their detail (/job/...) requested for the full
+ * description, all locations and the exact posting date.
+ */
+
+const { createHttpClient } = require('./httpClient');
+const { paginate } = require('./pagination');
+const { htmlToText } = require('./htmlText');
+const { WORKDAY_DATA_CENTERS, WORKDAY_DISCOVERY_TTL_DAYS, WORKDAY_MAX_DETAILS } = require('../config/constants');
+
+const HEADERS = { 'Accept': 'application/json, text/html, */*', 'Accept-Language': 'en-US,en;q=0.9' };
+const JSON_HEADERS = { ...HEADERS, 'Content-Type': 'application/json' };
+
+// Board POST endpoints are searches, so retrying is safe
+const http = createHttpClient({ userAgent: 'browser', idempotent: true });
+
+const MYWORKDAYJOBS_URL = /^https?:\/\/([a-z0-9-]+)\.(wd\d+)\.myworkdayjobs\.com\/(?:wday\/cxs\/[a-z0-9-]+\/)?(?:[a-z]{2}-[a-z]{2}\/)?([\w-]+)/i;
+const MYWORKDAYSITE_URL = /^https?:\/\/(wd\d+)\.myworkdaysite\.com\/(?:wday\/cxs\/[a-z0-9-]+\/|(?:[a-z]{2}-[a-z]{2}\/)?recruiting\/([a-z0-9-]+)\/)([\w-]+)/i;
+const WORKDAY_LINK = /https?:\/\/(?:[a-z0-9-]+\.wd\d+\.myworkdayjobs\.com|wd\d+\.myworkdaysite\.com)\/[^\s"'<>\\]+/gi;
+
+// Boards found during this process (the state store keeps them across runs); both
+// are re-checked after WORKDAY_DISCOVERY_TTL_DAYS, since a warm host lives for days
+const discovered = new Map();
+
+/**
+ * Read tenant, data center and board id from a Workday link
+ * @param {string} url - Board, job or API link
+ * @returns {Object|null} - { host, tenant, boardId, sitePath }, or null for other URLs
+ */
+function parseWorkdayUrl(url) {
+    const jobsMatch = String(url || '').match(MYWORKDAYJOBS_URL);
+    // A bare locale ("/en-US") is the tenant's landing page, not a board
+    if (jobsMatch && !/^[a-z]{2}-[a-z]{2}$/i.test(jobsMatch[3])) {
+        const [, tenant, dataCenter, boardId] = jobsMatch;
+        return {
+            host: `${tenant}.${dataCenter}.myworkdayjobs.com`.toLowerCase(),
+            tenant: tenant.toLowerCase(),
+            boardId,
+            sitePath: `/${boardId}`
+        };
+    }
+
+    const siteMatch = String(url || '').match(MYWORKDAYSITE_URL);
+    if (siteMatch) {
+        // API links (/wday/cxs/{tenant}/{board}) carry the tenant in the skipped segment
+        const [, dataCenter, siteTenant, boardId] = siteMatch;
+        const tenant = (siteTenant || url.match(/\/wday\/cxs\/([a-z0-9-]+)\//i)[1]).toLowerCase();
+        return {
+            host: `${dataCenter}.myworkdaysite.com`.toLowerCase(),
+            tenant,
+            boardId,
+            sitePath: `/recruiting/${tenant}/${boardId}`
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Base URL of a board's candidate-site API
+ * @param {Object} target - Parsed board
+ * @returns {string}
+ */
+function apiBase(target) {
+    return `https://${target.host}/wday/cxs/${target.tenant}/${target.boardId}`;
+}
+
+/**
+ * Find the Workday link on a company careers page (or the page it redirects to)
+ * @param {string} careersUrl - Careers page URL
+ * @returns {Promise<Object|null>} - Parsed board
+ */
+async function findBoardOnPage(careersUrl) {
+    const response = await http.get(careersUrl, { responseType: 'text', timeout: 15000, headers: HEADERS });
+    const redirected = parseWorkdayUrl(response.request?.res?.responseUrl);
+    if (redirected) return redirected;
+
+    for (const [link] of String(response.data || '').matchAll(WORKDAY_LINK)) {
+        const parsed = parseWorkdayUrl(link);
+        if (parsed) return parsed;
+    }
+    return null;
+}
+
+/**
+ * Find the data center hosting a tenant's board
+ * @param {Object} board - { tenant, boardId }
+ * @returns {Promise<Object|null>} - Parsed board
+ */
+async function probeDataCenters({ tenant, boardId }) {
+    for (const dataCenter of WORKDAY_DATA_CENTERS) {
+        const candidate = parseWorkdayUrl(`https://${tenant}.${dataCenter}.myworkdayjobs.com/${boardId}`);
+        try {
+            // Unknown hosts fail DNS and wrong data centers answer 404/422, so no retries
+            const response = await http.post(
+                `${apiBase(candidate)}/jobs`,
+                { appliedFacets: {}, limit: 1, offset: 0, searchText: '' },
+                { timeout: 10000, retries: 0, headers: JSON_HEADERS }
+            );
+            if (Array.isArray(response.data?.jobPostings)) return candidate;
+        } catch (error) {
+            // Try the next data center
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve a board to its data center, tenant and board id
+ * @param {string|Object} board - Workday link, careers URL, or { tenant, boardId }
+ * @param {Object} [options] - { state } cache store for discovered boards (optional)
+ * @returns {Promise<Object>} - { host, tenant, boardId, sitePath }
+ */
+async function discoverWorkdayBoard(board, options = {}) {
+    const { state } = options;
+    if (typeof board === 'string') {
+        const parsed = parseWorkdayUrl(board);
+        if (parsed) return parsed;
+    }
+
+    const label = typeof board === 'string' ? board.trim() : `${board.tenant}/${board.boardId}`;
+    const key = `workday:${label.toLowerCase()}`;
+    const ttlMs = WORKDAY_DISCOVERY_TTL_DAYS * 24 * 60 * 60 * 1000;
+    const isFresh = entry => entry && Date.now() - new Date(entry.discoveredAt) < ttlMs;
+
+    if (isFresh(discovered.get(key))) return discovered.get(key);
+    const cached = state ? await state.get(key) : null;
+    if (isFresh(cached)) {
+        discovered.set(key, cached);
+        return cached;
+    }
+
+    const found = typeof board === 'string' ? await findBoardOnPage(board) : await probeDataCenters(board);
+    if (!found) {
+        throw new Error(`No Workday board found for ${label}`);
+    }
+
+    const entry = { ...found, discoveredAt: new Date().toISOString() };
+    discovered.set(key, entry);
+    state?.set(key, entry);
+    return entry;
+}
+
+/**
+ * Request one job's details
+ * @param {Object} target - Parsed board
+ * @param {string} externalPath - Posting path from the list ("/job/{location}/{title}_{id}")
+ * @returns {Promise<Object|null>} - jobPostingInfo
+ */
+async function fetchJobDetail(target, externalPath) {
+    const response = await http.get(`${apiBase(target)}${externalPath}`, { timeout: 15000, headers: HEADERS });
+    return response.data?.jobPostingInfo || null;
+}
+
+/**
+ * Map a list posting (and its details, when fetched) to job fields
+ * @param {Object} posting - Entry of the list's jobPostings
+ * @param {Object|null} info - jobPostingInfo from the detail request
+ * @param {Object} target - Parsed board
+ * @returns {Object}
+ */
+function postingToJob(posting, info, target) {
+    const locations = info ? [info.location, ...(info.additionalLocations || [])].filter(Boolean) : [];
+    return {
+        title:       info?.title || posting.title || posting.bulletFields?.[0],
+        location:    locations.join('; ') || posting.locationsText || 'India',
+        description: info?.jobDescription ? htmlToText(info.jobDescription) : posting.descriptionTeaser || '',
+        url:         info?.externalUrl || `https://${target.host}/en-US${target.sitePath}${posting.externalPath || ''}`,
+        slug:        posting.externalPath?.split('/').pop() || `${target.tenant}_${Date.now()}`,
+        // startDate is the posting's date; postedOn is relative ("Posted 3 Days Ago")
+        date:        info?.startDate || info?.postedOn || posting.postedOn || null,
+        ...(info?.timeType && { job_type: info.timeType })
+    };
+}
+
+/**
+ * Fetch a board's jobs matching the keywords
+ * @param {string|Object} board - Workday link, careers URL, or { tenant, boardId }
+ * @param {Object} [options] - { keywords, maxPages, state }
+ * @returns {Promise<Array>} - Job fields (without company and source)
+ */
+async function fetchWorkdayJobs(board, options = {}) {
+    const { keywords = '', maxPages = 5, state } = options;
+    const target = await discoverWorkdayBoard(board, { state });
+
+    // Workday caps `limit` at 20 and only reports `total` on the first page
+    const postings = await paginate(
+        { style: 'offset', pageSize: 20, maxPages, getTotal: data => data?.total },
+        async ({ offset }) => {
+            const response = await http.post(
+                `${apiBase(target)}/jobs`,
+                { limit: 20, offset, searchText: keywords, locations: [] },
+                { timeout: 15000, headers: JSON_HEADERS }
+            );
+            return { items: response.data?.jobPostings || [], data: response.data };
+        }
+    );
+
+    // Sequential: every detail request goes to the same board host. Jobs past
+    // WORKDAY_MAX_DETAILS keep the teaser
+    const jobs = [];
+    let failedDetails = 0;
+    for (const [index, posting] of postings.entries()) {
+        let info = null;
+        if (index < WORKDAY_MAX_DETAILS && posting.externalPath) {
+            try {
+                info = await fetchJobDetail(target, posting.externalPath);
+            } catch (error) {
+                failedDetails++;
+            }
+        }
+        jobs.push(postingToJob(posting, info, target));
+    }
+
+    if (failedDetails > 0) {
+        console.warn(`Workday [${target.tenant}/${target.boardId}]: ${failedDetails} job detail request(s) failed — kept the list teaser`);
+    }
+    return jobs;
+}
+
+module.exports = {
+    fetchWorkdayJobs,
+    discoverWorkdayBoard,
+    parseWorkdayUrl
+};
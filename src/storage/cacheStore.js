@@ -0,0 +1,211 @@
+/**
+ * Cache store
+ * Small namespaced key-value store backed by Azure Table Storage, or a JSON file in dev
+ *
+ * Writes are staged in memory and only persisted by flush(). The job checker
+ * flushes at the end of a successful run, so a crashed run never records
+ * responses (or other state) whose jobs were not processed. scope() narrows this
+ * to one source: its writes reach the store's staged entries only on commit().
+ *
+ * Backend selection (CACHE_STORE): 'table' | 'file' | 'none'.
+ * Defaults to 'table' when AzureWebJobsStorage is set, otherwise 'file'.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { TableClient } = require('@azure/data-tables');
+const { TABLE_CACHE, CACHE_DIR } = require('../config/constants');
+
+/**
+ * Hash a cache key into a valid Table Storage row key
+ * @param {string} key - Cache key (e.g. a URL)
+ * @returns {string}
+ */
+function toRowKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Table Storage backend — one partition per namespace, values stored as JSON
+ * @param {string} connectionString - Azure Storage connection string
+ * @param {string} namespace - Partition key
+ * @returns {Object} - { read(key), write(entries) }
+ */
+function createTableBackend(connectionString, namespace) {
+    const client = TableClient.fromConnectionString(connectionString, TABLE_CACHE);
+    let ready = null;
+
+    const ensureTable = () => {
+        ready = ready || client.createTable().catch(error => {
+            if (error.statusCode !== 409) throw error; // 409 = already exists
+        });
+        return ready;
+    };
+
+    return {
+        async read(key) {
+            await ensureTable();
+            try {
+                const entity = await client.getEntity(namespace, toRowKey(key));
+                return JSON.parse(entity.value);
+            } catch (error) {
+                if (error.statusCode === 404) return null;
+                throw error;
+            }
+        },
+        async write(entries) {
+            await ensureTable();
+            for (const [key, value] of entries) {
+                await client.upsertEntity({
+                    partitionKey: namespace,
+                    rowKey: toRowKey(key),
+                    key: key.slice(0, 1000),
+                    value: JSON.stringify(value),
+                    updatedAt: new Date().toISOString()
+                }, 'Replace');
+            }
+        }
+    };
+}
+
+/**
+ * File backend — one JSON file per namespace under CACHE_DIR
+ * @param {string} namespace - File name (without extension)
+ * @returns {Object} - { read(key), write(entries) }
+ */
+function createFileBackend(namespace) {
+    const filePath = path.resolve(CACHE_DIR, `${namespace}.json`);
+    let data = null;
+
+    const load = () => {
+        if (!data) {
+            try {
+                data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                data = {};
+            }
+        }
+        return data;
+    };
+
+    return {
+        async read(key) {
+            return load()[key] ?? null;
+        },
+        async write(entries) {
+            const current = load();
+            for (const [key, value] of entries) {
+                current[key] = value;
+            }
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify(current, null, 2));
+        }
+    };
+}
+
+/**
+ * No-op backend (CACHE_STORE=none)
+ * @returns {Object} - { read(key), write(entries) }
+ */
+function createNullBackend() {
+    return {
+        async read() { return null; },
+        async write() {}
+    };
+}
+
+/**
+ * Stage writes on top of a store until commit()
+ * @param {Object} parent - Store (or scope) with get(key) / set(key, value)
+ * @returns {Object} - { get(key), set(key, value), scope(), commit() }
+ */
+function createScope(parent) {
+    const pending = new Map();
+    return {
+        async get(key) {
+            if (pending.has(key)) return pending.get(key);
+            return parent.get(key);
+        },
+        set(key, value) {
+            pending.set(key, value);
+        },
+        scope() {
+            return createScope(this);
+        },
+        commit() {
+            for (const [key, value] of pending) parent.set(key, value);
+            pending.clear();
+        }
+    };
+}
+
+/**
+ * Create a namespaced cache store
+ * @param {string} namespace - Store namespace, e.g. 'responses'
+ * @param {Object} [options] - { backend: 'table'|'file'|'none', connectionString }
+ * @returns {Object} - { namespace, get(key), set(key, value), scope(), flush(), pendingCount() }
+ */
+function createCacheStore(namespace, options = {}) {
+    const connectionString = options.connectionString || process.env.AzureWebJobsStorage;
+    const backendName = options.backend || process.env.CACHE_STORE || (connectionString ? 'table' : 'file');
+
+    const backend = backendName === 'table' ? createTableBackend(connectionString, namespace) :
+        backendName === 'file' ? createFileBackend(namespace) :
+        createNullBackend();
+
+    const pending = new Map();
+
+    return {
+        namespace,
+        backend: backendName,
+
+        /**
+         * Read a value (staged writes win over stored values)
+         * @param {string} key
+         * @returns {Promise<*>} - Stored value or null
+         */
+        async get(key) {
+            if (pending.has(key)) return pending.get(key);
+            return backend.read(key);
+        },
+
+        /**
+         * Stage a value; persisted on flush()
+         * @param {string} key
+         * @param {*} value - JSON-serializable value
+         */
+        set(key, value) {
+            pending.set(key, value);
+        },
+
+        /**
+         * Writes of one unit of work (a source), kept apart until it succeeds
+         * @returns {Object} - { get(key), set(key, value), commit() }; commit() stages
+         *   the writes in this store, dropping the scope discards them
+         */
+        scope() {
+            return createScope(this);
+        },
+
+        /**
+         * Persist staged writes
+         * @returns {Promise<number>} - Number of entries written
+         */
+        async flush() {
+            const entries = [...pending.entries()];
+            if (entries.length === 0) return 0;
+            await backend.write(entries);
+            pending.clear();
+            return entries.length;
+        },
+
+        pendingCount() {
+            return pending.size;
+        }
+    };
+}
+
+module.exports = {
+    createCacheStore
+};
@@ -4,42 +4,44 @@
  */
 
 const { TableClient } = require('@azure/data-tables');
-const { TABLE_NAME, TABLE_META, PARTITION_KEY } = require('../config/constants');
+const { TABLE_NAME, TABLE_META, TABLE_SOURCE_HEALTH, PARTITION_KEY } = require('../config/constants');
+
+const HEALTH_PARTITION_KEY = 'sources';
 
 /**
  * Initialize Table Storage clients
  * @param {string} connectionString - Azure Storage connection string
- * @returns {Object} - { jobsClient, metaClient }
+ * @returns {Object} - { jobsClient, metaClient, healthClient }
  */
 function initializeTableClients(connectionString) {
     const jobsClient = TableClient.fromConnectionString(connectionString, TABLE_NAME);
     const metaClient = TableClient.fromConnectionString(connectionString, TABLE_META);
+    const healthClient = TableClient.fromConnectionString(connectionString, TABLE_SOURCE_HEALTH);
     
-    return { jobsClient, metaClient };
+    return { jobsClient, metaClient, healthClient };
 }
 
 /**
  * Create tables if they don't exist
- * @param {TableClient} jobsClient - Jobs table client
- * @param {TableClient} metaClient - Metadata table client
+ * @param {Object} clients - Clients from initializeTableClients
  * @param {Object} context - Azure Functions context for logging
  */
-async function ensureTablesExist(jobsClient, metaClient, context) {
-    try {
-        await jobsClient.createTable();
-        context.log('📦 Jobs table ready');
-    } catch (error) {
-        if (error.statusCode !== 409) { // 409 = already exists
-            context.warn('⚠️ Jobs table creation warning:', error.message);
-        }
-    }
-    
-    try {
-        await metaClient.createTable();
-        context.log('📦 Metadata table ready');
-    } catch (error) {
-        if (error.statusCode !== 409) {
-            context.warn('⚠️ Metadata table creation warning:', error.message);
+async function ensureTablesExist(clients, context) {
+    const tables = [
+        { client: clients.jobsClient, label: 'Jobs' },
+        { client: clients.metaClient, label: 'Metadata' },
+        { client: clients.healthClient, label: 'Source health' }
+    ];
+
+    for (const { client, label } of tables) {
+        if (!client) continue;
+        try {
+            await client.createTable();
+            context.log(`📦 ${label} table ready`);
+        } catch (error) {
+            if (error.statusCode !== 409) { // 409 = already exists
+                context.warn(`⚠️ ${label} table creation warning:`, error.message);
+            }
         }
     }
 }
@@ -78,7 +80,10 @@ async function markJobAsProcessed(tableClient, job, context) {
             title: job.title,
             company: job.company_name || 'N/A',
             processedAt: new Date().toISOString(),
-            url: job.url || ''
+            url: job.url || '',
+            canonicalUrl: job.canonical_url || '',
+            source: job.source || '',
+            location: job.location || ''
         };
         await tableClient.createEntity(entity);
         context.log(`✅ Marked as processed: ${job.slug.substring(0, 8)}...`);
@@ -87,6 +92,40 @@ async function markJobAsProcessed(tableClient, job, context) {
     }
 }
 
+/**
+ * Load jobs sent in the last few days (for cross-source duplicate detection)
+ * @param {TableClient} tableClient - Table client
+ * @param {number} days - How far back to look
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Array>} - [{ title, company, url, canonicalUrl, source, location }]; empty on error
+ */
+async function getRecentJobs(tableClient, days, context) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const jobs = [];
+    try {
+        const entities = tableClient.listEntities({
+            queryOptions: {
+                // ISO timestamps compare correctly as strings
+                filter: `PartitionKey eq '${PARTITION_KEY}' and processedAt ge '${since}'`,
+                select: ['title', 'company', 'url', 'canonicalUrl', 'source', 'location']
+            }
+        });
+        for await (const entity of entities) {
+            jobs.push({
+                title: entity.title,
+                company: entity.company,
+                url: entity.url,
+                canonicalUrl: entity.canonicalUrl,
+                source: entity.source,
+                location: entity.location
+            });
+        }
+    } catch (error) {
+        context.warn(`⚠️ Error loading recent jobs: ${error.message}`);
+    }
+    return jobs;
+}
+
 /**
  * Get last run metadata (for incremental scanning)
  * @param {TableClient} metaClient - Metadata table client
@@ -107,6 +146,24 @@ async function getLastRunMetadata(metaClient, context) {
     }
 }
 
+/**
+ * Serialize per-source fetch results into a compact JSON string
+ * Keeps the entity well under the 64KB property limit
+ * @param {Array} sourceResults - Results from fetchJobsFromAllSources
+ * @returns {string} - JSON array of { name, count, durationMs, error, skipped, unchanged }
+ */
+function serializeSourceResults(sourceResults) {
+    return JSON.stringify((sourceResults || []).map(result => ({
+        name: result.name,
+        count: result.count,
+        dropped: result.dropped || {},
+        durationMs: result.durationMs,
+        error: result.error ? result.error.slice(0, 120) : null,
+        skipped: result.skipped || null,
+        unchanged: result.unchanged || false
+    })));
+}
+
 /**
  * Update metadata table with run statistics
  * CRITICAL: This updates lastRunAt timestamp for incremental scanning
@@ -124,9 +181,19 @@ async function updateMetadata(metaClient, stats, context) {
             totalFetched: stats.totalFetched || 0,
             totalNew: stats.totalNew || 0,
             totalMatched: stats.totalMatched || 0,
+            jobsDropped: stats.jobsDropped || 0,
+            jobsEnriched: stats.jobsEnriched || 0,
+            duplicatesMerged: stats.duplicatesMerged || 0,
             duplicatesSkipped: stats.duplicatesSkipped || 0,
             totalSent: stats.totalSent || 0,
-            executionTimeSeconds: stats.executionTimeSeconds || 0
+            executionTimeSeconds: stats.executionTimeSeconds || 0,
+            sourcesSucceeded: stats.sourcesSucceeded || 0,
+            sourcesFailed: stats.sourcesFailed || 0,
+            sourcesCircuitOpen: stats.sourcesCircuitOpen || 0,
+            httpRequests: stats.httpRequests || 0,
+            httpRetries: stats.httpRetries || 0,
+            httpFailures: stats.httpFailures || 0,
+            sourceResults: serializeSourceResults(stats.sourceResults)
         };
         
         // Upsert = update or create
@@ -137,11 +204,69 @@ async function updateMetadata(metaClient, stats, context) {
     }
 }
 
+/**
+ * Convert a source name into a valid Table Storage row key
+ * Row keys cannot contain / \\ # ? or control characters
+ * @param {string} name - Source name
+ * @returns {string}
+ */
+function toSourceRowKey(name) {
+    return name.replace(/[\/\\#?\u0000-\u001f\u007f-\u009f]/g, '_');
+}
+
+/**
+ * Load health records for all sources
+ * @param {TableClient} healthClient - Source health table client
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Map<string, Object>>} - Health records keyed by source name
+ */
+async function getSourceHealth(healthClient, context) {
+    const healthMap = new Map();
+    try {
+        const entities = healthClient.listEntities({
+            queryOptions: { filter: `PartitionKey eq '${HEALTH_PARTITION_KEY}'` }
+        });
+        for await (const entity of entities) {
+            const { partitionKey, rowKey, etag, timestamp, ...record } = entity;
+            healthMap.set(record.sourceName, record);
+        }
+    } catch (error) {
+        context.warn(`⚠️ Error loading source health: ${error.message}`);
+    }
+    return healthMap;
+}
+
+/**
+ * Store updated health records (one upsert per source)
+ * @param {TableClient} healthClient - Source health table client
+ * @param {Array} healthRecords - Records from updateSourceHealth
+ * @param {Object} context - Azure Functions context
+ */
+async function saveSourceHealth(healthClient, healthRecords, context) {
+    let saved = 0;
+    for (const record of healthRecords) {
+        try {
+            await healthClient.upsertEntity({
+                partitionKey: HEALTH_PARTITION_KEY,
+                rowKey: toSourceRowKey(record.sourceName),
+                ...record
+            }, 'Replace');
+            saved++;
+        } catch (error) {
+            context.warn(`⚠️ Error saving health for ${record.sourceName}: ${error.message}`);
+        }
+    }
+    context.log(`✅ Source health updated (${saved}/${healthRecords.length} sources)`);
+}
+
 module.exports = {
     initializeTableClients,
     ensureTablesExist,
     isJobProcessed,
     markJobAsProcessed,
+    getRecentJobs,
     getLastRunMetadata,
-    updateMetadata
+    updateMetadata,
+    getSourceHealth,
+    saveSourceHealth
 };
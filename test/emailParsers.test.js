@@ -0,0 +1,67 @@
+/**
+ * Email alert parser tests
+ * Parses the sample alert emails in test/fixtures/emails/ (the same files
+ * `npm run email:seed` puts into a test mailbox)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const { parseAlertEmail } = require('../src/services/emailParsers');
+
+const SAMPLE_DIR = path.join(__dirname, 'fixtures', 'emails');
+
+/**
+ * Parse a sample .eml file the way emailIngestion does
+ * @param {string} file - File name in test/fixtures/emails
+ * @returns {Promise<Object>} - parseAlertEmail result
+ */
+async function parseSample(file) {
+    const mail = await simpleParser(fs.readFileSync(path.join(SAMPLE_DIR, file)));
+    return parseAlertEmail({
+        from: mail.from?.value?.[0]?.address,
+        subject: mail.subject,
+        html: mail.html || mail.textAsHtml,
+        date: mail.date
+    });
+}
+
+test('LinkedIn: one job per card, canonical job links, "Company · Location" split', async () => {
+    const { parser, jobs } = await parseSample('linkedin-job-alert.eml');
+    assert.equal(parser, 'LinkedIn');
+    assert.deepEqual(jobs.map(({ title, company_name, location, url }) => ({ title, company_name, location, url })), [
+        { title: 'Junior Cloud Engineer', company_name: 'Kite Cloud', location: 'Bengaluru, Karnataka, India', url: 'https://www.linkedin.com/jobs/view/4012345678/' },
+        { title: 'Security Operations Analyst', company_name: 'Orbit Systems', location: 'Pune, Maharashtra, India (Hybrid)', url: 'https://www.linkedin.com/jobs/view/4012349999/' }
+    ]);
+    assert.equal(jobs[0].date.toISOString(), '2026-10-13T06:30:00.000Z');
+});
+
+test('Naukri: experience, salary and location lines in any order', async () => {
+    const { parser, jobs } = await parseSample('naukri-job-alert.eml');
+    assert.equal(parser, 'Naukri');
+    assert.equal(jobs.length, 2);
+    assert.deepEqual(
+        { title: jobs[0].title, company: jobs[0].company_name, experience: jobs[0].experience, salary: jobs[0].salary, location: jobs[0].location },
+        { title: 'DevOps Engineer', company: 'Northwind Technologies', experience: '0-2 Yrs', salary: '₹ 4-7 Lacs PA', location: 'Hyderabad' }
+    );
+    assert.equal(jobs[1].salary, null);
+    assert.equal(jobs[1].location, 'Noida, Gurugram');
+    assert.ok(!jobs[0].url.includes('?'), 'tracking parameters are dropped');
+});
+
+test('Instahyre: "Role at Company" headline', async () => {
+    const { jobs } = await parseSample('instahyre-job-alert.eml');
+    assert.equal(jobs.length, 1);
+    assert.equal(jobs[0].title, 'Site Reliability Engineer');
+    assert.equal(jobs[0].company_name, 'Acme Payments');
+    assert.equal(jobs[0].location, 'Bangalore');
+    assert.equal(jobs[0].experience, '1 - 3 years');
+});
+
+test('unknown senders yield no jobs', async () => {
+    const { parser, jobs } = await parseSample('newsletter.eml');
+    assert.equal(parser, null);
+    assert.deepEqual(jobs, []);
+});
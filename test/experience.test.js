@@ -0,0 +1,50 @@
+/**
+ * Experience extraction tests
+ * Ranges, open amounts, fresher phrases and year counts that are not requirements
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractExperience, formatExperience } = require('../src/models/experience');
+const { filterJob } = require('../src/services/jobFilter');
+
+test('reads ranges, open amounts and months', () => {
+    assert.deepEqual(extractExperience({ title: 'Cloud Engineer (0-2 yrs)' }), { min: 0, max: 2, confidence: 'medium' });
+    assert.deepEqual(extractExperience({ title: 'DevOps Engineer', description: 'Experience: 1 to 3 years' }), { min: 1, max: 3, confidence: 'high' });
+    assert.deepEqual(extractExperience({ title: 'Analyst', description: 'At least 4 years of hands-on experience' }), { min: 4, max: null, confidence: 'high' });
+    assert.deepEqual(extractExperience({ title: 'SOC Analyst', description: '6 months experience in SIEM' }), { min: 0.5, max: 0.5, confidence: 'high' });
+    assert.deepEqual(extractExperience({ title: 'SOC Analyst', description: 'Experience: 6 months to 1 year' }), { min: 0.5, max: 1, confidence: 'high' });
+    // The experience field wins over the description
+    assert.equal(extractExperience({ title: 'Cloud Engineer', experience: '2-4 Yrs', description: '5+ years experience' }).min, 2);
+});
+
+test('ignores year counts that are not requirements', () => {
+    const job = { title: 'Azure Cloud Intern', description: 'Founded 25 years ago. Requires a 3-year degree. Internship of 3-6 months.' };
+    assert.deepEqual(extractExperience(job), { min: 0, max: 0, confidence: 'low' });
+    assert.equal(extractExperience({ title: 'Engineer', description: 'We have 20+ years of experience delivering cloud' }).confidence, 'none');
+});
+
+test('fresher phrases lower the minimum', () => {
+    assert.deepEqual(
+        extractExperience({ title: 'DevOps Engineer', description: 'Minimum 3 years of experience in AWS. Freshers welcome.' }),
+        { min: 0, max: 3, confidence: 'high' }
+    );
+    assert.equal(formatExperience(extractExperience({ title: 'Cloud Engineer', description: 'No prior experience required' })), 'Fresher');
+    // Negated phrases, and the bare word next to a stated requirement, do not count
+    const senior = { title: 'Senior Cloud Engineer', description: '5+ years of experience in Azure. This role is not for freshers.' };
+    assert.deepEqual(extractExperience(senior), { min: 5, max: null, confidence: 'high' });
+    assert.equal(filterJob({ ...senior, location: 'Pune, India', url: 'https://example.com/jobs/2', source: 'Example' }).match, false);
+    assert.equal(extractExperience({ title: 'Cloud Engineer', description: '3 years of experience. Not a fresher role.' }).min, 3);
+    assert.equal(extractExperience({ title: 'Cloud Engineer', description: 'Non-fresher position, 4 years experience, fresher' }).min, 4);
+    assert.equal(formatExperience({ min: 0, max: 2, confidence: 'medium' }), 'Entry Level (0-2 years)');
+    assert.equal(formatExperience({ min: 3, max: null, confidence: 'high' }), '3+ years');
+    assert.equal(formatExperience({ min: null, max: null, confidence: 'none' }), 'Not specified');
+});
+
+test('filter and alert agree on the requirement', () => {
+    const base = { location: 'Pune, India', url: 'https://example.com/jobs/1', source: 'Example' };
+    assert.equal(filterJob({ ...base, title: 'Azure Cloud Engineer', description: 'Founded 25 years ago, hiring freshers with a 3-year degree for Azure.' }).match, true);
+    const senior = filterJob({ ...base, title: 'Azure Cloud Engineer', description: 'Requires 4 years of relevant experience with Azure.' });
+    assert.equal(senior.match, false);
+    assert.equal(senior.reason, 'Requires more than 2 years experience');
+});
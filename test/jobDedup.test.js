@@ -0,0 +1,118 @@
+/**
+ * Cross-source duplicate detection tests
+ * URL canonicalization, title/company normalization and clustering in dedupeJobs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalizeUrl, normalizeCompany, normalizeTitle, titleSimilarity, dedupeJobs } = require('../src/services/jobDedup');
+const { parseLocation } = require('../src/models/location');
+
+const context = { log: () => {} };
+
+test('canonical URLs drop tracking parameters and portal slugs', () => {
+    assert.equal(
+        canonicalizeUrl('https://in.linkedin.com/jobs/view/azure-intern-at-acme-4012345678/?refId=abc&trackingId=xyz'),
+        'linkedin.com/jobs/view/4012345678'
+    );
+    assert.equal(
+        canonicalizeUrl('https://www.naukri.com/job-listings-azure-intern-acme-pune-0-to-1-years-141024012345?src=jobsearchDesk'),
+        'naukri.com/job-listings-141024012345'
+    );
+    assert.equal(
+        canonicalizeUrl('https://acme.wd3.myworkdayjobs.com/en-US/Acme/job/Pune/Azure-Intern_R1?utm_source=x'),
+        'acme.wd3.myworkdayjobs.com/Acme/job/Pune/Azure-Intern_R1'
+    );
+    assert.equal(canonicalizeUrl('http://example.com/jobs/?utm_medium=a&id=5&b=2'), 'example.com/jobs?b=2&id=5');
+    assert.equal(canonicalizeUrl('not a url'), '');
+});
+
+test('companies and titles are normalized before comparing', () => {
+    assert.equal(normalizeCompany('Acme Technologies Pvt. Ltd.'), 'acme');
+    assert.equal(normalizeCompany('Via Reddit'), '');
+    assert.deepEqual(normalizeTitle('Sr. Azure DevOps Engg (Remote) - Urgent Hiring'), ['senior', 'azure', 'devops', 'engineer']);
+    assert.equal(titleSimilarity(normalizeTitle('Azure Cloud Intern'), normalizeTitle('Intern - Azure Cloud')), 1);
+});
+
+test('merges copies of one posting and lists the other sources', async () => {
+    const { jobs, stats } = await dedupeJobs([
+        { title: 'Azure Cloud Intern', company_name: 'Acme Technologies', url: 'https://in.linkedin.com/jobs/view/azure-cloud-intern-at-acme-4012345678', source: 'LinkedIn', description: 'Short' },
+        { title: 'Azure Cloud Intern (Pune)', company_name: 'Acme Technologies Pvt Ltd', url: 'https://www.naukri.com/job-listings-azure-cloud-intern-acme-141024012345', source: 'Naukri', salary: '₹25,000/month', description: 'Short' },
+        { title: 'Azure Cloud Intern', company_name: 'Acme', url: 'https://acme.wd3.myworkdayjobs.com/Acme/job/Pune/Azure-Cloud-Intern_R1', source: 'Acme Careers', description: 'Full description '.repeat(40) },
+        { title: 'Senior Azure Cloud Engineer', company_name: 'Acme', url: 'https://acme.wd3.myworkdayjobs.com/Acme/job/Pune/Senior_R2', source: 'Acme Careers' },
+        { title: 'Cloud intern', company_name: 'Via Reddit', url: 'https://www.reddit.com/r/x/comments/1', source: 'Reddit' },
+        { title: 'Azure Cloud Intern', company_name: 'Acme', url: 'https://t.me/jobs/5', source: 'Telegram @jobs', apply_links: ['https://in.linkedin.com/jobs/view/4012345678?trk=tg'] }
+    ], context);
+
+    assert.equal(stats.clusters, 3);
+    assert.equal(stats.merged, 3);
+    const [intern, senior, reddit] = jobs;
+    assert.equal(intern.source, 'Acme Careers');
+    assert.equal(intern.salary, '₹25,000/month');
+    assert.deepEqual(intern.also_on.map(entry => entry.source), ['LinkedIn', 'Naukri', 'Telegram @jobs']);
+    assert.equal(senior.also_on, undefined);
+    assert.equal(reddit.canonical_url, 'reddit.com/r/x/comments/1');
+});
+
+test('skips postings already sent from another source', async () => {
+    const { jobs, stats } = await dedupeJobs([
+        { title: 'Cloud Security Analyst', company_name: 'Acme', url: 'https://www.naukri.com/job-listings-cloud-security-analyst-acme-141024099999', source: 'Naukri' },
+        { title: 'DevOps Trainee', company_name: 'Acme', url: 'https://example.com/jobs/7?utm_source=mail', source: 'Email: LinkedIn' },
+        { title: 'DevOps Intern', company_name: 'Acme', url: 'https://example.com/jobs/8', source: 'Example' }
+    ], context, {
+        history: [
+            { title: 'Cloud Security Analyst', company: 'Acme Pvt Ltd', url: 'https://acme.wd3.myworkdayjobs.com/Acme/job/1' },
+            { title: 'Trainee', company: 'N/A', url: 'https://example.com/jobs/7', canonicalUrl: 'example.com/jobs/7' }
+        ]
+    });
+
+    assert.equal(stats.alreadySent, 2);
+    assert.deepEqual(jobs.map(job => job.title), ['DevOps Intern']);
+});
+
+test('keeps separate openings in different cities or on one board', async () => {
+    const infosys = (city, id, source = 'Naukri') => ({
+        title: 'Cloud Engineer', company_name: 'Infosys', source, location: city,
+        places: parseLocation(city).places,
+        url: `https://example.com/infosys/jobs/${id}`
+    });
+    const { jobs, stats } = await dedupeJobs([
+        infosys('Pune', 1),
+        infosys('Hyderabad', 2),
+        infosys('Pune, Maharashtra', 3, 'LinkedIn')
+    ], context, {
+        // An earlier requisition on the same board
+        history: [{ title: 'Cloud Engineer', company: 'Infosys', source: 'Naukri', location: 'Hyderabad', url: 'https://example.com/infosys/jobs/0' }]
+    });
+
+    assert.equal(stats.alreadySent, 0);
+    assert.deepEqual(jobs.map(job => job.location), ['Pune', 'Hyderabad']);
+    assert.deepEqual(jobs[0].also_on.map(entry => entry.source), ['LinkedIn']);
+});
+
+test('keeps the richest copy that passes the filter', async () => {
+    const { jobs } = await dedupeJobs([
+        { title: 'Azure Intern', company_name: 'Acme', url: 'https://example.com/a', source: 'A', location: 'London', description: 'Long description '.repeat(50) },
+        { title: 'Azure Intern', company_name: 'Acme', url: 'https://example.com/b', source: 'B', location: 'London / Pune', description: 'Short' }
+    ], context, { accept: job => job.location.includes('Pune') });
+
+    assert.deepEqual(jobs.map(job => job.source), ['B']);
+});
+
+test('a link shared within one source does not merge different postings', async () => {
+    const paytm = (title, source = 'Paytm Careers') => ({ title, company_name: 'Paytm', source, location: 'Noida', url: 'https://paytm.ripplehire.com' });
+    const { jobs, stats } = await dedupeJobs([
+        paytm('Cloud Engineer'),
+        paytm('Security Analyst'),
+        paytm('Cloud Engineer'),
+        { title: 'DevOps Intern', company_name: 'Acme', source: 'Acme Careers', url: 'https://careers.example.com/jobs?position=2' },
+        { title: 'Azure Intern', company_name: 'Acme', source: 'Acme Careers', url: 'https://careers.example.com/jobs?position=1' }
+    ], context, {
+        history: [{ title: 'Platform Engineer', company: 'Paytm', source: 'Paytm Careers', location: 'Noida', url: 'https://paytm.ripplehire.com' }]
+    });
+
+    assert.equal(canonicalizeUrl('https://careers.example.com/jobs?position=2&src=home'), 'careers.example.com/jobs?position=2&src=home');
+    assert.deepEqual(jobs.map(job => job.title), ['Cloud Engineer', 'Security Analyst', 'DevOps Intern', 'Azure Intern']);
+    assert.equal(stats.merged, 1);
+    assert.equal(stats.alreadySent, 0);
+});
@@ -0,0 +1,93 @@
+/**
+ * Detail page enrichment tests
+ * Replays the detail pages in test/fixtures/job-details/ with no network: field
+ * extraction (JSON-LD and selectors), the page budget, cache hits and `enrichedFields`
+ */
+
+process.env.FIXTURE_MODE = 'replay';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { enrichJobs, needsEnrichment } = require('../src/services/jobEnricher');
+const { parseLocation } = require('../src/models/location');
+
+const context = { log: () => {}, warn: () => {} };
+const now = new Date('2026-10-14T09:00:00.000Z');
+const page = id => `https://careers.example.com/jobs/${id}`;
+
+/**
+ * In-memory stand-in for createCacheStore('details')
+ * @param {Object} [entries] - Initial entries by key
+ * @returns {Object} - { get, set, entries }
+ */
+function memoryCache(entries = {}) {
+    const store = new Map(Object.entries(entries));
+    return {
+        get: async key => store.get(key) || null,
+        set: (key, value) => store.set(key, value),
+        entries: store
+    };
+}
+
+test('reads description, location and experience from JSON-LD and selectors', async () => {
+    const cache = memoryCache();
+    const { jobs, stats } = await enrichJobs([
+        { title: 'Azure Cloud Intern', location: 'India', places: parseLocation('India').places, description: 'Azure Cloud Intern', url: page(101), source: 'Workday' },
+        { title: 'Cloud Security Analyst', description: 'Monitor cloud workloads...', url: page(102), source: 'Workday' }
+    ], context, { cache, concurrency: 1, now });
+
+    const [intern, analyst] = jobs;
+    assert.match(intern.description, /^Join the platform team as an Azure Cloud Intern/);
+    assert.equal(intern.location, 'Pune, Maharashtra, IN');
+    // Places follow the new location, for dedup keys and the location filter
+    assert.deepEqual(intern.places.map(place => place.city), ['Pune']);
+    assert.equal(intern.workplace_type, null);
+    assert.equal(intern.experience, '0-1 years');
+    assert.deepEqual(intern.enrichedFields, ['description', 'location', 'experience']);
+
+    // No JSON-LD: read with the fallback selectors, experience found in the text
+    assert.equal(analyst.location, 'Hyderabad, Telangana');
+    assert.equal(analyst.experience, '0-2 years');
+    assert.equal(needsEnrichment(analyst), false);
+
+    assert.deepEqual(stats, { candidates: 2, cached: 0, fetched: 2, failed: 0, enriched: 2, overBudget: 0 });
+    assert.equal(cache.entries.get(page(101)).fetchedAt, now.toISOString());
+});
+
+test('keeps better listing values and leaves non-candidates alone', async () => {
+    const description = 'Azure DevOps Engineer working on pipelines and infrastructure as code. '.repeat(4);
+    const listing = [
+        { title: 'Azure Cloud Intern', location: 'Bengaluru', experience: 'Fresher', description: 'Teaser…', url: page(101), source: 'Workday' },
+        { title: 'Sales Executive', description: 'Short', url: page(103), source: 'Workday' },
+        { title: 'Azure DevOps Engineer', description, url: page(104), source: 'Workday' }
+    ];
+    const { jobs, stats } = await enrichJobs(listing, context, { concurrency: 1, now });
+
+    assert.equal(jobs[0].location, 'Bengaluru');
+    assert.equal(jobs[0].experience, 'Fresher');
+    assert.deepEqual(jobs[0].enrichedFields, ['description']);
+    assert.equal(jobs[1], listing[1]);
+    assert.equal(jobs[2], listing[2]);
+    assert.equal(stats.candidates, 1);
+});
+
+test('cache hits cost no budget; the per-source budget and failed pages leave jobs as they were', async () => {
+    const cache = memoryCache({
+        [page(105)]: { fields: { description: 'Cached description of a cloud engineering role on the Azure platform team.' }, fetchedAt: '2026-10-10T09:00:00.000Z' },
+        // Older than ENRICH_CACHE_TTL_DAYS, so fetched again
+        [page(102)]: { fields: { description: 'Stale' }, fetchedAt: '2026-09-01T09:00:00.000Z' }
+    });
+    const listing = [
+        { title: 'Cloud Engineer', description: 'Cloud Engineer', url: page(105), source: 'Workday' },
+        { title: 'Cloud Security Analyst', description: 'Cloud Security Analyst', url: page(102), source: 'Workday' },
+        { title: 'Azure Cloud Intern', description: 'Azure Cloud Intern', url: page(101), source: 'Workday' },
+        { title: 'DevOps Engineer', description: 'DevOps Engineer', url: page(106), source: 'Reddit Jobs' }
+    ];
+    const { jobs, stats } = await enrichJobs(listing, context, { cache, maxPerSource: 1, concurrency: 1, now });
+
+    assert.match(jobs[0].description, /^Cached description/);
+    assert.match(jobs[1].description, /^Monitor cloud workloads/);
+    assert.equal(jobs[2], listing[2]); // Over the Workday budget
+    assert.equal(jobs[3], listing[3]); // Page was never recorded, so the request fails
+    assert.deepEqual(stats, { candidates: 4, cached: 1, fetched: 1, failed: 1, enriched: 2, overBudget: 1 });
+});
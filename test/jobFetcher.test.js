@@ -0,0 +1,57 @@
+/**
+ * Source fetching tests
+ * Per-source state: what a source stages in the state store is kept only when
+ * the source finished without an error inside its deadline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCacheStore } = require('../src/storage/cacheStore');
+const { fetchJobsFromAllSources } = require('../src/services/jobFetcher');
+
+const context = { log: () => {}, warn: () => {} };
+const job = { title: 'Azure Cloud Intern', company_name: 'Acme', location: 'Pune', url: 'https://example.com/jobs/1' };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Source staging one state entry per "channel", the way the Telegram scraper does
+ * @param {string} name - Source name
+ * @param {Function} afterFirst - Runs after the first channel's state was staged
+ * @returns {Object} - Source definition
+ */
+function channelSource(name, afterFirst) {
+    return {
+        name,
+        url: async ({ state }) => {
+            state.set(`${name}:a`, { lastMessageId: 100 });
+            await afterFirst();
+            state.set(`${name}:b`, { lastMessageId: 200 });
+            return [job];
+        },
+        parser: jobs => jobs
+    };
+}
+
+test('state of a failed or timed-out source is not committed', async () => {
+    const state = createCacheStore('sources', { backend: 'none' });
+    const { sourceResults } = await fetchJobsFromAllSources(context, {
+        sources: [
+            channelSource('ok', async () => {}),
+            channelSource('slow', () => sleep(300)),
+            channelSource('broken', async () => { throw new Error('channel b failed'); })
+        ],
+        state,
+        timeoutMs: 100
+    });
+
+    assert.deepEqual(sourceResults.map(result => [result.name, result.count, !!result.error]),
+        [['ok', 1, false], ['slow', 0, true], ['broken', 0, true]]);
+    assert.deepEqual(await state.get('ok:b'), { lastMessageId: 200 });
+    assert.equal(await state.get('broken:a'), null);
+
+    // The slow source keeps running past its deadline; its late writes are dropped too
+    await sleep(300);
+    assert.equal(await state.get('slow:a'), null);
+    assert.equal(await state.get('slow:b'), null);
+    assert.equal(state.pendingCount(), 2);
+});
@@ -0,0 +1,66 @@
+/**
+ * Job schema tests
+ * normalizeJob coercion rules and the drop reasons counted by normalizeJobs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeDate, normalizeJob, normalizeJobs, validateJob } = require('../src/models/jobSchema');
+
+const fetchedAt = new Date('2026-10-14T09:00:00.000Z');
+
+test('dates: epoch seconds, milliseconds, offset-less ISO and relative phrases', () => {
+    assert.equal(normalizeDate(1760432400, fetchedAt), '2025-10-14T09:00:00.000Z');
+    assert.equal(normalizeDate(1760432400000, fetchedAt), '2025-10-14T09:00:00.000Z');
+    assert.equal(normalizeDate('2026-10-12T08:00:00', fetchedAt), '2026-10-12T08:00:00.000Z');
+    assert.equal(normalizeDate('Posted 3 Days Ago', fetchedAt), '2026-10-11T09:00:00.000Z');
+    assert.equal(normalizeDate('Posted 30+ Days Ago', fetchedAt), '2026-09-14T09:00:00.000Z');
+    assert.equal(normalizeDate('Today', fetchedAt), fetchedAt.toISOString());
+    assert.equal(normalizeDate('soon', fetchedAt), null);
+});
+
+test('coerces objects, numbers and HTML into the canonical shape', () => {
+    const { job } = normalizeJob({
+        title: '  Cloud &amp; DevOps Intern ',
+        company_name: { name: 'Acme' },
+        location: [{ city: 'Pune', country: 'India' }, 'Remote'],
+        url: 'https://example.com/jobs/1',
+        slug: 42,
+        description: '<p>Azure</p><ul><li>Terraform</li></ul>',
+        salary: 600000,
+        tags: 'cloud, devops',
+        date: '2 days ago'
+    }, { sourceName: 'Example', fetchedAt });
+
+    assert.equal(job.title, 'Cloud & DevOps Intern');
+    assert.equal(job.company_name, 'Acme');
+    assert.equal(job.location, 'Pune, India / Remote');
+    assert.equal(job.slug, '42');
+    assert.equal(job.description, 'Azure\n• Terraform');
+    assert.equal(job.salary, '₹6,00,000');
+    assert.deepEqual(job.tags, ['cloud', 'devops']);
+    assert.equal(job.date, '2026-10-12T09:00:00.000Z');
+    assert.equal(job.source, 'Example');
+    assert.equal(job.job_type, '');
+    assert.deepEqual(validateJob(job), []);
+});
+
+test('drops unusable records and counts them by reason', () => {
+    const { jobs, dropped } = normalizeJobs([
+        { title: 'Cloud Engineer', url: 'https://example.com/1', company_name: 'A', location: 'Pune' },
+        { title: '', url: 'https://example.com/2' },
+        { title: 'No link' },
+        { title: 'Relative link', url: '/jobs/3' },
+        { title: 'Closed', url: 'https://example.com/4', valid_through: '2026-01-01' },
+        null
+    ], { fetchedAt });
+
+    assert.equal(jobs.length, 1);
+    assert.deepEqual(dropped, {
+        'missing title': 1,
+        'missing url': 1,
+        'invalid url': 1,
+        expired: 1,
+        'not an object': 1
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Location parsing tests
+ * Gazetteer lookups, aliases, metro regions, multi-city strings and the India check
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLocation } = require('../src/models/location');
+const { isIndiaLocation } = require('../src/services/jobFilter');
+
+test('reads cities, aliases, state codes and metro regions', () => {
+    assert.deepEqual(parseLocation('Gurgaon, HR (Hybrid)'), {
+        places: [{ city: 'Gurugram', state: 'Haryana', country: 'India', region: 'Delhi NCR' }],
+        work_mode: 'hybrid'
+    });
+    assert.deepEqual(parseLocation('Gurugram, Haryana, India').places, parseLocation('Gurgaon').places);
+    assert.deepEqual(parseLocation('New Delhi, Delhi, India').places.map(place => place.city), ['New Delhi']);
+    assert.deepEqual(parseLocation('Delhi/NCR').places, [{ city: null, state: null, country: 'India', region: 'Delhi NCR' }]);
+    assert.equal(parseLocation('Pune, MH, IN').places[0].state, 'Maharashtra');
+    assert.equal(parseLocation('Work from home').work_mode, 'remote');
+});
+
+test('splits multi-city postings in order', () => {
+    const { places } = parseLocation('Bangalore / Pune / Hyderabad');
+    assert.deepEqual(places.map(place => `${place.city}, ${place.state}`), [
+        'Bengaluru, Karnataka', 'Pune, Maharashtra', 'Hyderabad, Telangana'
+    ]);
+});
+
+test('tells Indian locations from foreign ones', () => {
+    const india = location => isIndiaLocation({ location });
+    assert.deepEqual(parseLocation('Indiana, USA').places, [{ city: null, state: 'Indiana', country: 'United States', region: null }]);
+    assert.equal(india('Indiana, USA'), false);
+    assert.equal(india('Remote (US)'), false);
+    assert.equal(india('Remote - EMEA'), false);
+    assert.equal(india('London, UK'), false);
+    assert.equal(india('Nagpur, Maharashtra'), true);
+    assert.equal(india('Pan India'), true);
+    assert.equal(india('Remote'), true);
+    assert.equal(india('Bangalore or London'), true);
+
+    // US state codes that are also Indian codes
+    for (const location of ['Indianapolis, IN', 'Carmel, IN', 'Fort Wayne, IN, US', 'Portland, OR']) {
+        assert.deepEqual(parseLocation(location).places.filter(place => place.country === 'India'), [], location);
+        assert.equal(india(location), false, location);
+    }
+});
@@ -0,0 +1,36 @@
+/**
+ * Pagination tests
+ * Stop conditions of the shared paginate() helper
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { paginate } = require('../src/services/pagination');
+
+test('stops on a short page, the total or maxPages', async () => {
+    const pages = [];
+    const items = await paginate({ style: 'page', pageSize: 2, maxPages: 5 }, async ({ page }) => {
+        pages.push(page);
+        return { items: page < 3 ? ['a', 'b'] : ['c'] };
+    });
+    assert.deepEqual(pages, [1, 2, 3]);
+    assert.equal(items.length, 5);
+
+    const offsets = [];
+    await paginate({ style: 'offset', pageSize: 2, maxPages: 5, getTotal: data => data.total }, async ({ offset }) => {
+        offsets.push(offset);
+        return { items: ['a', 'b'], data: { total: 4 } };
+    });
+    assert.deepEqual(offsets, [0, 2]);
+});
+
+test('a skipped page counted by itemCount does not end pagination', async () => {
+    const pages = [];
+    const items = await paginate({ style: 'page', pageSize: 2, maxPages: 3 }, async ({ page }) => {
+        pages.push(page);
+        // Page 1 is unchanged since the last run; page 2 has new jobs
+        return page === 1 ? { items: [], itemCount: 2 } : { items: [`job ${page}a`, `job ${page}b`] };
+    });
+    assert.deepEqual(pages, [1, 2, 3]);
+    assert.deepEqual(items, ['job 2a', 'job 2b', 'job 3a', 'job 3b']);
+});
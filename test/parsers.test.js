@@ -0,0 +1,53 @@
+/**
+ * Parser regression tests
+ * Replays source responses (test/fixtures/<source>/) with no network and compares
+ * each parser's normalized output with the expected jobs. The bundled responses are
+ * synthetic, written in each API's documented format (see README, Parser Fixtures).
+ *
+ * Record or refresh fixtures with:  npm run fixtures:record -- "<source name>"
+ */
+
+process.env.FIXTURE_MODE = 'replay';
+// Samples assume the default settings: Reddit's public endpoints (OAuth requests go
+// to another host) and the channel list in src/config/telegramChannels.js
+delete process.env.REDDIT_CLIENT_ID;
+delete process.env.TELEGRAM_SOURCE_CHANNELS;
+// IMAP is not HTTP, so it cannot be replayed (email parsers: test/emailParsers.test.js)
+delete process.env.IMAP_HOST;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB_SOURCES } = require('../src/services/jobSources');
+const { fetchJobsFromAllSources } = require('../src/services/jobFetcher');
+const { listFixtures, stableFields } = require('../src/services/fixtures');
+
+const context = { log: () => {}, warn: () => {}, error: () => {} };
+
+const fixtures = listFixtures();
+
+test('fixtures are recorded for at least one source', () => {
+    assert.ok(fixtures.length > 0, 'no fixtures in test/fixtures — run npm run fixtures:record');
+});
+
+for (const fixture of fixtures) {
+    test(`parser: ${fixture.source}`, async (t) => {
+        const source = JOB_SOURCES.find(s => s.name === fixture.source);
+        if (!source) {
+            assert.fail(`fixture ${fixture.dir} has no matching source "${fixture.source}" (renamed or removed?)`);
+        }
+
+        const { sourceResults } = await fetchJobsFromAllSources(context, {
+            sources: [source],
+            concurrency: 1,
+            fetchedAt: fixture.recordedAt
+        });
+        const [result] = sourceResults;
+
+        if (result.skipped) {
+            t.skip(`source skipped during replay: ${result.skipped}`);
+            return;
+        }
+        assert.equal(result.error, null, `replay failed: ${result.error}`);
+        assert.deepEqual(stableFields(result.jobs), fixture.expected);
+    });
+}
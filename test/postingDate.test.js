@@ -0,0 +1,55 @@
+/**
+ * Posting date tests
+ * Formats read by parsePostingDate, their precision, and the time window / incremental checks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePostingDate } = require('../src/models/postingDate');
+const { isWithinTimeWindow, isJobNewerThan } = require('../src/models/job');
+
+const fetchedAt = new Date('2026-10-14T09:00:00.000Z');
+const parse = value => parsePostingDate(value, fetchedAt);
+
+test('reads Indian day-first dates, offsets and epochs as exact', () => {
+    assert.deepEqual(parse('05/10/2026'), { date: '2026-10-05T00:00:00.000Z', precision: 'exact' });
+    assert.equal(parse('10/15/2026').date, '2026-10-15T00:00:00.000Z');
+    assert.equal(parse('15-10-26').date, '2026-10-15T00:00:00.000Z');
+    assert.equal(parse('15.10.2026 2:30 PM').date, '2026-10-15T14:30:00.000Z');
+    assert.equal(parse('15th October, 2026').date, '2026-10-15T00:00:00.000Z');
+    assert.equal(parse('2026-10-12 08:00:00 IST').date, '2026-10-12T02:30:00.000Z');
+    assert.equal(parse('2026-10-12T08:00:00+0530').date, '2026-10-12T02:30:00.000Z');
+    assert.equal(parse('2026-10-12 08:00').date, '2026-10-12T08:00:00.000Z');
+    assert.equal(parse(1760432400).date, parse(1760432400000).date);
+});
+
+test('relative phrases are approximate, counted back from the fetch time', () => {
+    assert.deepEqual(parse('Posted 30+ Days Ago'), { date: '2026-09-14T09:00:00.000Z', precision: 'approximate' });
+    assert.equal(parse('an hour ago').date, '2026-10-14T08:00:00.000Z');
+    assert.equal(parse('2w ago').date, '2026-09-30T09:00:00.000Z');
+    assert.equal(parse('30m ago').date, '2026-10-14T08:30:00.000Z');
+    // Without a year: this year, or last year for a date still ahead
+    assert.deepEqual(parse('12 Oct'), { date: '2026-10-12T00:00:00.000Z', precision: 'approximate' });
+    assert.equal(parse('Posted on Dec 20').date, '2025-12-20T00:00:00.000Z');
+    assert.deepEqual(parse('Today'), { date: fetchedAt.toISOString(), precision: 'approximate' });
+    assert.equal(parse('Yesterday').date, '2026-10-13T09:00:00.000Z');
+});
+
+test('missing and impossible dates are unknown', () => {
+    assert.deepEqual(parse('31/02/2026'), { date: null, precision: 'unknown' });
+    assert.deepEqual(parse('soon'), { date: null, precision: 'unknown' });
+    assert.deepEqual(parse(null), { date: null, precision: 'unknown' });
+});
+
+test('incremental and time window checks handle each precision', () => {
+    const lastRun = new Date(Date.now() - 12 * 3600000).toISOString();
+    const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+
+    assert.equal(isJobNewerThan(daysAgo(0.1), lastRun, 'exact'), true);
+    assert.equal(isJobNewerThan(daysAgo(30), lastRun, 'approximate'), false);
+    assert.equal(isJobNewerThan(null, lastRun, 'unknown'), true);
+
+    assert.equal(isWithinTimeWindow(daysAgo(3), 7, 'exact'), true);
+    assert.equal(isWithinTimeWindow(daysAgo(31), 30, 'approximate'), false);
+    assert.equal(isWithinTimeWindow(null, 7, 'unknown'), true);
+});
@@ -0,0 +1,66 @@
+/**
+ * Response cache tests
+ * Hash and 304 checks, and per-source staging: a source that fails after its
+ * response was checked must not be reported unchanged on the next run
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCacheStore } = require('../src/storage/cacheStore');
+const { createResponseCache } = require('../src/services/responseCache');
+const { fetchJobsFromAllSources } = require('../src/services/jobFetcher');
+
+const context = { log: () => {}, warn: () => {} };
+const listing = [{ title: 'Azure Cloud Intern', company_name: 'Acme', location: 'Pune', url: 'https://example.com/jobs/1' }];
+
+test('reports 304 and same-hash responses as unchanged', async () => {
+    const cache = createResponseCache(createCacheStore('responses', { backend: 'none' }), context);
+    const url = 'https://api.example.com/jobs';
+
+    assert.deepEqual(await cache.checkResponse(url, { status: 200, data: { jobs: [1] }, headers: { etag: '"v1"' } }),
+        { unchanged: false, reason: null });
+    assert.deepEqual(await cache.conditionalHeaders(url), { 'If-None-Match': '"v1"' });
+    assert.deepEqual(await cache.checkResponse(url, { status: 200, data: { jobs: [1] }, headers: {} }),
+        { unchanged: true, reason: 'same-hash' });
+    assert.deepEqual(await cache.checkResponse(url, { status: 304, data: '', headers: {} }),
+        { unchanged: true, reason: 'not-modified' });
+});
+
+test('a scope keeps its entries apart until commit()', async () => {
+    const cache = createResponseCache(createCacheStore('responses', { backend: 'none' }), context);
+    const dropped = cache.scope();
+    await dropped.checkContent('source:Board', listing);
+    assert.equal((await cache.checkContent('source:Board', listing)).unchanged, false);
+
+    const committed = cache.scope();
+    await committed.checkContent('source:Other', listing);
+    committed.commit();
+    assert.equal((await cache.checkContent('source:Other', listing)).unchanged, true);
+});
+
+test('a source whose parser throws is parsed again on the next run', async () => {
+    const cache = createResponseCache(createCacheStore('responses', { backend: 'none' }), context);
+    let failing = true;
+    const source = {
+        name: 'Flaky Board',
+        url: async () => listing,
+        parser: (jobs) => {
+            if (failing) throw new Error('parser boom');
+            return jobs;
+        }
+    };
+    const run = () => fetchJobsFromAllSources(context, { sources: [source], cache, timeoutMs: 1000 });
+
+    const first = await run();
+    assert.equal(first.sourceResults[0].error, 'parser boom');
+
+    failing = false;
+    const second = await run();
+    assert.equal(second.sourceResults[0].error, null);
+    assert.equal(second.sourceResults[0].unchanged, false);
+    assert.equal(second.sourceResults[0].count, 1);
+
+    // Succeeded this time, so the hash is kept and the third run is unchanged
+    const third = await run();
+    assert.equal(third.sourceResults[0].unchanged, true);
+});
@@ -0,0 +1,62 @@
+/**
+ * Salary parsing tests
+ * Amounts, currencies and periods read by parseSalary, the alert text from formatCompensation
+ * and JSON-LD baseSalary text
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSalary, formatCompensation } = require('../src/models/salary');
+const { jobPostingToJob } = require('../src/services/structuredData');
+
+test('reads Indian CTC, monthly pay and stipends', () => {
+    assert.deepEqual(parseSalary('4-6 LPA'), {
+        min: 400000, max: 600000, currency: 'INR', period: 'annual', annual_inr_min: 400000, annual_inr_max: 600000
+    });
+    assert.equal(parseSalary('3.5 Lacs P.A.').annual_inr_max, 350000);
+    assert.equal(parseSalary('CTC: 4 - 5').annual_inr_min, 400000);
+    assert.equal(parseSalary('₹6,00,000').period, 'annual');
+
+    const monthly = parseSalary('₹25,000/month');
+    assert.equal(monthly.period, 'monthly');
+    assert.equal(monthly.annual_inr_max, 300000);
+    assert.equal(parseSalary('₹10,000 /month', { internship: true }).period, 'stipend');
+    assert.equal(parseSalary('Stipend: 15k').period, 'stipend');
+});
+
+test('open ranges, foreign currencies and undisclosed pay', () => {
+    const upTo = parseSalary('Up to 8 LPA');
+    assert.equal(upTo.min, null);
+    assert.equal(upTo.max, 800000);
+    assert.equal(parseSalary('20k+ per month').max, null);
+
+    const usd = parseSalary('$40k - $60k');
+    assert.equal(usd.currency, 'USD');
+    assert.equal(usd.period, 'annual');
+    assert.equal(usd.annual_inr_min, 40000 * 88);
+
+    assert.equal(parseSalary('Not disclosed'), null);
+    assert.equal(parseSalary('Competitive'), null);
+    assert.equal(parseSalary(''), null);
+});
+
+test('formats compensation consistently for alerts', () => {
+    assert.equal(formatCompensation(parseSalary('4 - 6 Lacs PA')), '₹4-6 LPA');
+    assert.equal(formatCompensation(parseSalary('₹400000-₹600000 per year')), '₹4-6 LPA');
+    assert.equal(formatCompensation(parseSalary('Up to 8 LPA')), 'Up to ₹8 LPA');
+    assert.equal(formatCompensation(parseSalary('Rs. 25000 per month')), '₹25,000/month');
+    assert.equal(formatCompensation(parseSalary('10000 /month', { internship: true })), '₹10,000/month stipend');
+    assert.equal(formatCompensation(parseSalary('$40k - $60k')), '$40,000-60,000/year (≈ ₹35.2-52.8 LPA)');
+    assert.equal(formatCompensation(null), null);
+});
+
+test('JSON-LD salaries with one bound keep it as a bound', () => {
+    const salaryOf = value => jobPostingToJob({ title: 'Cloud Intern', baseSalary: { currency: 'INR', value } }, 'https://example.com/jobs/1').salary;
+    assert.equal(salaryOf({ minValue: 600000, maxValue: 900000, unitText: 'YEAR' }), '₹600000-₹900000 per year');
+    assert.equal(salaryOf({ maxValue: 900000, unitText: 'YEAR' }), 'Up to ₹900000 per year');
+    assert.equal(salaryOf({ minValue: 600000, maxValue: null, unitText: 'YEAR' }), '₹600000 per year');
+    assert.equal(salaryOf({ unitText: 'YEAR' }), undefined);
+
+    const upTo = parseSalary(salaryOf({ maxValue: 900000, unitText: 'YEAR' }));
+    assert.deepEqual([upTo.min, upTo.max, upTo.period], [null, 900000, 'annual']);
+});
@@ -0,0 +1,108 @@
+/**
+ * Source health tests
+ * Circuit breaker states (closed → open → probe), back-off, latency and counts,
+ * and a failing ATS scraper reaching it as an error rather than an empty result
+ */
+
+process.env.FIXTURE_MODE = 'replay';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    getSkipReason,
+    applySourceResult,
+    updateSourceHealth,
+    summarizeSourceHealth
+} = require('../src/services/sourceHealth');
+const { fetchJobsFromAllSources } = require('../src/services/jobFetcher');
+const { scrapeGreenhouse } = require('../src/services/webScraper');
+const { CIRCUIT_BREAKER_THRESHOLD } = require('../src/config/constants');
+
+const now = new Date('2026-10-14T09:00:00.000Z');
+const context = { log: () => {}, warn: () => {} };
+
+const ok = (count = 5, durationMs = 100) => ({ name: 'Board', count, durationMs, error: null, skipped: null, unchanged: false });
+const failed = (durationMs = 100) => ({ name: 'Board', count: 0, durationMs, error: 'HTTP 503', skipped: null, unchanged: false });
+const skipped = reason => ({ name: 'Board', count: 0, durationMs: 0, error: null, skipped: reason, unchanged: false });
+
+/**
+ * Apply results in order, as consecutive runs would
+ * @param {Array<Object>} results - Per-run source results
+ * @param {Object} [health] - Starting record
+ * @returns {Object} - Final health record
+ */
+function runAll(results, health) {
+    return results.reduce((record, result) => applySourceResult(record, result, now), health);
+}
+
+test('opens the circuit after the threshold and re-probes with a doubling back-off', () => {
+    const failures = Array.from({ length: CIRCUIT_BREAKER_THRESHOLD }, () => failed());
+    const beforeThreshold = runAll(failures.slice(1));
+    assert.equal(beforeThreshold.state, 'closed');
+    assert.equal(getSkipReason(beforeThreshold), null);
+
+    const open = runAll(failures);
+    assert.equal(open.state, 'open');
+    assert.equal(open.skipRemaining, 1);
+    assert.equal(open.lastError, 'HTTP 503');
+    assert.equal(open.lastFailureAt, now.toISOString());
+    assert.match(getSkipReason(open), /^circuit open after 3 failures \(re-probe in 1 run\)$/);
+
+    // One skipped run, then the probe fails: open again for twice as long
+    const probe = applySourceResult(open, skipped(getSkipReason(open)), now);
+    assert.equal(probe.state, 'probe');
+    assert.equal(getSkipReason(probe), null);
+    const reopened = applySourceResult(probe, failed(), now);
+    assert.equal(reopened.state, 'open');
+    assert.equal(reopened.skipRemaining, 2);
+
+    // A successful probe closes it and resets the back-off
+    const closed = runAll([skipped('circuit'), skipped('circuit'), ok(7)], reopened);
+    assert.deepEqual(
+        [closed.state, closed.consecutiveFailures, closed.backoffRuns, closed.lastJobCount, closed.totalFailures],
+        ['closed', 0, 0, 7, CIRCUIT_BREAKER_THRESHOLD + 1]
+    );
+});
+
+test('tracks latency and job counts; other skips and unchanged runs measure nothing new', () => {
+    const health = runAll([ok(4, 100), ok(6, 200)]);
+    assert.equal(health.avgLatencyMs, 130);
+    assert.equal(health.lastJobCount, 6);
+
+    const noKey = applySourceResult(health, skipped('no API key configured'), now);
+    assert.equal(noKey.totalRuns, 2);
+
+    const unchanged = applySourceResult(health, { ...ok(0), unchanged: true }, now);
+    assert.equal(unchanged.lastJobCount, 6);
+    assert.equal(unchanged.totalRuns, 3);
+});
+
+test('summarizes a run and lists open circuits', () => {
+    const down = { ...failed(), name: 'Down' };
+    const healthMap = new Map([['Down', runAll(Array.from({ length: CIRCUIT_BREAKER_THRESHOLD - 1 }, () => down))]]);
+    const results = [
+        { ...ok(), name: 'Up' },
+        down,
+        { ...skipped('no API key configured'), name: 'Keyless' },
+        { ...ok(0), name: 'Same', unchanged: true }
+    ];
+    const records = updateSourceHealth(healthMap, results, now);
+    assert.deepEqual(records.map(record => record.sourceName), ['Up', 'Down', 'Keyless', 'Same']);
+    assert.deepEqual(summarizeSourceHealth(results, records),
+        { ok: 2, failed: 1, skipped: 1, unchanged: 1, circuitOpen: 1, openSources: ['Down'] });
+});
+
+test('a failing Greenhouse board counts as a failed run, not as zero jobs', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const source = {
+        name: 'Acme (Greenhouse)',
+        url: async () => await scrapeGreenhouse('acme', 'Acme'),
+        parser: data => data
+    };
+    // No recording for this board, so the replayed request fails like an outage would
+    const { sourceResults } = await fetchJobsFromAllSources(context, { sources: [source], timeoutMs: 5000 });
+    assert.ok(sourceResults[0].error);
+
+    const health = runAll(Array.from({ length: CIRCUIT_BREAKER_THRESHOLD }, () => sourceResults[0]));
+    assert.equal(health.state, 'open');
+});
@@ -0,0 +1,128 @@
+/**
+ * Declarative source loader tests
+ * JSON/YAML definitions in a temporary directory: building a source, and the
+ * validation errors reported (as SOURCE_CONFIG_ERRORS) for invalid files
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSourceDefinitions, mergeSources } = require('../src/services/sourceLoader');
+const { SOURCE_CONFIG_ERRORS } = require('../src/services/jobSources');
+
+/**
+ * Write definition files to a new temporary directory
+ * @param {Object} files - File name → contents
+ * @returns {string} - Directory path
+ */
+function writeSourceDir(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jbot-sources-'));
+    for (const [name, contents] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, name), contents);
+    }
+    return dir;
+}
+
+test('builds a source from a valid YAML file', (t) => {
+    const dir = writeSourceDir({
+        'board.yaml': [
+            'name: Cloud Board',
+            'url: https://api.example.com/jobs?key=${env.CLOUD_BOARD_KEY:-demo}',
+            'pagination: { style: page, param: page, maxPages: 2, totalPath: $.total }',
+            'items: $.results[*]',
+            'fields:',
+            '  title: $.title',
+            '  company_name: [$.company.name, $.employer]',
+            '  url: $.links.apply',
+            '  salary: { template: "₹{$.pay.min}-₹{$.pay.max}" }',
+            'defaults: { location: India }'
+        ].join('\n')
+    });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const { sources, errors, disabled } = loadSourceDefinitions(dir);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(disabled, []);
+
+    const [source] = sources;
+    assert.equal(source.name, 'Cloud Board');
+    assert.equal(source.origin, 'board.yaml');
+    assert.equal(source.url(), 'https://api.example.com/jobs?key=demo');
+    assert.equal(source.pagination.getTotal({ total: 12 }), 12);
+    assert.deepEqual(source.parser({
+        results: [
+            { title: 'Azure Intern', employer: 'Acme', links: { apply: 'https://example.com/1' }, pay: { min: 20000, max: 30000 } },
+            { title: 'No link' }
+        ]
+    }), [{
+        source: 'Cloud Board',
+        location: 'India',
+        title: 'Azure Intern',
+        company_name: 'Acme',
+        url: 'https://example.com/1',
+        salary: '₹20000-₹30000',
+        slug: 'https://example.com/1'
+    }]);
+});
+
+test('reports missing fields and bad types instead of loading the source', (t) => {
+    const dir = writeSourceDir({
+        'missing.json': JSON.stringify({
+            name: 'No Link Board',
+            url: 'https://api.example.com/jobs',
+            items: '$.jobs[*]',
+            fields: { title: '$.title' }
+        }),
+        'types.yaml': [
+            'name: Typed Board',
+            'enabled: "yes"',
+            'type: xml',
+            'url: ftp://example.com/jobs'
+        ].join('\n'),
+        'broken.yml': 'name: [unclosed',
+        'disabled.json': JSON.stringify({ name: 'Off', enabled: false, url: 'https://example.com', items: '$', fields: { title: '$.t', url: '$.u' } })
+    });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const loaded = loadSourceDefinitions(dir);
+    assert.deepEqual(loaded.sources, []);
+    assert.deepEqual(loaded.disabled, ['Off']);
+    assert.deepEqual(loaded.errors.map(({ file, name }) => [file, name]), [
+        ['broken.yml', null],
+        ['missing.json', 'No Link Board'],
+        ['types.yaml', 'Typed Board']
+    ]);
+    assert.match(loaded.errors[0].errors[0], /^parse error:/);
+    assert.deepEqual(loaded.errors[1].errors, ['"fields.url" is required']);
+    assert.deepEqual(loaded.errors[2].errors, [
+        '"url" must be an http(s) URL',
+        '"type" must be one of json, feed, html, jsonld',
+        '"enabled" must be true or false'
+    ]);
+
+    // A config source may not take a code source's name
+    const { errors } = mergeSources([{ name: 'Cloud Board' }], { sources: [{ name: 'Cloud Board', origin: 'board.yaml' }], errors: [] });
+    assert.deepEqual(errors, [{ file: 'board.yaml', name: 'Cloud Board', errors: ['duplicate source name'] }]);
+});
+
+test('bundled source files load without errors', () => {
+    assert.deepEqual(SOURCE_CONFIG_ERRORS, []);
+});
+
+test('Adzuna salaries fall back to whichever bound is present', () => {
+    const { sources } = loadSourceDefinitions(path.join(__dirname, '..', 'src', 'config', 'sources'));
+    const adzuna = sources.find(source => source.name === 'Adzuna India');
+    const posting = (id, pay) => ({ id, title: 'Cloud Engineer', redirect_url: `https://www.adzuna.in/details/${id}`, ...pay });
+
+    const jobs = adzuna.parser({
+        results: [
+            posting('1', { salary_min: 400000, salary_max: 600000 }),
+            posting('2', { salary_max: 900000 }),
+            posting('3', { salary_min: 500000 }),
+            posting('4', {})
+        ]
+    });
+    assert.deepEqual(jobs.map(job => job.salary), ['₹400000-₹600000', 'Up to ₹900000', '₹500000', undefined]);
+});
@@ -0,0 +1,51 @@
+/**
+ * Workday client tests
+ * Board discovery with no network (FIXTURE_MODE=replay, nothing recorded, so every
+ * probe fails): a board that cannot be found fails its source, and discovered
+ * boards are looked up again once WORKDAY_DISCOVERY_TTL_DAYS have passed
+ */
+
+process.env.FIXTURE_MODE = 'replay';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCacheStore } = require('../src/storage/cacheStore');
+const { discoverWorkdayBoard, parseWorkdayUrl } = require('../src/services/workdayClient');
+const { scrapeWorkday } = require('../src/services/webScraper');
+const { fetchJobsFromAllSources } = require('../src/services/jobFetcher');
+const { WORKDAY_DISCOVERY_TTL_DAYS } = require('../src/config/constants');
+
+const context = { log: () => {}, warn: () => {} };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('a board that cannot be discovered fails the source', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const source = {
+        name: 'Acme Careers',
+        url: async ({ state }) => await scrapeWorkday({ tenant: 'acme', boardId: 'Acme_Careers' }, 'Acme', { state }),
+        parser: data => data
+    };
+    const state = createCacheStore('sources', { backend: 'none' });
+    const { sourceResults } = await fetchJobsFromAllSources(context, { sources: [source], state, timeoutMs: 5000 });
+
+    assert.equal(sourceResults[0].error, 'No Workday board found for acme/Acme_Careers');
+    assert.equal(sourceResults[0].count, 0);
+    assert.equal(state.pendingCount(), 0);
+});
+
+test('discovered boards expire in memory as they do in the state store', async (t) => {
+    const discoveredAt = new Date('2026-10-01T00:00:00.000Z');
+    t.mock.timers.enable({ apis: ['Date'], now: discoveredAt.getTime() + DAY_MS });
+
+    const board = { tenant: 'globex', boardId: 'Globex_Careers' };
+    const entry = { ...parseWorkdayUrl('https://globex.wd5.myworkdayjobs.com/Globex_Careers'), discoveredAt: discoveredAt.toISOString() };
+    const state = createCacheStore('sources', { backend: 'none' });
+    state.set('workday:globex/globex_careers', entry);
+
+    assert.deepEqual(await discoverWorkdayBoard(board, { state }), entry);
+    // Remembered by this process, so found again without the store
+    assert.deepEqual(await discoverWorkdayBoard(board), entry);
+
+    t.mock.timers.setTime(discoveredAt.getTime() + (WORKDAY_DISCOVERY_TTL_DAYS + 1) * DAY_MS);
+    await assert.rejects(discoverWorkdayBoard(board), /^Error: No Workday board found for globex\/Globex_Careers$/);
+});